@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "PriceHistory" ADD COLUMN     "interval" TEXT NOT NULL DEFAULT '1d',
+ADD COLUMN     "marketCap" DOUBLE PRECISION,
+ADD COLUMN     "volume" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceHistory_cryptoId_interval_timestamp_key" ON "PriceHistory"("cryptoId", "interval", "timestamp");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "ApiCacheEntry" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "storedAt" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "staleUntil" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ApiCacheEntry_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "ApiCacheEntry_staleUntil_idx" ON "ApiCacheEntry"("staleUntil");
@@ -0,0 +1,11 @@
+-- DropIndex
+DROP INDEX "PriceHistory_cryptoId_interval_timestamp_key";
+
+-- AlterTable
+ALTER TABLE "PriceHistory" ADD COLUMN     "quote" TEXT NOT NULL DEFAULT 'usd';
+
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "quote" TEXT NOT NULL DEFAULT 'usd';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceHistory_cryptoId_interval_quote_timestamp_key" ON "PriceHistory"("cryptoId", "interval", "quote", "timestamp");
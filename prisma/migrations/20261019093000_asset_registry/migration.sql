@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "Asset" (
+    "id" TEXT NOT NULL,
+    "ticker" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "providerIds" JSONB NOT NULL,
+    "aliases" TEXT[],
+    "isStablecoin" BOOLEAN NOT NULL DEFAULT false,
+    "chain" TEXT,
+    "marketCapRank" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Asset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Asset_ticker_idx" ON "Asset"("ticker");
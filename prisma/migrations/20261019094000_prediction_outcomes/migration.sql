@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "entryPrice" DOUBLE PRECISION,
+ADD COLUMN     "evaluatedAt" TIMESTAMP(3),
+ADD COLUMN     "hit" BOOLEAN,
+ADD COLUMN     "realizedPrice" DOUBLE PRECISION,
+ADD COLUMN     "realizedReturn" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "TrainingData" ADD COLUMN     "predictionId" TEXT,
+ALTER COLUMN "actualSignal" DROP NOT NULL,
+ALTER COLUMN "priceAfter7d" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "ModelPerformance" ADD COLUMN     "averageReturn" DOUBLE PRECISION,
+ADD COLUMN     "cryptoId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Prediction_evaluatedAt_createdAt_idx" ON "Prediction"("evaluatedAt", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TrainingData_predictionId_key" ON "TrainingData"("predictionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ModelPerformance_cryptoId_key" ON "ModelPerformance"("cryptoId");
+
+-- AddForeignKey
+ALTER TABLE "TrainingData" ADD CONSTRAINT "TrainingData_predictionId_fkey" FOREIGN KEY ("predictionId") REFERENCES "Prediction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModelPerformance" ADD CONSTRAINT "ModelPerformance_cryptoId_fkey" FOREIGN KEY ("cryptoId") REFERENCES "Cryptocurrency"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "horizon" TEXT NOT NULL DEFAULT '7d';
+
+-- CreateIndex
+CREATE INDEX "Prediction_cryptoId_horizon_createdAt_idx" ON "Prediction"("cryptoId", "horizon", "createdAt");
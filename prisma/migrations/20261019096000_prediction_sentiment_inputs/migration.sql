@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PredictionSentiment" (
+    "id" TEXT NOT NULL,
+    "predictionId" TEXT NOT NULL,
+    "sentimentId" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "PredictionSentiment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PredictionSentiment_sentimentId_idx" ON "PredictionSentiment"("sentimentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PredictionSentiment_predictionId_sentimentId_key" ON "PredictionSentiment"("predictionId", "sentimentId");
+
+-- AddForeignKey
+ALTER TABLE "PredictionSentiment" ADD CONSTRAINT "PredictionSentiment_predictionId_fkey" FOREIGN KEY ("predictionId") REFERENCES "Prediction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PredictionSentiment" ADD CONSTRAINT "PredictionSentiment_sentimentId_fkey" FOREIGN KEY ("sentimentId") REFERENCES "Sentiment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
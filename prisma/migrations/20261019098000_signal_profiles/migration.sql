@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "profile" TEXT NOT NULL DEFAULT 'balanced';
+
+-- CreateTable
+CREATE TABLE "SignalProfile" (
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "technicalWeight" DOUBLE PRECISION NOT NULL,
+    "sentimentWeight" DOUBLE PRECISION NOT NULL,
+    "volumeWeight" DOUBLE PRECISION NOT NULL,
+    "trendWeight" DOUBLE PRECISION NOT NULL,
+    "buyThreshold" DOUBLE PRECISION NOT NULL,
+    "sellThreshold" DOUBLE PRECISION NOT NULL,
+    "isBuiltIn" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SignalProfile_pkey" PRIMARY KEY ("name")
+);
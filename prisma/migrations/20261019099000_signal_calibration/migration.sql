@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "rawConfidence" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "SignalCalibration" (
+    "signal" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "parameters" JSONB NOT NULL,
+    "sampleSize" INTEGER NOT NULL,
+    "hitRate" DOUBLE PRECISION,
+    "brierRaw" DOUBLE PRECISION,
+    "brierCalibrated" DOUBLE PRECISION,
+    "fittedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SignalCalibration_pkey" PRIMARY KEY ("signal")
+);
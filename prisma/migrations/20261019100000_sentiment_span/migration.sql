@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Sentiment" ADD COLUMN     "span" TEXT;
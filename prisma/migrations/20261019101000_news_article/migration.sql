@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "NewsArticle" (
+    "id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "category" TEXT,
+    "title" TEXT NOT NULL,
+    "body" TEXT,
+    "publishedAt" TIMESTAMP(3) NOT NULL,
+    "mentions" TEXT[],
+    "sentiment" DOUBLE PRECISION NOT NULL,
+    "sentimentLabel" TEXT NOT NULL,
+    "entitySentiment" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NewsArticle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NewsArticle_url_key" ON "NewsArticle"("url");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_publishedAt_idx" ON "NewsArticle"("publishedAt");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_source_publishedAt_idx" ON "NewsArticle"("source", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_mentions_idx" ON "NewsArticle" USING GIN ("mentions");
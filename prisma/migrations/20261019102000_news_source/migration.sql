@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "NewsSource" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "category" TEXT NOT NULL DEFAULT 'crypto_news',
+    "reliability" DOUBLE PRECISION NOT NULL DEFAULT 0.6,
+    "fetchIntervalMinutes" INTEGER NOT NULL DEFAULT 15,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastFetchedAt" TIMESTAMP(3),
+    "lastSuccessAt" TIMESTAMP(3),
+    "lastErrorAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "consecutiveErrors" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "fetchCount" INTEGER NOT NULL DEFAULT 0,
+    "articleCount" INTEGER NOT NULL DEFAULT 0,
+    "lastArticleCount" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NewsSource_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NewsSource_name_key" ON "NewsSource"("name");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "NewsArticle" ADD COLUMN     "canonicalUrl" TEXT,
+ADD COLUMN     "storyId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_canonicalUrl_idx" ON "NewsArticle"("canonicalUrl");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_storyId_idx" ON "NewsArticle"("storyId");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "NewsArticle" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("body", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_searchVector_idx" ON "NewsArticle" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_sentimentLabel_publishedAt_idx" ON "NewsArticle"("sentimentLabel", "publishedAt");
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "NewsArticle" ADD COLUMN     "events" JSONB,
+ADD COLUMN     "eventTypes" TEXT[],
+ADD COLUMN     "eventSeverity" TEXT;
+
+-- CreateTable
+CREATE TABLE "NewsEventExample" (
+    "id" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NewsEventExample_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_eventTypes_idx" ON "NewsArticle" USING GIN ("eventTypes");
+
+-- CreateIndex
+CREATE INDEX "NewsArticle_eventSeverity_publishedAt_idx" ON "NewsArticle"("eventSeverity", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "NewsEventExample_type_idx" ON "NewsEventExample"("type");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Prediction" ADD COLUMN     "evaluationAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastEvaluationAttemptAt" TIMESTAMP(3);
@@ -0,0 +1,8 @@
+-- Maps fitted on all profiles and horizons together are dropped; the next fit replaces them
+DELETE FROM "SignalCalibration";
+
+-- AlterTable
+ALTER TABLE "SignalCalibration" DROP CONSTRAINT "SignalCalibration_pkey",
+ADD COLUMN     "profile" TEXT NOT NULL,
+ADD COLUMN     "horizon" TEXT NOT NULL,
+ADD CONSTRAINT "SignalCalibration_pkey" PRIMARY KEY ("profile", "horizon", "signal");
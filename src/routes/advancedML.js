@@ -13,7 +13,9 @@ const express = require('express');
 const router = express.Router();
 
 const advancedMLService = require('../services/advancedMLService');
-const { coingeckoService } = require('../services/coingeckoService');
+const marketDataService = require('../services/marketDataService');
+const assetRegistryService = require('../services/assetRegistryService');
+const { sendError } = require('../utils/errors');
 
 /**
  * POST /api/ml/engineer-features
@@ -22,6 +24,8 @@ const { coingeckoService } = require('../services/coingeckoService');
  * {
  *   "priceHistory": [{"price":45000,"volume":123,"timestamp":"..."}, ...]
  * }
+ *
+ * priceHistory may also contain OHLCV candles: {"open","high","low","close","volume"}
  */
 router.post('/engineer-features', (req, res) => {
   try {
@@ -45,7 +49,7 @@ router.post('/engineer-features', (req, res) => {
 
     res.json({ success: true, data: features });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -58,6 +62,9 @@ router.post('/engineer-features', (req, res) => {
  *   "sentiment": {"score":0.62},
  *   "technicalAnalysis": {"trend":"bullish"}
  * }
+ *
+ * The confidence is the ensemble's own and is not calibrated: ensemble predictions are not
+ * stored or evaluated, and the calibration maps are fitted on generateTradingSignal outcomes.
  */
 router.post('/ensemble-prediction', (req, res) => {
   try {
@@ -88,7 +95,7 @@ router.post('/ensemble-prediction', (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -116,7 +123,7 @@ router.post('/price-targets', (req, res) => {
     const targets = advancedMLService.calculatePriceTargets(currentPrice, features, prediction);
     res.json({ success: true, data: targets });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -144,7 +151,7 @@ router.post('/track-performance', async (req, res) => {
     const perf = await advancedMLService.trackModelPerformance(symbol, prediction, actualPrice);
     res.json({ success: true, data: perf });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -159,36 +166,36 @@ router.get('/model-accuracy/:symbol', async (req, res) => {
     const data = await advancedMLService.getModelAccuracy(symbol, Number.isFinite(days) ? days : 30);
     res.json({ success: true, data });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
- * GET /api/ml/technical-indicators/:cryptoId?days=90
+ * GET /api/ml/technical-indicators/:cryptoId?days=90&interval=1d&provider=coingecko
  *
- * Fetches historical prices (via CoinGecko service) and computes indicators/features.
+ * Fetches OHLCV candles (via the market data service) and computes indicators/features.
  */
 router.get('/technical-indicators/:cryptoId', async (req, res) => {
   try {
-    const { cryptoId } = req.params;
+    const cryptoId = await assetRegistryService.resolveProviderId(req.params.cryptoId, {
+      provider: req.query.provider,
+    });
     const days = req.query.days ? Number(req.query.days) : 90;
+    const interval = req.query.interval || '1d';
 
-    const history = await coingeckoService.getHistoricalPrices(cryptoId, Number.isFinite(days) ? days : 90);
+    const candles = await marketDataService.getCandles(
+      cryptoId,
+      Number.isFinite(days) ? days : 90,
+      interval,
+      { provider: req.query.provider }
+    );
 
-    // Map to the shape engineerFeatures expects.
-    const priceHistory = (history?.prices || []).map(([ts, price], idx) => ({
-      timestamp: new Date(ts).toISOString(),
-      price,
-      // CoinGecko includes volumes as a separate array; best-effort alignment.
-      volume: history?.total_volumes?.[idx]?.[1] ?? 0
-    }));
-
-    const features = advancedMLService.engineerFeatures(priceHistory);
+    const features = advancedMLService.engineerFeatures(candles);
 
     if (!features) {
       return res.status(400).json({
         success: false,
-        error: 'Not enough history returned from CoinGecko to compute indicators'
+        error: 'Not enough history returned from the market data provider to compute indicators'
       });
     }
 
@@ -197,6 +204,7 @@ router.get('/technical-indicators/:cryptoId', async (req, res) => {
       data: {
         cryptoId,
         days: Number.isFinite(days) ? days : 90,
+        interval,
         indicators: {
           sma20: features.sma20,
           sma50: features.sma50,
@@ -214,6 +222,8 @@ router.get('/technical-indicators/:cryptoId', async (req, res) => {
             lower: features.bollingerLower,
             width: features.bollingerWidth
           },
+          atr: features.atr,
+          obv: features.obv,
           volatility: features.volatility,
           momentum: features.momentum
         },
@@ -221,7 +231,7 @@ router.get('/technical-indicators/:cryptoId', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
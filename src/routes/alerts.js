@@ -13,6 +13,35 @@
 const express = require('express');
 const router = express.Router();
 const realTimeAlertService = require('../services/realTimeAlertService');
+const sentimentService = require('../services/sentimentService');
+const assetRegistryService = require('../services/assetRegistryService');
+
+const SENTIMENT_SERIES_CONDITIONS = ['zscore', 'momentum'];
+
+/**
+ * Fill in sentimentZScore and sentimentMomentum from the sentiment time series when an active
+ * sentiment_shift alert on the symbol compares them and the request did not supply them
+ * @param {string} symbol - Alert cryptoId the market data is for
+ * @param {Object} data - Market data for the symbol (updated in place)
+ */
+async function addSentimentShift(symbol, data) {
+  const needed = [...realTimeAlertService.alerts.values()].some(alert => (
+    alert.isActive
+    && alert.cryptoId === symbol
+    && alert.type === realTimeAlertService.alertTypes.SENTIMENT_SHIFT
+    && SENTIMENT_SERIES_CONDITIONS.includes(alert.condition)
+  ));
+
+  if (!needed || (data.sentimentZScore !== undefined && data.sentimentMomentum !== undefined)) {
+    return;
+  }
+
+  const shift = await sentimentService.getSentimentShift(await assetRegistryService.resolveTicker(symbol));
+  if (shift) {
+    data.sentimentZScore = data.sentimentZScore ?? shift.zScore;
+    data.sentimentMomentum = data.sentimentMomentum ?? shift.momentum;
+  }
+}
 
 /**
  * GET /api/alerts/types
@@ -57,13 +86,22 @@ router.get('/types', (req, res) => {
  * {
  *   "symbol": "BTC",
  *   "type": "price_breakout",
- *   "threshold": 45000,
+ *   "condition": "above",
+ *   "threshold": 5,
  *   "severity": "high",
- *   "channels": ["email", "webhook"],
- *   "parameters": {
- *     "direction": "above",
- *     "timeframe": "1h"
- *   }
+ *   "channels": ["email", "webhook"]
+ * }
+ *
+ * `cryptoId` may be given instead of `symbol`, and `parameters.direction` instead of
+ * `condition`. News alerts take a ticker (or "*" for any coin), an event type as condition
+ * (default: "any") and optionally the lowest event severity as threshold (default: "high"):
+ * {
+ *   "symbol": "ETH",
+ *   "type": "news_alert",
+ *   "condition": "hack",
+ *   "threshold": "critical",
+ *   "severity": "critical",
+ *   "channels": ["webhook"]
  * }
  * 
  * Response:
@@ -71,39 +109,48 @@ router.get('/types', (req, res) => {
  *   "success": true,
  *   "data": {
  *     "id": "alert_123",
- *     "symbol": "BTC",
+ *     "cryptoId": "BTC",
  *     "type": "price_breakout",
- *     "status": "active",
+ *     "condition": "above",
+ *     "threshold": 5,
+ *     "isActive": true,
  *     "createdAt": "2026-02-01T14:30:00Z"
  *   }
  * }
  */
 router.post('/create', (req, res) => {
   try {
-    const { symbol, type, threshold, severity, channels, parameters } = req.body;
+    const { symbol, cryptoId, type, threshold, severity, channels, parameters, description, userId } = req.body;
+    const isNewsAlert = type === realTimeAlertService.alertTypes.NEWS_ALERT;
+    const condition = req.body.condition || (parameters || {}).direction || (isNewsAlert ? 'any' : undefined);
     
-    // Validate required fields
-    if (!symbol || !type || !threshold) {
+    // Validate required fields (news alerts default their threshold to high severity)
+    if (!(cryptoId || symbol) || !type || !condition || (threshold === undefined && !isNewsAlert)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: symbol, type, threshold'
+        error: 'Missing required fields: symbol (or cryptoId), type, condition, threshold'
       });
     }
     
     // Create alert using service
-    const alert = realTimeAlertService.createAlert({
-      symbol,
+    const result = realTimeAlertService.createAlert({
+      cryptoId: cryptoId || symbol,
       type,
+      condition,
       threshold,
       severity: severity || 'medium',
-      channels: channels || ['in-app'],
-      parameters: parameters || {},
-      createdAt: new Date().toISOString()
+      notificationChannels: channels || ['in-app'],
+      description,
+      userId
     });
     
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
     res.json({
       success: true,
-      data: alert
+      data: result.alert
     });
   } catch (error) {
     res.status(500).json({
@@ -220,7 +267,7 @@ router.get('/history', (req, res) => {
 /**
  * POST /api/alerts/check
  * 
- * Check if current price triggers any alerts
+ * Check if current market data triggers any alerts on the symbol
  * 
  * Request body:
  * {
@@ -229,6 +276,11 @@ router.get('/history', (req, res) => {
  *   "volume": 28500000000,
  *   "volatility": 0.025
  * }
+ *
+ * Other fields the alert types compare (previousPrice, rsi, averageVolume, sentiment,
+ * previousSentiment, sentimentZScore, sentimentMomentum, ...) are passed on as given.
+ * For sentiment_shift alerts with condition zscore or momentum, omitted sentimentZScore and
+ * sentimentMomentum are read from the symbol's hourly sentiment series.
  * 
  * Response:
  * {
@@ -244,7 +296,7 @@ router.get('/history', (req, res) => {
  *   ]
  * }
  */
-router.post('/check', (req, res) => {
+router.post('/check', async (req, res) => {
   try {
     const { symbol, currentPrice, volume, volatility } = req.body;
     
@@ -255,13 +307,15 @@ router.post('/check', (req, res) => {
       });
     }
     
-    // Check for triggered alerts
-    const triggered = realTimeAlertService.checkAlerts({
-      symbol,
-      currentPrice,
+    const data = {
+      ...req.body,
       volume: volume || 0,
       volatility: volatility || 0
-    });
+    };
+    await addSentimentShift(symbol, data);
+    
+    // Check for triggered alerts (market data is keyed by the alerts' cryptoId)
+    const triggered = realTimeAlertService.checkAlerts({ [symbol]: data });
     
     res.json({
       success: true,
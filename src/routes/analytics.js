@@ -9,20 +9,70 @@
  * - Market correlation analysis
  * - Performance attribution
  * - Custom dashboards
+ *
+ * Endpoints that take money values also accept:
+ *   - currency: currency the values are in (default: usd)
+ *   - quote: currency to analyze in (default: usd), e.g. eur or btc
+ * Values given as { timestamp, value } are converted at the rate on that day,
+ * which is what makes returns in another currency (e.g. BTC terms) meaningful;
+ * plain numbers are converted at the spot rate.
  */
 
 const express = require('express');
 const router = express.Router();
 const advancedAnalyticsService = require('../services/advancedAnalyticsService');
+const fxService = require('../services/fxService');
+const { normalizeQuote } = require('../utils/quotes');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Read the source and quote currencies from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { from, quote }
+ */
+function getCurrencies(body) {
+  return {
+    from: normalizeQuote(body.currency || 'usd'),
+    quote: normalizeQuote(body.quote),
+  };
+}
+
+/**
+ * Convert a value series from the request currency to the quote
+ * @param {Object} body - Request body
+ * @param {Array} series - Numbers or { timestamp, value } points
+ * @returns {Promise<Array<number>>} Converted values
+ */
+async function convertSeries(body, series) {
+  const { from, quote } = getCurrencies(body);
+  return fxService.convertSeries(series, from, quote);
+}
+
+/**
+ * Convert trade profits from the request currency to the quote
+ * Uses the trade's exitTime (or timestamp) as the conversion date when present
+ * @param {Object} body - Request body
+ * @param {Array} trades - Trade objects with a profit property
+ * @returns {Promise<Array>} Trades with converted profit
+ */
+async function convertTrades(body, trades) {
+  const profits = await convertSeries(body, trades.map(trade => {
+    const timestamp = trade.exitTime || trade.timestamp;
+    return timestamp ? { timestamp, value: trade.profit } : trade.profit;
+  }));
+
+  return trades.map((trade, index) => ({ ...trade, profit: profits[index] }));
+}
 
 /**
  * POST /api/analytics/performance
  * Calculate portfolio performance metrics
  * Body:
- *   - portfolioHistory: array of portfolio values over time
+ *   - portfolioHistory: array of portfolio values over time (numbers or { timestamp, value })
  *   - riskFreeRate: risk-free rate (default 0.02)
+ *   - currency / quote: see module notes
  */
-router.post('/performance', (req, res) => {
+router.post('/performance', async (req, res) => {
   try {
     const { portfolioHistory, riskFreeRate = 0.02 } = req.body;
 
@@ -33,20 +83,19 @@ router.post('/performance', (req, res) => {
       });
     }
 
+    const history = await convertSeries(req.body, portfolioHistory);
     const metrics = advancedAnalyticsService.calculatePerformanceMetrics(
-      portfolioHistory,
+      history,
       riskFreeRate
     );
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: metrics
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -55,8 +104,9 @@ router.post('/performance', (req, res) => {
  * Analyze market correlations between cryptocurrencies
  * Body:
  *   - priceData: object with symbol -> price array mapping
+ *   - currency / quote: see module notes
  */
-router.post('/correlations', (req, res) => {
+router.post('/correlations', async (req, res) => {
   try {
     const { priceData } = req.body;
 
@@ -67,17 +117,20 @@ router.post('/correlations', (req, res) => {
       });
     }
 
-    const analysis = advancedAnalyticsService.analyzeMarketCorrelations(priceData);
+    const quotedPriceData = {};
+    for (const [symbol, prices] of Object.entries(priceData)) {
+      quotedPriceData[symbol] = await convertSeries(req.body, prices);
+    }
+
+    const analysis = advancedAnalyticsService.analyzeMarketCorrelations(quotedPriceData);
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: analysis
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -120,9 +173,10 @@ router.post('/value-at-risk', (req, res) => {
  * POST /api/analytics/trading-statistics
  * Generate trading statistics and insights
  * Body:
- *   - trades: array of trade objects with profit property
+ *   - trades: array of trade objects with profit property (and optional exitTime)
+ *   - currency / quote: see module notes
  */
-router.post('/trading-statistics', (req, res) => {
+router.post('/trading-statistics', async (req, res) => {
   try {
     const { trades } = req.body;
 
@@ -133,17 +187,16 @@ router.post('/trading-statistics', (req, res) => {
       });
     }
 
-    const statistics = advancedAnalyticsService.generateTradingStatistics(trades);
+    const quotedTrades = await convertTrades(req.body, trades);
+    const statistics = advancedAnalyticsService.generateTradingStatistics(quotedTrades);
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: statistics
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -186,8 +239,9 @@ router.post('/performance-attribution', (req, res) => {
  * Body:
  *   - portfolioData: portfolio history and returns
  *   - trades: trade history
+ *   - currency / quote: see module notes
  */
-router.post('/dashboard', (req, res) => {
+router.post('/dashboard', async (req, res) => {
   try {
     const { portfolioData, trades } = req.body;
 
@@ -198,20 +252,20 @@ router.post('/dashboard', (req, res) => {
       });
     }
 
+    const history = await convertSeries(req.body, portfolioData.history);
+    const quotedTrades = await convertTrades(req.body, trades || []);
     const dashboardData = advancedAnalyticsService.generateDashboardData(
-      portfolioData,
-      trades || []
+      { ...portfolioData, history },
+      quotedTrades
     );
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: dashboardData
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -219,10 +273,11 @@ router.post('/dashboard', (req, res) => {
  * POST /api/analytics/risk-metrics
  * Calculate comprehensive risk metrics
  * Body:
- *   - portfolioHistory: array of portfolio values
+ *   - portfolioHistory: array of portfolio values (numbers or { timestamp, value })
  *   - returns: array of returns
+ *   - currency / quote: see module notes
  */
-router.post('/risk-metrics', (req, res) => {
+router.post('/risk-metrics', async (req, res) => {
   try {
     const { portfolioHistory, returns } = req.body;
 
@@ -234,13 +289,15 @@ router.post('/risk-metrics', (req, res) => {
     }
 
     // Calculate multiple risk metrics
-    const maxDrawdown = advancedAnalyticsService.calculateMaxDrawdown(portfolioHistory);
+    const history = await convertSeries(req.body, portfolioHistory);
+    const maxDrawdown = advancedAnalyticsService.calculateMaxDrawdown(history);
     const varMetrics = returns && returns.length >= 30
       ? advancedAnalyticsService.calculateValueAtRisk(returns)
       : null;
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: {
         maxDrawdown,
         valueAtRisk: varMetrics,
@@ -260,8 +317,9 @@ router.post('/risk-metrics', (req, res) => {
  * Compare performance of different trading strategies
  * Body:
  *   - strategies: array of strategy results with returns
+ *   - currency / quote: see module notes
  */
-router.post('/compare-strategies', (req, res) => {
+router.post('/compare-strategies', async (req, res) => {
   try {
     const { strategies } = req.body;
 
@@ -273,16 +331,19 @@ router.post('/compare-strategies', (req, res) => {
     }
 
     // Calculate performance metrics for each strategy
-    const comparison = strategies.map(strategy => ({
+    const comparison = await Promise.all(strategies.map(async strategy => ({
       name: strategy.name,
       metrics: advancedAnalyticsService.calculatePerformanceMetrics(
-        strategy.returns || []
+        await convertSeries(req.body, strategy.returns || [])
       ),
-      trades: strategy.trades ? advancedAnalyticsService.generateTradingStatistics(strategy.trades) : null
-    }));
+      trades: strategy.trades
+        ? advancedAnalyticsService.generateTradingStatistics(await convertTrades(req.body, strategy.trades))
+        : null
+    })));
 
     res.json({
       success: true,
+      quote: getCurrencies(req.body).quote,
       data: {
         strategies: comparison,
         bestPerformer: comparison.reduce((best, current) => {
@@ -0,0 +1,128 @@
+/**
+ * Assets API Routes
+ * Endpoints for the asset registry mapping tickers, provider IDs, names and aliases
+ */
+
+const express = require('express');
+const router = express.Router();
+const assetRegistryService = require('../services/assetRegistryService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * GET /api/assets
+ * List registered assets ordered by market cap rank
+ * Query params:
+ *   - limit: Maximum number of assets (default: all)
+ *   - stablecoin: Filter by stablecoin flag (true/false)
+ *   - chain: Filter by chain (e.g. ethereum)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { stablecoin, chain } = req.query;
+    const assets = await assetRegistryService.listAssets({
+      limit: parseInt(req.query.limit) || undefined,
+      stablecoin: stablecoin === undefined ? undefined : stablecoin === 'true',
+      chain,
+    });
+
+    res.json({
+      success: true,
+      count: assets.length,
+      data: assets,
+    });
+  } catch (error) {
+    console.error('Error listing assets:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/assets/resolve
+ * Resolve a ticker, provider coin ID, name or alias to an asset
+ * Query params:
+ *   - q: Identifier to resolve (BTC, bitcoin, Bitcoin, xbt, ...)
+ *   - provider: Provider whose coin ID is returned (default: MARKET_DATA_PROVIDER)
+ */
+router.get('/resolve', async (req, res) => {
+  try {
+    const { q, provider } = req.query;
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'q is required',
+      });
+    }
+
+    const result = await assetRegistryService.resolve(q, { provider });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown asset: ${q}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      query: q,
+      matchedBy: result.matchedBy,
+      providerId: assetRegistryService.getProviderId(result.asset, provider),
+      data: result.asset,
+      alternatives: result.alternatives,
+    });
+  } catch (error) {
+    console.error('Error resolving asset:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/assets/seed
+ * Seed or refresh the registry from the provider's market listing
+ * Body:
+ *   - provider: (optional) Market data provider (default: ASSET_REGISTRY_PROVIDER)
+ *   - limit: (optional) Number of top markets to import (default: ASSET_REGISTRY_SEED_LIMIT)
+ */
+router.post('/seed', async (req, res) => {
+  try {
+    const { provider, limit } = req.body;
+    const result = await assetRegistryService.seedRegistry({ provider, limit });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error seeding asset registry:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/assets/:id
+ * Update an asset's aliases, chain, stablecoin flag, name or provider IDs
+ * Params:
+ *   - id: Any identifier the registry resolves (ticker, coin ID, alias)
+ * Body:
+ *   - aliases: (optional) Array of alternative names
+ *   - chain: (optional) Chain name, or null to clear
+ *   - isStablecoin: (optional) Stablecoin flag
+ *   - name: (optional) Display name
+ *   - providerIds: (optional) Map of provider -> coin ID, merged into the existing map
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const asset = await assetRegistryService.updateAsset(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: asset,
+    });
+  } catch (error) {
+    console.error('Error updating asset:', error.message);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const backtestingService = require('../services/backtestingService');
+const assetRegistryService = require('../services/assetRegistryService');
+const { sendError } = require('../utils/errors');
 
 /**
  * POST /api/backtest/run
@@ -14,10 +16,12 @@ const backtestingService = require('../services/backtestingService');
  *   - cryptoId: cryptocurrency ID (e.g., 'bitcoin')
  *   - days: number of days to backtest (default: 90)
  *   - initialCapital: starting capital (default: 10000)
+ *   - provider: market data provider (optional)
+ *   - interval: candle interval - 1h, 4h or 1d (default: 1d)
  */
 router.post('/run', async (req, res) => {
   try {
-    const { cryptoId, days = 90, initialCapital = 10000 } = req.body;
+    const { cryptoId, days = 90, initialCapital = 10000, provider, interval } = req.body;
 
     if (!cryptoId) {
       return res.status(400).json({
@@ -26,15 +30,16 @@ router.post('/run', async (req, res) => {
       });
     }
 
-    const result = await backtestingService.runBacktest(cryptoId, days, initialCapital);
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider });
+    const result = await backtestingService.runBacktest(providerId, days, initialCapital, {
+      provider,
+      interval
+    });
 
     res.json(result);
   } catch (error) {
     console.error('Error running backtest:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -44,10 +49,11 @@ router.post('/run', async (req, res) => {
  * Body:
  *   - cryptoId: cryptocurrency ID
  *   - days: number of days to backtest (default: 90)
+ *   - provider: market data provider (optional)
  */
 router.post('/compare-strategies', async (req, res) => {
   try {
-    const { cryptoId, days = 90 } = req.body;
+    const { cryptoId, days = 90, provider } = req.body;
 
     if (!cryptoId) {
       return res.status(400).json({
@@ -56,7 +62,8 @@ router.post('/compare-strategies', async (req, res) => {
       });
     }
 
-    const results = await backtestingService.compareStrategies(cryptoId, days);
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider });
+    const results = await backtestingService.compareStrategies(providerId, days, { provider });
 
     res.json({
       success: true,
@@ -66,10 +73,7 @@ router.post('/compare-strategies', async (req, res) => {
     });
   } catch (error) {
     console.error('Error comparing strategies:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -79,10 +83,11 @@ router.post('/compare-strategies', async (req, res) => {
  * Body:
  *   - cryptoId: cryptocurrency ID
  *   - days: number of days to backtest (default: 90)
+ *   - provider: market data provider (optional)
  */
 router.post('/optimize', async (req, res) => {
   try {
-    const { cryptoId, days = 90 } = req.body;
+    const { cryptoId, days = 90, provider } = req.body;
 
     if (!cryptoId) {
       return res.status(400).json({
@@ -91,7 +96,8 @@ router.post('/optimize', async (req, res) => {
       });
     }
 
-    const result = await backtestingService.optimizeStrategy(cryptoId, days);
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider });
+    const result = await backtestingService.optimizeStrategy(providerId, days, { provider });
 
     res.json({
       success: true,
@@ -100,10 +106,7 @@ router.post('/optimize', async (req, res) => {
     });
   } catch (error) {
     console.error('Error optimizing strategy:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -117,7 +120,7 @@ router.post('/optimize', async (req, res) => {
  */
 router.get('/validate/:symbol', async (req, res) => {
   try {
-    const symbol = req.params.symbol.toUpperCase();
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
     const days = parseInt(req.query.days) || 30;
 
     const result = await backtestingService.validatePredictions(symbol, days);
@@ -128,10 +131,7 @@ router.get('/validate/:symbol', async (req, res) => {
     });
   } catch (error) {
     console.error('Error validating predictions:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -142,10 +142,12 @@ router.get('/validate/:symbol', async (req, res) => {
  *   - cryptoId: cryptocurrency ID
  *   - days: number of days to backtest (default: 90)
  *   - initialCapital: starting capital (default: 10000)
+ *   - provider: market data provider (optional)
+ *   - interval: candle interval - 1h, 4h or 1d (default: 1d)
  */
 router.post('/report', async (req, res) => {
   try {
-    const { cryptoId, days = 90, initialCapital = 10000 } = req.body;
+    const { cryptoId, days = 90, initialCapital = 10000, provider, interval } = req.body;
 
     if (!cryptoId) {
       return res.status(400).json({
@@ -155,7 +157,11 @@ router.post('/report', async (req, res) => {
     }
 
     // Run backtest
-    const backtestResult = await backtestingService.runBacktest(cryptoId, days, initialCapital);
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider });
+    const backtestResult = await backtestingService.runBacktest(providerId, days, initialCapital, {
+      provider,
+      interval
+    });
 
     if (!backtestResult.success) {
       return res.status(400).json(backtestResult);
@@ -171,10 +177,7 @@ router.post('/report', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating report:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -186,14 +189,21 @@ router.post('/report', async (req, res) => {
  * Query params:
  *   - days: number of days (default: 90)
  *   - initialCapital: starting capital (default: 10000)
+ *   - provider: market data provider (optional)
+ *   - interval: candle interval - 1h, 4h or 1d (default: 1d)
  */
 router.get('/metrics/:cryptoId', async (req, res) => {
   try {
-    const cryptoId = req.params.cryptoId;
+    const cryptoId = await assetRegistryService.resolveProviderId(req.params.cryptoId, {
+      provider: req.query.provider
+    });
     const days = parseInt(req.query.days) || 90;
     const initialCapital = parseInt(req.query.initialCapital) || 10000;
 
-    const result = await backtestingService.runBacktest(cryptoId, days, initialCapital);
+    const result = await backtestingService.runBacktest(cryptoId, days, initialCapital, {
+      provider: req.query.provider,
+      interval: req.query.interval
+    });
 
     if (!result.success) {
       return res.status(400).json(result);
@@ -214,10 +224,7 @@ router.get('/metrics/:cryptoId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting backtest metrics:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -5,41 +5,181 @@
 
 const express = require('express');
 const router = express.Router();
-const coingeckoService = require('../services/coingeckoService');
+const marketDataService = require('../services/marketDataService');
+const priceIngestionService = require('../services/priceIngestionService');
+const fxService = require('../services/fxService');
+const assetRegistryService = require('../services/assetRegistryService');
 const { getPrismaClient } = require('../utils/db');
+const { sendError } = require('../utils/errors');
+const { SUPPORTED_QUOTES, normalizeQuote } = require('../utils/quotes');
 
 /**
  * GET /api/cryptocurrencies
  * Get list of all cryptocurrencies with current data
  * Query params:
  *   - limit: Number of cryptocurrencies to fetch (default: 50, max: 250)
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - quote: Quote currency (usd, eur, btc, ...; default: usd)
  */
 router.get('/', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 250);
-    const cryptos = await coingeckoService.getAllCryptocurrencies(limit);
+    const quote = normalizeQuote(req.query.quote);
+    const cryptos = await marketDataService.listMarkets(limit, {
+      provider: req.query.provider,
+      quote,
+    });
     
     res.json({
       success: true,
+      quote,
       count: cryptos.length,
-      data: cryptos.map(crypto => ({
-        id: crypto.id,
-        symbol: crypto.symbol.toUpperCase(),
-        name: crypto.name,
-        currentPrice: crypto.current_price,
-        marketCap: crypto.market_cap,
-        volume24h: crypto.total_volume,
-        priceChange24h: crypto.price_change_percentage_24h,
-        priceChange7d: crypto.price_change_percentage_7d,
-        marketCapRank: crypto.market_cap_rank,
-      })),
+      data: cryptos,
     });
   } catch (error) {
     console.error('Error fetching cryptocurrencies:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/cryptocurrencies/search/:query
+ * Search for cryptocurrencies by name or symbol
+ * Params:
+ *   - query: Search query
+ * Query params:
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ */
+router.get('/search/:query', async (req, res) => {
+  try {
+    const { query } = req.params;
+    const results = await marketDataService.search(query, { provider: req.query.provider });
+    
+    res.json({
+      success: true,
+      query,
+      count: results.length,
+      data: results,
+    });
+  } catch (error) {
+    console.error('Error searching cryptocurrencies:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/cryptocurrencies/trending
+ * Get trending cryptocurrencies
+ * Query params:
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const trending = await marketDataService.getTrending({ provider: req.query.provider });
+    
+    res.json({
+      success: true,
+      count: trending.length,
+      data: trending,
+    });
+  } catch (error) {
+    console.error('Error fetching trending cryptocurrencies:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/cryptocurrencies/ingestion/status
+ * Get price history ingestion scheduler status and per-coin results
+ */
+router.get('/ingestion/status', (_req, res) => {
+  res.json({
+    success: true,
+    data: priceIngestionService.getStatus(),
+  });
+});
+
+/**
+ * POST /api/cryptocurrencies/ingestion/run
+ * Run one ingestion cycle over the configured watchlist now
+ */
+router.post('/ingestion/run', async (_req, res) => {
+  try {
+    const result = await priceIngestionService.runIngestionCycle();
+    
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error running price ingestion:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/cryptocurrencies/ingestion/backfill
+ * Backfill stored price history for a cryptocurrency
+ * Body:
+ *   - cryptoId: Coin ID or ticker (bitcoin, BTC, etc.)
+ *   - days: (optional) Number of days to backfill (default: PRICE_INGESTION_BACKFILL_DAYS)
+ *   - interval: (optional) Candle interval - 1h, 4h or 1d (default: PRICE_INGESTION_INTERVAL)
+ *   - provider: (optional) Market data provider
+ *   - quote: (optional) Quote currency to store (default: first of PRICE_INGESTION_QUOTES)
+ */
+router.post('/ingestion/backfill', async (req, res) => {
+  try {
+    const { cryptoId, days, interval, provider, quote } = req.body;
+    
+    if (!cryptoId) {
+      return res.status(400).json({
+        success: false,
+        error: 'cryptoId is required',
+      });
+    }
+    
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider });
+    const result = await priceIngestionService.backfill(providerId, {
+      days: parseInt(days) || undefined,
+      interval,
+      provider,
+      quote,
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error backfilling price history:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/cryptocurrencies/quotes
+ * List supported quote currencies with their spot exchange rates
+ * Query params:
+ *   - base: Currency the rates are expressed against (default: usd)
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ */
+router.get('/quotes', async (req, res) => {
+  try {
+    const base = normalizeQuote(req.query.base);
+    const rates = {};
+    
+    for (const quote of SUPPORTED_QUOTES) {
+      rates[quote] = await fxService.getRate(base, quote, { provider: req.query.provider });
+    }
+    
+    res.json({
+      success: true,
+      base,
+      data: rates,
     });
+  } catch (error) {
+    console.error('Error fetching quote currencies:', error.message);
+    sendError(res, error);
   }
 });
 
@@ -47,39 +187,27 @@ router.get('/', async (req, res) => {
  * GET /api/cryptocurrencies/:cryptoId
  * Get detailed data for a specific cryptocurrency
  * Params:
- *   - cryptoId: CoinGecko cryptocurrency ID (bitcoin, ethereum, etc.)
+ *   - cryptoId: Coin ID or ticker resolved via the asset registry (bitcoin, BTC, etc.)
+ * Query params:
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - quote: Quote currency (default: usd)
  */
 router.get('/:cryptoId', async (req, res) => {
   try {
     const { cryptoId } = req.params;
-    const crypto = await coingeckoService.getCryptocurrencyData(cryptoId.toLowerCase());
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider: req.query.provider });
+    const crypto = await marketDataService.getCoin(providerId, {
+      provider: req.query.provider,
+      quote: req.query.quote,
+    });
     
     res.json({
       success: true,
-      data: {
-        id: crypto.id,
-        symbol: crypto.symbol.toUpperCase(),
-        name: crypto.name,
-        description: crypto.description?.en,
-        currentPrice: crypto.market_data?.current_price?.usd,
-        marketCap: crypto.market_data?.market_cap?.usd,
-        volume24h: crypto.market_data?.total_volume?.usd,
-        priceChange24h: crypto.market_data?.price_change_percentage_24h,
-        priceChange7d: crypto.market_data?.price_change_percentage_7d,
-        priceChange30d: crypto.market_data?.price_change_percentage_30d,
-        ath: crypto.market_data?.ath?.usd,
-        atl: crypto.market_data?.atl?.usd,
-        circulatingSupply: crypto.market_data?.circulating_supply,
-        totalSupply: crypto.market_data?.total_supply,
-        maxSupply: crypto.market_data?.max_supply,
-      },
+      data: crypto,
     });
   } catch (error) {
     console.error('Error fetching cryptocurrency data:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
@@ -87,21 +215,29 @@ router.get('/:cryptoId', async (req, res) => {
  * GET /api/cryptocurrencies/:cryptoId/history
  * Get historical price data for a cryptocurrency
  * Params:
- *   - cryptoId: CoinGecko cryptocurrency ID
+ *   - cryptoId: Coin ID or ticker (bitcoin, BTC, etc.)
  * Query params:
  *   - days: Number of days of history (default: 30, max: 365)
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - quote: Quote currency (default: usd)
  */
 router.get('/:cryptoId/history', async (req, res) => {
   try {
     const { cryptoId } = req.params;
     const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const quote = normalizeQuote(req.query.quote);
     
-    const prices = await coingeckoService.getHistoricalPrices(cryptoId.toLowerCase(), days);
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider: req.query.provider });
+    const prices = await marketDataService.getHistoricalPrices(providerId, days, {
+      provider: req.query.provider,
+      quote,
+    });
     
     res.json({
       success: true,
-      cryptoId,
+      cryptoId: providerId,
       days,
+      quote,
       count: prices.length,
       data: prices.map(([timestamp, price]) => ({
         timestamp: new Date(timestamp),
@@ -110,69 +246,49 @@ router.get('/:cryptoId/history', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching price history:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
 /**
- * GET /api/cryptocurrencies/search/:query
- * Search for cryptocurrencies by name or symbol
+ * GET /api/cryptocurrencies/:cryptoId/candles
+ * Get OHLCV candles for a cryptocurrency
  * Params:
- *   - query: Search query
+ *   - cryptoId: Coin ID or ticker (bitcoin, BTC, etc.)
+ * Query params:
+ *   - days: Number of days of history (default: 30, max: 365)
+ *   - interval: Candle interval - 1h, 4h or 1d (default: 1d)
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - quote: Quote currency (default: usd)
  */
-router.get('/search/:query', async (req, res) => {
+router.get('/:cryptoId/candles', async (req, res) => {
   try {
-    const { query } = req.params;
-    const results = await coingeckoService.searchCryptocurrency(query);
+    const { cryptoId } = req.params;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const interval = req.query.interval || '1d';
+    const quote = normalizeQuote(req.query.quote);
     
-    res.json({
-      success: true,
-      query,
-      count: results.length,
-      data: results.map(crypto => ({
-        id: crypto.id,
-        symbol: crypto.symbol.toUpperCase(),
-        name: crypto.name,
-        thumb: crypto.thumb,
-      })),
+    const providerId = await assetRegistryService.resolveProviderId(cryptoId, { provider: req.query.provider });
+    const candles = await marketDataService.getCandles(providerId, days, interval, {
+      provider: req.query.provider,
+      quote,
     });
-  } catch (error) {
-    console.error('Error searching cryptocurrencies:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
-
-/**
- * GET /api/cryptocurrencies/trending
- * Get trending cryptocurrencies
- */
-router.get('/trending', async (req, res) => {
-  try {
-    const trending = await coingeckoService.getTrendingCryptocurrencies();
     
     res.json({
       success: true,
-      count: trending.length,
-      data: trending.map(item => ({
-        id: item.item.id,
-        symbol: item.item.symbol.toUpperCase(),
-        name: item.item.name,
-        marketCapRank: item.item.market_cap_rank,
-        thumb: item.item.thumb,
+      cryptoId: providerId,
+      days,
+      interval,
+      quote,
+      count: candles.length,
+      data: candles.map(candle => ({
+        ...candle,
+        timestamp: new Date(candle.timestamp),
       })),
     });
   } catch (error) {
-    console.error('Error fetching trending cryptocurrencies:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    console.error('Error fetching candles:', error.message);
+    sendError(res, error);
   }
 });
 
@@ -180,15 +296,16 @@ router.get('/trending', async (req, res) => {
  * GET /api/cryptocurrencies/db/:symbol
  * Get cryptocurrency data from local database
  * Params:
- *   - symbol: Cryptocurrency symbol (BTC, ETH, etc.)
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
  */
 router.get('/db/:symbol', async (req, res) => {
   try {
     const prisma = getPrismaClient();
     const { symbol } = req.params;
+    const ticker = await assetRegistryService.resolveTicker(symbol);
     
     const crypto = await prisma.cryptocurrency.findUnique({
-      where: { symbol: symbol.toUpperCase() },
+      where: { symbol: ticker },
       include: {
         predictions: {
           orderBy: { createdAt: 'desc' },
@@ -214,10 +331,76 @@ router.get('/db/:symbol', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching from database:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/cryptocurrencies/db/:symbol/history
+ * Get stored price history from the local database
+ * Params:
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
+ * Query params:
+ *   - days: Number of days of history (default: 30), ignored when from is given
+ *   - from: (optional) Start date (ISO 8601)
+ *   - to: (optional) End date (ISO 8601, default: now)
+ *   - interval: Candle interval - 1h, 4h or 1d (default: 1d)
+ *   - quote: Quote currency the history was stored in (default: usd)
+ *   - limit: Maximum number of rows, the latest in the range (default: 1000, max: 10000)
+ */
+router.get('/db/:symbol/history', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const days = parseInt(req.query.days) || 30;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    const interval = req.query.interval || '1d';
+    const quote = normalizeQuote(req.query.quote);
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 10000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates',
+      });
+    }
+    
+    const ticker = await assetRegistryService.resolveTicker(symbol);
+    const result = await priceIngestionService.getStoredHistory(ticker, {
+      from,
+      to,
+      interval,
+      quote,
+      limit,
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Cryptocurrency ${symbol} not found in database`,
+      });
+    }
+    
+    res.json({
+      success: true,
+      symbol: result.crypto.symbol,
+      interval,
+      quote,
+      from,
+      to,
+      count: result.history.length,
+      data: result.history.map(row => ({
+        timestamp: row.timestamp,
+        price: row.price,
+        volume: row.volume,
+        marketCap: row.marketCap,
+      })),
     });
+  } catch (error) {
+    console.error('Error fetching stored price history:', error.message);
+    sendError(res, error);
   }
 });
 
@@ -6,32 +6,232 @@
 const express = require('express');
 const router = express.Router();
 const newsScrapingService = require('../services/newsScrapingService');
+const newsSourceService = require('../services/newsSourceService');
+const newsEventService = require('../services/newsEventService');
+const assetRegistryService = require('../services/assetRegistryService');
+const { sendError } = require('../utils/errors');
 
 /**
  * GET /api/news/feed
- * Fetch latest cryptocurrency news from multiple sources
+ * Fetch latest cryptocurrency news from multiple sources, or from stored articles
  * Query params:
  *   - limit: number of articles (default: 50)
  *   - crypto: specific cryptocurrency symbol (optional)
+ *   - origin: live (fetch the feeds) or db (stored articles) (default: NEWS_FEED_ORIGIN)
+ *   - store: true to store live articles (default: NEWS_STORE_ARTICLES)
+ *   - source: only stored articles from this source (db only)
+ *   - from, to: published date range (ISO dates, db only)
+ *   - offset: number of stored articles to skip (db only, default: 0)
  */
 router.get('/feed', async (req, res) => {
   try {
+    const config = newsScrapingService.getConfig();
     const limit = parseInt(req.query.limit) || 50;
-    const crypto = req.query.crypto || null;
+    const crypto = req.query.crypto ? await assetRegistryService.resolveTicker(req.query.crypto) : null;
+    const origin = req.query.origin || config.feedOrigin;
+    const store = req.query.store !== undefined ? req.query.store === 'true' : config.storeArticles;
+
+    if (origin === 'db') {
+      const { source, from, to, offset } = req.query;
+      const { total, data } = await newsScrapingService.getStoredNews({
+        symbol: crypto,
+        source,
+        from,
+        to,
+        limit,
+        offset,
+      });
+
+      return res.json({
+        success: true,
+        origin,
+        count: data.length,
+        total,
+        data
+      });
+    }
+
+    if (origin !== 'live') {
+      return res.status(400).json({
+        success: false,
+        error: 'origin must be live or db'
+      });
+    }
 
     const articles = await newsScrapingService.fetchNewsFromFeeds(crypto, limit);
+    const stored = store ? await newsScrapingService.storeNewsArticles(articles) : null;
 
     res.json({
       success: true,
+      origin,
       count: articles.length,
+      stored,
       data: articles
     });
   } catch (error) {
     console.error('Error fetching news feed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/stories
+ * Get stored articles grouped into stories, so copies of a story by several outlets appear once
+ * Query params:
+ *   - crypto: specific cryptocurrency symbol (optional)
+ *   - hours: look-back window (default: 24)
+ *   - limit: number of stories (default: 50)
+ */
+router.get('/stories', async (req, res) => {
+  try {
+    const crypto = req.query.crypto ? await assetRegistryService.resolveTicker(req.query.crypto) : null;
+    const { total, data } = await newsScrapingService.getStories({
+      symbol: crypto,
+      hours: req.query.hours,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      total,
+      data
     });
+  } catch (error) {
+    console.error('Error fetching news stories:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/search
+ * Full-text search over stored articles, with matches highlighted
+ * Query params:
+ *   - q: search query; words match stemmed, "quoted text" matches a phrase, OR and -word are supported
+ *   - crypto: specific cryptocurrency symbol (optional)
+ *   - source: only articles from this source (optional)
+ *   - from, to: published date range (ISO dates, optional)
+ *   - sentiment: POSITIVE, NEGATIVE or NEUTRAL (optional)
+ *   - sort: relevance or date (default: relevance)
+ *   - limit: number of articles (default: 20, max 500)
+ *   - offset: number of articles to skip (default: 0)
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, source, from, to, sentiment, sort, limit, offset } = req.query;
+    const crypto = req.query.crypto ? await assetRegistryService.resolveTicker(req.query.crypto) : null;
+
+    const { total, data } = await newsScrapingService.searchNews(q, {
+      symbol: crypto,
+      source,
+      from,
+      to,
+      sentiment,
+      sort,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      query: q.trim(),
+      count: data.length,
+      total,
+      data
+    });
+  } catch (error) {
+    console.error('Error searching news:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/events
+ * Get stored articles tagged with news events, newest first
+ * Query params:
+ *   - type: hack, listing, regulation, etf or partnership (optional, default: any event)
+ *   - severity: lowest severity of the article's most severe event: low, medium, high or critical (optional)
+ *   - crypto: specific cryptocurrency symbol (optional)
+ *   - from, to: published date range (ISO dates, optional)
+ *   - limit: number of articles (default: 50, max 500)
+ *   - offset: number of articles to skip (default: 0)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { type, severity, from, to, limit, offset } = req.query;
+    const crypto = req.query.crypto ? await assetRegistryService.resolveTicker(req.query.crypto) : null;
+
+    const { total, data } = await newsScrapingService.getNewsEvents({
+      type,
+      severity,
+      symbol: crypto,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      total,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching news events:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/events/classifier
+ * Get the event classifier's training state
+ */
+router.get('/events/classifier', (_req, res) => {
+  res.json({
+    success: true,
+    data: newsEventService.getClassifierStatus()
+  });
+});
+
+/**
+ * POST /api/news/events/train
+ * Store labeled examples and retrain the event classifier
+ * Body:
+ *   - examples: Array of { text, type } where type is an event type or none (at most 1000)
+ */
+router.post('/events/train', async (req, res) => {
+  try {
+    const { added, status } = await newsEventService.addTrainingExamples(req.body.examples);
+
+    res.json({
+      success: true,
+      added,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error training news event classifier:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/news/events/reclassify
+ * Classify recently stored articles into events again (no alerts are raised)
+ * Body:
+ *   - days: look-back window (default: 7)
+ */
+router.post('/events/reclassify', async (req, res) => {
+  try {
+    const summary = await newsScrapingService.reclassifyStoredArticles({ days: req.body.days });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error reclassifying news events:', error);
+    sendError(res, error);
   }
 });
 
@@ -45,7 +245,7 @@ router.get('/feed', async (req, res) => {
  */
 router.get('/sentiment/:symbol', async (req, res) => {
   try {
-    const symbol = req.params.symbol.toUpperCase();
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
     const days = parseInt(req.query.days) || 7;
 
     const sentiment = await newsScrapingService.analyzeNewsSentiment(symbol, days);
@@ -91,15 +291,29 @@ router.get('/trending', async (req, res) => {
 
 /**
  * GET /api/news/impact/:symbol
- * Calculate news impact score for a cryptocurrency
+ * Event study of how stored news moved a cryptocurrency's price
  * Params:
  *   - symbol: cryptocurrency symbol (e.g., BTC, ETH)
+ * Query params:
+ *   - days: articles published in the last days (default: 30, max 365)
+ *   - windows: comma-separated event windows as start:end offsets from publication,
+ *     e.g. -1h:+24h (default: NEWS_IMPACT_WINDOWS)
  */
 router.get('/impact/:symbol', async (req, res) => {
   try {
-    const symbol = req.params.symbol.toUpperCase();
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
+
+    const impact = await newsScrapingService.getNewsImpactScore(symbol, {
+      days: req.query.days,
+      windows: req.query.windows
+    });
 
-    const impact = await newsScrapingService.getNewsImpactScore(symbol);
+    if (!impact) {
+      return res.status(404).json({
+        success: false,
+        error: `Cryptocurrency ${symbol} not found`
+      });
+    }
 
     res.json({
       success: true,
@@ -107,10 +321,116 @@ router.get('/impact/:symbol', async (req, res) => {
     });
   } catch (error) {
     console.error('Error calculating news impact:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/sources
+ * List registered news sources with their settings and fetch health
+ */
+router.get('/sources', async (_req, res) => {
+  try {
+    const sources = await newsSourceService.listSources();
+
+    res.json({
+      success: true,
+      count: sources.length,
+      data: sources
+    });
+  } catch (error) {
+    console.error('Error listing news sources:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/news/sources/health
+ * Get the fetch health of every news source and the ingestion scheduler status
+ */
+router.get('/sources/health', async (_req, res) => {
+  try {
+    const health = await newsSourceService.getSourceHealth();
+
+    res.json({
+      success: true,
+      count: health.sources.length,
+      byStatus: health.byStatus,
+      ingestion: newsScrapingService.getIngestionStatus(),
+      data: health.sources
+    });
+  } catch (error) {
+    console.error('Error fetching news source health:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/news/sources
+ * Register a news source
+ * Body:
+ *   - name: Source name (used as the source of its articles)
+ *   - type: rss, atom, json (JSON Feed) or file
+ *   - url: Feed URL, or for file sources a path under NEWS_SOURCE_DIR
+ *   - id: (optional) lowercase letters, digits and dashes (default: from the name)
+ *   - category: (optional) Category of its articles (default: crypto_news)
+ *   - reliability: (optional) 0-1, also its sentiment source weight (default: 0.6)
+ *   - fetchIntervalMinutes: (optional) Minutes between scheduled fetches (default: 15)
+ *   - enabled: (optional) Whether the source is fetched (default: true)
+ */
+router.post('/sources', async (req, res) => {
+  try {
+    const source = await newsSourceService.createSource(req.body);
+
+    res.json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    console.error('Error creating news source:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/news/sources/:id
+ * Update a news source's settings, e.g. { "enabled": false } to stop fetching it
+ * Params:
+ *   - id: Source ID
+ * Body:
+ *   - Any of name, type, url, category, reliability, fetchIntervalMinutes, enabled
+ */
+router.put('/sources/:id', async (req, res) => {
+  try {
+    const source = await newsSourceService.updateSource(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: source
     });
+  } catch (error) {
+    console.error('Error updating news source:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/news/sources/:id
+ * Remove a news source; articles already stored from it are kept
+ * Params:
+ *   - id: Source ID
+ */
+router.delete('/sources/:id', async (req, res) => {
+  try {
+    const source = await newsSourceService.deleteSource(req.params.id);
+
+    res.json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    console.error('Error deleting news source:', error.message);
+    sendError(res, error);
   }
 });
 
@@ -7,6 +7,13 @@
  * - Risk metrics (VaR, CVaR, Sharpe, Sortino ratios)
  * - Monte Carlo simulations
  * - Rebalancing recommendations
+ * - Live valuation in any quote currency
+ * 
+ * Endpoints that take prices accept two optional body fields:
+ * - "currency": currency the given prices are in (default: "usd")
+ * - "quote": currency to analyze and report in (default: "usd"), e.g. "eur" or "btc"
+ * Prices are converted at the spot rate; historical price points given as
+ * { "timestamp", "value" } are converted at the rate on that day.
  * 
  * @module routes/portfolio
  */
@@ -14,6 +21,97 @@
 const express = require('express');
 const router = express.Router();
 const portfolioOptimizationService = require('../services/portfolioOptimizationService');
+const fxService = require('../services/fxService');
+const { normalizeQuote } = require('../utils/quotes');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Convert the prices in a request body into the requested quote currency
+ * 
+ * @param {Object} body - Request body with optional quote and currency
+ * @param {Object} prices - { holdings, historicalPrices } to convert (either may be omitted)
+ * @returns {Promise<Object>} { quote, holdings, historicalPrices } in the quote currency
+ */
+async function convertRequestPrices(body, { holdings, historicalPrices }) {
+  const quote = normalizeQuote(body.quote);
+  const from = normalizeQuote(body.currency || 'usd');
+  const converted = { quote };
+  
+  if (holdings) {
+    converted.holdings = await fxService.convertHoldings(holdings, quote, { from });
+  }
+  
+  if (historicalPrices) {
+    converted.historicalPrices = {};
+    for (const [symbol, prices] of Object.entries(historicalPrices)) {
+      converted.historicalPrices[symbol] = await fxService.convertSeries(prices, from, quote);
+    }
+  }
+  
+  return converted;
+}
+
+/**
+ * POST /api/portfolio/valuation
+ * 
+ * Value holdings at live market prices in a quote currency
+ * 
+ * Request body:
+ * {
+ *   "holdings": [
+ *     { "cryptoId": "bitcoin", "amount": 0.5, "costBasis": 20000, "costCurrency": "usd", "purchasedAt": "2026-01-15" },
+ *     { "cryptoId": "ethereum", "amount": 5, "costBasis": 9000, "costCurrency": "eur" }
+ *   ],
+ *   "quote": "eur",
+ *   "provider": "coingecko"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "quote": "eur",
+ *     "totalValue": 29500,
+ *     "totalCost": 27400,
+ *     "totalGain": 2100,
+ *     "totalGainPercent": 7.66,
+ *     "holdings": [
+ *       { "cryptoId": "bitcoin", "symbol": "BTC", "amount": 0.5, "price": 36450, "value": 18225,
+ *         "cost": 18400, "gain": -175, "gainPercent": -0.95, "weight": 61.8 },
+ *       ...
+ *     ]
+ *   }
+ * }
+ */
+router.post('/valuation', async (req, res) => {
+  try {
+    const { holdings, quote, provider } = req.body;
+    
+    if (!holdings || !Array.isArray(holdings) || holdings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Holdings array is required and must not be empty'
+      });
+    }
+    
+    const invalid = holdings.find(holding => !holding.cryptoId || typeof holding.amount !== 'number');
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each holding requires cryptoId and a numeric amount'
+      });
+    }
+    
+    const valuation = await portfolioOptimizationService.valuePortfolio(holdings, { quote, provider });
+    
+    res.json({
+      success: true,
+      data: valuation
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
 /**
  * POST /api/portfolio/analyze
@@ -32,12 +130,15 @@ const portfolioOptimizationService = require('../services/portfolioOptimizationS
  *     "ETH": [2400, 2450, 2500, 2520, 2550],
  *     "SOL": [140, 145, 150, 152, 155]
  *   },
- *   "riskFreeRate": 0.05
+ *   "riskFreeRate": 0.05,
+ *   "currency": "usd",
+ *   "quote": "eur"
  * }
  * 
  * Response:
  * {
  *   "success": true,
+ *   "quote": "eur",
  *   "data": {
  *     "totalValue": 50000,
  *     "allocation": {
@@ -61,7 +162,7 @@ const portfolioOptimizationService = require('../services/portfolioOptimizationS
  *   }
  * }
  */
-router.post('/analyze', (req, res) => {
+router.post('/analyze', async (req, res) => {
   try {
     const { holdings, historicalPrices, riskFreeRate = 0.05 } = req.body;
     
@@ -73,22 +174,25 @@ router.post('/analyze', (req, res) => {
       });
     }
     
+    const quoted = await convertRequestPrices(req.body, {
+      holdings,
+      historicalPrices: historicalPrices || {}
+    });
+    
     // Analyze portfolio using service
     const analysis = portfolioOptimizationService.analyzePortfolio({
-      holdings,
-      historicalPrices: historicalPrices || {},
+      holdings: quoted.holdings,
+      historicalPrices: quoted.historicalPrices,
       riskFreeRate
     });
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: analysis
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -134,7 +238,7 @@ router.post('/analyze', (req, res) => {
  *   }
  * }
  */
-router.post('/optimize', (req, res) => {
+router.post('/optimize', async (req, res) => {
   try {
     const { symbols, historicalPrices, constraints = {}, riskFreeRate = 0.05 } = req.body;
     
@@ -153,23 +257,24 @@ router.post('/optimize', (req, res) => {
       });
     }
     
+    // Returns depend on the quote currency (e.g. BTC terms), so convert first
+    const quoted = await convertRequestPrices(req.body, { historicalPrices });
+    
     // Optimize portfolio using service
     const optimization = portfolioOptimizationService.optimizePortfolio({
       symbols,
-      historicalPrices,
+      historicalPrices: quoted.historicalPrices,
       constraints,
       riskFreeRate
     });
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: optimization
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -221,7 +326,7 @@ router.post('/optimize', (req, res) => {
  *   }
  * }
  */
-router.post('/rebalance', (req, res) => {
+router.post('/rebalance', async (req, res) => {
   try {
     const { currentHoldings, targetAllocation, rebalancingThreshold = 0.05 } = req.body;
     
@@ -240,22 +345,22 @@ router.post('/rebalance', (req, res) => {
       });
     }
     
+    const quoted = await convertRequestPrices(req.body, { holdings: currentHoldings });
+    
     // Generate rebalancing recommendations
     const recommendations = portfolioOptimizationService.generateRebalancingRecommendations({
-      currentHoldings,
+      currentHoldings: quoted.holdings,
       targetAllocation,
       rebalancingThreshold
     });
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: recommendations
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -307,7 +412,7 @@ router.post('/rebalance', (req, res) => {
  *   }
  * }
  */
-router.post('/monte-carlo', (req, res) => {
+router.post('/monte-carlo', async (req, res) => {
   try {
     const { holdings, historicalPrices, simulations = 10000, days = 30 } = req.body;
     
@@ -326,23 +431,23 @@ router.post('/monte-carlo', (req, res) => {
       });
     }
     
+    const quoted = await convertRequestPrices(req.body, { holdings, historicalPrices });
+    
     // Run Monte Carlo simulation
     const simulation = portfolioOptimizationService.runMonteCarloSimulation({
-      holdings,
-      historicalPrices,
+      holdings: quoted.holdings,
+      historicalPrices: quoted.historicalPrices,
       simulations,
       days
     });
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: simulation
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -380,7 +485,7 @@ router.post('/monte-carlo', (req, res) => {
  *   }
  * }
  */
-router.post('/diversification', (req, res) => {
+router.post('/diversification', async (req, res) => {
   try {
     const { holdings } = req.body;
     
@@ -392,18 +497,18 @@ router.post('/diversification', (req, res) => {
       });
     }
     
+    const quoted = await convertRequestPrices(req.body, { holdings });
+    
     // Analyze diversification
-    const analysis = portfolioOptimizationService.analyzeDiversification(holdings);
+    const analysis = portfolioOptimizationService.analyzeDiversification(quoted.holdings);
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: analysis
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -445,7 +550,7 @@ router.post('/diversification', (req, res) => {
  *   }
  * }
  */
-router.post('/risk-metrics', (req, res) => {
+router.post('/risk-metrics', async (req, res) => {
   try {
     const { holdings, historicalPrices, riskFreeRate = 0.05, confidenceLevel = 0.95 } = req.body;
     
@@ -464,23 +569,23 @@ router.post('/risk-metrics', (req, res) => {
       });
     }
     
+    const quoted = await convertRequestPrices(req.body, { holdings, historicalPrices });
+    
     // Calculate risk metrics
     const metrics = portfolioOptimizationService.calculateRiskMetrics({
-      holdings,
-      historicalPrices,
+      holdings: quoted.holdings,
+      historicalPrices: quoted.historicalPrices,
       riskFreeRate,
       confidenceLevel
     });
     
     res.json({
       success: true,
+      quote: quoted.quote,
       data: metrics
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
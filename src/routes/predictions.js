@@ -6,17 +6,50 @@
 const express = require('express');
 const router = express.Router();
 const predictionService = require('../services/predictionService');
+const assetRegistryService = require('../services/assetRegistryService');
+const predictionSchedulerService = require('../services/predictionSchedulerService');
+const predictionEvaluationService = require('../services/predictionEvaluationService');
+const calibrationService = require('../services/calibrationService');
+const { sendError } = require('../utils/errors');
+const { toCsv } = require('../utils/csv');
+
+const HISTORY_CSV_COLUMNS = [
+  'createdAt',
+  'horizon',
+  'profile',
+  'signal',
+  'previousSignal',
+  'changed',
+  'confidence',
+  'rawConfidence',
+  'priceTarget',
+  'quote',
+  'price',
+  'priceSource',
+  'realizedPrice',
+  'realizedReturn',
+  'hit',
+  'evaluatedAt',
+  'id',
+];
 
 /**
  * GET /api/predictions
- * Get all latest predictions for cryptocurrencies
+ * Get all latest predictions for cryptocurrencies, one per horizon
  * Query params:
- *   - limit: Maximum number of predictions (default: 50)
+ *   - limit: Maximum number of cryptocurrencies (default: 50)
+ *   - quote: Quote currency for prices and price targets (usd, eur, btc, ...; default: usd)
+ *   - horizon: Only return predictions for this horizon (1h, 24h, 7d, 30d; default: all)
+ *   - profile: Only return predictions made with this signal profile (default: any)
  */
 router.get('/', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
-    const predictions = await predictionService.getAllLatestPredictions(limit);
+    const predictions = await predictionService.getAllLatestPredictions(limit, {
+      quote: req.query.quote,
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+    });
     
     res.json({
       success: true,
@@ -25,23 +58,213 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching predictions:', error.message);
-    res.status(500).json({
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/scheduler/status
+ * Get prediction scheduler status, next run time and the latest job summary
+ */
+router.get('/scheduler/status', (_req, res) => {
+  res.json({
+    success: true,
+    data: predictionSchedulerService.getStatus(),
+  });
+});
+
+/**
+ * GET /api/predictions/scheduler/jobs
+ * Get finished prediction jobs, newest first
+ * Query params:
+ *   - limit: Maximum number of jobs (default: 20)
+ */
+router.get('/scheduler/jobs', (req, res) => {
+  const jobs = predictionSchedulerService.getJobs(parseInt(req.query.limit) || 20);
+  
+  res.json({
+    success: true,
+    count: jobs.length,
+    data: jobs,
+  });
+});
+
+/**
+ * GET /api/predictions/scheduler/jobs/:jobId
+ * Get a prediction job with per-symbol results
+ * Params:
+ *   - jobId: Job ID
+ */
+router.get('/scheduler/jobs/:jobId', (req, res) => {
+  const job = predictionSchedulerService.getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      error: error.message,
+      error: `Prediction job ${req.params.jobId} not found`,
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+/**
+ * POST /api/predictions/scheduler/run
+ * Run the prediction watchlist now
+ */
+router.post('/scheduler/run', async (_req, res) => {
+  try {
+    const result = await predictionSchedulerService.runJob({ trigger: 'manual' });
+    
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error running prediction job:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/accuracy/:symbol
+ * Get realized accuracy of evaluated predictions for a cryptocurrency
+ * Params:
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
+ * Query params:
+ *   - days: Window over prediction creation time (default: 30)
+ *   - horizon: Only report predictions for this horizon (1h, 24h, 7d, 30d; default: all)
+ *   - profile: Only report predictions made with this signal profile (default: all)
+ */
+router.get('/accuracy/:symbol', async (req, res) => {
+  try {
+    const ticker = await assetRegistryService.resolveTicker(req.params.symbol);
+    const accuracy = await predictionEvaluationService.getAccuracy(ticker, {
+      days: req.query.days,
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+    });
+    
+    if (!accuracy) {
+      return res.status(404).json({
+        success: false,
+        error: `Cryptocurrency ${req.params.symbol} not found in database`,
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: accuracy,
+    });
+  } catch (error) {
+    console.error('Error fetching prediction accuracy:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/evaluation/status
+ * Get prediction outcome evaluation status and the last cycle summary
+ */
+router.get('/evaluation/status', (_req, res) => {
+  res.json({
+    success: true,
+    data: predictionEvaluationService.getStatus(),
+  });
+});
+
+/**
+ * POST /api/predictions/evaluation/run
+ * Evaluate predictions whose horizon has passed now
+ */
+router.post('/evaluation/run', async (_req, res) => {
+  try {
+    const result = await predictionEvaluationService.runEvaluationCycle();
+    
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error evaluating predictions:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/calibration
+ * Report how well prediction confidence matches realized hit rates, with Brier scores,
+ * calibration error and reliability diagrams for raw and calibrated confidence
+ * Query params:
+ *   - symbol: (optional) Cryptocurrency ticker or coin ID (default: all)
+ *   - days: Window over prediction creation time (default: CALIBRATION_WINDOW_DAYS)
+ *   - horizon: (optional) Only report predictions for this horizon
+ *   - profile: (optional) Only report predictions made with this signal profile
+ *   - bins: Reliability diagram bins (default: CALIBRATION_BINS, 2-50)
+ */
+router.get('/calibration', async (req, res) => {
+  try {
+    const symbol = req.query.symbol
+      ? await assetRegistryService.resolveTicker(req.query.symbol)
+      : undefined;
+    const report = await calibrationService.getCalibrationReport({
+      symbol,
+      days: req.query.days,
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+      bins: req.query.bins,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error fetching calibration report:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/predictions/calibration/fit
+ * Refit the confidence calibration per signal profile, horizon and signal from evaluated predictions now
+ */
+router.post('/calibration/fit', async (_req, res) => {
+  try {
+    const result = await calibrationService.fitCalibrations();
+
+    res.json({
+      success: true,
+      data: result,
     });
+  } catch (error) {
+    console.error('Error fitting confidence calibration:', error.message);
+    sendError(res, error);
   }
 });
 
 /**
  * GET /api/predictions/:symbol
- * Get latest prediction for a specific cryptocurrency
+ * Get latest predictions for a specific cryptocurrency, one per horizon
  * Params:
- *   - symbol: Cryptocurrency symbol (BTC, ETH, etc.)
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
+ * Query params:
+ *   - quote: Quote currency for prices and price targets (default: usd)
+ *   - horizon: Only return the prediction for this horizon (1h, 24h, 7d, 30d; default: all)
+ *   - profile: Only return predictions made with this signal profile (default: any)
  */
 router.get('/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
-    const prediction = await predictionService.getLatestPrediction(symbol.toUpperCase());
+    const ticker = await assetRegistryService.resolveTicker(symbol);
+    const prediction = await predictionService.getLatestPrediction(ticker, {
+      quote: req.query.quote,
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+    });
     
     if (!prediction) {
       return res.status(404).json({
@@ -56,25 +279,140 @@ router.get('/:symbol', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching prediction:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/:symbol/explain
+ * Explain the latest prediction for a cryptocurrency: per-factor contributions to the
+ * composite score, the inputs and indicator values behind each factor, counterfactuals
+ * and the sentiment records that contributed
+ * Params:
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
+ * Query params:
+ *   - horizon: Prediction horizon (1h, 24h, 7d, 30d; default: 7d)
+ *   - profile: Only explain predictions made with this signal profile (default: any)
+ */
+router.get('/:symbol/explain', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const ticker = await assetRegistryService.resolveTicker(symbol);
+    const explanation = await predictionService.getPredictionExplanation(ticker, {
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+    });
+    
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        error: `No prediction found for ${symbol}`,
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: explanation,
     });
+  } catch (error) {
+    console.error('Error explaining prediction:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/predictions/:symbol/history
+ * Get stored predictions for a cryptocurrency as a signal timeline, with the price at each
+ * prediction and the realized outcome
+ * Params:
+ *   - symbol: Cryptocurrency ticker or coin ID (BTC, bitcoin, etc.)
+ * Query params:
+ *   - from: (optional) Start date (ISO 8601)
+ *   - to: (optional) End date (ISO 8601, default: now)
+ *   - days: Window length when from is not given (default: 30)
+ *   - horizon: (optional) Only this horizon (1h, 24h, 7d, 30d)
+ *   - profile: (optional) Only this signal profile
+ *   - changes: true to only return predictions whose signal changed (e.g. BUY -> SELL)
+ *   - order: asc or desc by creation time (default: desc)
+ *   - limit: Page size (default: 100, max: 5000)
+ *   - offset: Rows skipped (default: 0)
+ *   - format: json or csv (default: json)
+ */
+router.get('/:symbol/history', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv',
+      });
+    }
+
+    const ticker = await assetRegistryService.resolveTicker(symbol);
+    const history = await predictionService.getPredictionHistory(ticker, {
+      from: req.query.from,
+      to: req.query.to,
+      days: req.query.days,
+      horizon: req.query.horizon,
+      profile: req.query.profile,
+      changesOnly: req.query.changes === 'true',
+      order: req.query.order,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: `Cryptocurrency ${symbol} not found in database`,
+      });
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${history.symbol}-predictions.csv"`);
+      res.set('X-Total-Count', String(history.total));
+      return res.type('text/csv').send(toCsv(HISTORY_CSV_COLUMNS, history.data));
+    }
+
+    const { data, ...meta } = history;
+    res.json({
+      success: true,
+      ...meta,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error('Error fetching prediction history:', error.message);
+    sendError(res, error);
   }
 });
 
 /**
  * POST /api/predictions/generate/:cryptoId
- * Generate a new prediction for a cryptocurrency
+ * Generate new predictions for a cryptocurrency, one per horizon
  * Params:
- *   - cryptoId: CoinGecko cryptocurrency ID (bitcoin, ethereum, etc.)
+ *   - cryptoId: Coin ID or ticker resolved via the asset registry (bitcoin, BTC, etc.);
+ *     coins outside the registry are requested from the provider by the given ID
+ * Query params:
+ *   - provider: Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - horizon: Horizon or comma-separated horizons to predict (1h, 24h, 7d, 30d; default: all)
+ *   - interval: Candle interval used for every horizon (1h, 4h, 1d; default: each horizon's own)
+ *   - quote: Quote currency for the analysis and price target (default: usd)
+ *   - profile: Signal profile (balanced, conservative, momentum, sentiment-heavy or custom; default: SIGNAL_PROFILE_DEFAULT)
  */
 router.post('/generate/:cryptoId', async (req, res) => {
   try {
     const { cryptoId } = req.params;
+    const { provider, horizon, interval, quote, profile } = req.query;
+    
+    // Coins outside the registry (or without one) keep the provider's own ticker
+    const resolved = await assetRegistryService.resolve(cryptoId, { provider }).catch(() => null);
     const prediction = await predictionService.generatePrediction(
-      cryptoId.toLowerCase(),
-      cryptoId.toUpperCase()
+      resolved ? assetRegistryService.getProviderId(resolved.asset, provider) : cryptoId.trim().toLowerCase(),
+      resolved ? resolved.asset.ticker : null,
+      { provider, horizons: horizon, interval, quote, profile }
     );
     
     res.json({
@@ -83,22 +421,27 @@ router.post('/generate/:cryptoId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating prediction:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
 /**
  * POST /api/predictions/batch
  * Generate predictions for multiple cryptocurrencies
+ * Query params:
+ *   - horizon: Horizon or comma-separated horizons to predict (1h, 24h, 7d, 30d; default: all)
  * Body:
- *   - cryptoIds: Array of CoinGecko cryptocurrency IDs
+ *   - cryptoIds: Array of coin IDs or tickers (bitcoin, ETH, etc.)
+ *   - horizons: (optional) Array of horizons, used when the horizon query param is absent
+ *   - provider: (optional) Market data provider (default: MARKET_DATA_PROVIDER)
+ *   - interval: (optional) Candle interval used for every horizon (1h, 4h, 1d; default: each horizon's own)
+ *   - quote: (optional) Quote currency for the analysis and price targets (default: usd)
+ *   - profile: (optional) Signal profile (default: SIGNAL_PROFILE_DEFAULT)
  */
 router.post('/batch', async (req, res) => {
   try {
-    const { cryptoIds } = req.body;
+    const { cryptoIds, provider, interval, quote, profile } = req.body;
+    const horizons = req.query.horizon || req.body.horizons;
     
     if (!Array.isArray(cryptoIds) || cryptoIds.length === 0) {
       return res.status(400).json({
@@ -108,7 +451,8 @@ router.post('/batch', async (req, res) => {
     }
     
     const predictions = await predictionService.generateBatchPredictions(
-      cryptoIds.map(id => id.toLowerCase())
+      cryptoIds,
+      { provider, horizons, interval, quote, profile }
     );
     
     res.json({
@@ -118,10 +462,7 @@ router.post('/batch', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating batch predictions:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
@@ -6,7 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/aiService');
+const assetRegistryService = require('../services/assetRegistryService');
+const sentimentService = require('../services/sentimentService');
 const { getPrismaClient } = require('../utils/db');
+const { sendError } = require('../utils/errors');
 
 /**
  * POST /api/sentiment/analyze
@@ -48,6 +51,120 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sentiment/analyze-batch
+ * Analyze the sentiment of many texts, in model batches with a concurrency cap
+ * Body:
+ *   - texts: Array of texts, or of { text, cryptoSymbol } (at most SENTIMENT_BATCH_MAX_TEXTS)
+ *   - cryptoSymbol: (optional) Cryptocurrency for texts that do not name one
+ *   - store: (optional) true to store a Sentiment record per text (every text needs a cryptoSymbol)
+ *   - source: (optional) Source of stored records (default: manual)
+ */
+router.post('/analyze-batch', async (req, res) => {
+  try {
+    const { texts, cryptoSymbol, store = false, source } = req.body;
+    
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'texts must be a non-empty array',
+      });
+    }
+    
+    const entries = texts.map(entry => (
+      typeof entry === 'string' ? { text: entry } : entry || {}
+    ));
+    const invalid = entries.findIndex(entry => typeof entry.text !== 'string' || entry.text.trim().length === 0);
+    
+    if (invalid !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `texts[${invalid}] must be non-empty text`,
+      });
+    }
+    
+    if (store && entries.some(entry => !entry.cryptoSymbol && !cryptoSymbol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every text needs a cryptoSymbol (or a default cryptoSymbol) to be stored',
+      });
+    }
+    
+    // Resolve each distinct symbol once (coin IDs and aliases resolve via the asset registry)
+    const tickers = new Map();
+    for (const query of new Set(entries.map(entry => entry.cryptoSymbol || cryptoSymbol).filter(Boolean))) {
+      tickers.set(query, await assetRegistryService.resolveTicker(query));
+    }
+    
+    const { results, stored } = await sentimentService.analyzeBatch(
+      entries.map(entry => ({
+        text: entry.text,
+        symbol: tickers.get(entry.cryptoSymbol || cryptoSymbol),
+      })),
+      { store: Boolean(store), source }
+    );
+    
+    res.json({
+      success: true,
+      count: results.length,
+      model: aiService.getModelStatus().model,
+      stored,
+      data: results.map(result => ({
+        index: result.index,
+        text: entries[result.index].text.substring(0, 200), // Return first 200 chars
+        cryptoSymbol: result.symbol,
+        sentiment: result.sentiment,
+        confidence: result.confidence,
+        label: result.label,
+        method: result.method,
+      })),
+    });
+  } catch (error) {
+    console.error('Error analyzing sentiment batch:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/sentiment/analyze-entities
+ * Analyze sentiment per cryptocurrency mentioned in a text, from the clause around each mention
+ * Body:
+ *   - text: Text to analyze (e.g. a headline and its summary)
+ *   - store: (optional) true to store a Sentiment record per tracked coin, with its supporting span
+ *   - source: (optional) Source of stored records (default: manual)
+ */
+router.post('/analyze-entities', async (req, res) => {
+  try {
+    const { text, store = false, source } = req.body;
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Text is required',
+      });
+    }
+
+    const entities = sentimentService.analyzeEntitySentiment(text);
+    const stored = store && entities.length > 0
+      ? await sentimentService.storeEntitySentiments(entities, { text, source })
+      : null;
+
+    res.json({
+      success: true,
+      count: entities.length,
+      stored: stored && {
+        count: stored.records.length,
+        ids: stored.records.map(record => record.id),
+        unknownSymbols: stored.unknownSymbols,
+      },
+      data: entities,
+    });
+  } catch (error) {
+    console.error('Error analyzing entity sentiment:', error.message);
+    sendError(res, error);
+  }
+});
+
 /**
  * POST /api/sentiment/store
  * Store sentiment analysis in database
@@ -71,9 +188,10 @@ router.post('/store', async (req, res) => {
     
     const prisma = getPrismaClient();
     
-    // Find cryptocurrency by symbol
+    // Find cryptocurrency by ticker (coin IDs and aliases resolve via the asset registry)
+    const symbol = await assetRegistryService.resolveTicker(cryptoSymbol);
     const crypto = await prisma.cryptocurrency.findUnique({
-      where: { symbol: cryptoSymbol.toUpperCase() },
+      where: { symbol },
     });
     
     if (!crypto) {
@@ -119,13 +237,13 @@ router.post('/store', async (req, res) => {
 router.get('/:symbol', async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { symbol } = req.params;
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
     const limit = parseInt(req.query.limit) || 20;
     const days = parseInt(req.query.days) || 7;
     
     // Find cryptocurrency
     const crypto = await prisma.cryptocurrency.findUnique({
-      where: { symbol: symbol.toUpperCase() },
+      where: { symbol },
     });
     
     if (!crypto) {
@@ -158,7 +276,7 @@ router.get('/:symbol', async (req, res) => {
     
     res.json({
       success: true,
-      symbol: symbol.toUpperCase(),
+      symbol,
       count: sentiments.length,
       averageSentiment: Math.round(avgSentiment * 100) / 100,
       data: sentiments,
@@ -181,11 +299,11 @@ router.get('/:symbol', async (req, res) => {
 router.get('/:symbol/summary', async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { symbol } = req.params;
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
     
     // Find cryptocurrency
     const crypto = await prisma.cryptocurrency.findUnique({
-      where: { symbol: symbol.toUpperCase() },
+      where: { symbol },
     });
     
     if (!crypto) {
@@ -203,7 +321,7 @@ router.get('/:symbol/summary', async (req, res) => {
     if (sentiments.length === 0) {
       return res.json({
         success: true,
-        symbol: symbol.toUpperCase(),
+        symbol,
         count: 0,
         summary: {
           averageSentiment: 0,
@@ -225,7 +343,7 @@ router.get('/:symbol/summary', async (req, res) => {
     
     res.json({
       success: true,
-      symbol: symbol.toUpperCase(),
+      symbol,
       count: sentiments.length,
       summary: {
         averageSentiment: Math.round(avgSentiment * 100) / 100,
@@ -246,4 +364,48 @@ router.get('/:symbol/summary', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sentiment/:symbol/series
+ * Get a bucketed sentiment time series with momentum and z-scores against a rolling baseline
+ * Params:
+ *   - symbol: Cryptocurrency symbol
+ * Query params:
+ *   - interval: hour or day (default: hour)
+ *   - from: Start of the window (ISO date, default: `days` before `to`)
+ *   - to: End of the window (ISO date, default: now)
+ *   - days: Window length when `from` is not given (default: 2 hourly, 30 daily)
+ *   - baseline: Buckets in the rolling baseline (default: SENTIMENT_BASELINE_BUCKETS, at most 2000)
+ *   - momentum: Buckets momentum is measured over (default: SENTIMENT_MOMENTUM_BUCKETS, at most 2000)
+ */
+router.get('/:symbol/series', async (req, res) => {
+  try {
+    const symbol = await assetRegistryService.resolveTicker(req.params.symbol);
+    const { interval, from, to, days, baseline, momentum } = req.query;
+
+    const series = await sentimentService.getSentimentSeries(symbol, {
+      interval,
+      from,
+      to,
+      days,
+      baseline,
+      momentum,
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: `Cryptocurrency ${symbol} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      ...series,
+    });
+  } catch (error) {
+    console.error('Error fetching sentiment series:', error.message);
+    sendError(res, error);
+  }
+});
+
 module.exports = router;
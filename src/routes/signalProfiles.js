@@ -0,0 +1,118 @@
+/**
+ * Signal Profiles API Routes
+ * Endpoints for managing the factor weights and thresholds used to generate trading signals
+ */
+
+const express = require('express');
+const router = express.Router();
+const signalProfileService = require('../services/signalProfileService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * GET /api/signal-profiles
+ * List built-in and custom signal profiles
+ */
+router.get('/', async (_req, res) => {
+  try {
+    const profiles = await signalProfileService.listProfiles();
+
+    res.json({
+      success: true,
+      count: profiles.length,
+      defaultProfile: signalProfileService.getDefaultProfileName(),
+      data: profiles,
+    });
+  } catch (error) {
+    console.error('Error listing signal profiles:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/signal-profiles/:name
+ * Get a signal profile
+ * Params:
+ *   - name: Profile name (balanced, conservative, momentum, sentiment-heavy or a custom profile)
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const profile = await signalProfileService.getProfile(req.params.name);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    console.error('Error fetching signal profile:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/signal-profiles
+ * Create a custom signal profile
+ * Body:
+ *   - name: Profile name (lowercase letters, digits and dashes)
+ *   - description: (optional) Description
+ *   - weights: { technical, sentiment, volume, trend }, each 0-1 and summing to 1
+ *   - thresholds: (optional) { buy, sell } with 0 < sell < buy < 1 (default: 0.65 / 0.35)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const profile = await signalProfileService.createProfile(req.body);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    console.error('Error creating signal profile:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/signal-profiles/:name
+ * Update a custom signal profile (built-in profiles cannot be changed)
+ * Params:
+ *   - name: Profile name
+ * Body:
+ *   - description: (optional) Description
+ *   - weights: (optional) Complete set of weights, summing to 1
+ *   - thresholds: (optional) { buy, sell }, merged into the current thresholds
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const profile = await signalProfileService.updateProfile(req.params.name, req.body);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    console.error('Error updating signal profile:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/signal-profiles/:name
+ * Delete a custom signal profile; stored predictions keep the profile name
+ * Params:
+ *   - name: Profile name
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const profile = await signalProfileService.deleteProfile(req.params.name);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    console.error('Error deleting signal profile:', error.message);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -32,10 +32,23 @@ const portfolioRouter = require('./routes/portfolio');
 const riskRouter = require('./routes/risk');
 const websocketRouter = require('./routes/websocket');
 const analyticsRouter = require('./routes/analytics');
+const assetsRouter = require('./routes/assets');
+const signalProfilesRouter = require('./routes/signalProfiles');
 
 // Import services
 const { getPrismaClient } = require('./utils/db');
 const websocketService = require('./services/websocketService');
+const priceIngestionService = require('./services/priceIngestionService');
+const coingeckoService = require('./services/coingeckoService');
+const aiService = require('./services/aiService');
+const assetRegistryService = require('./services/assetRegistryService');
+const signalProfileService = require('./services/signalProfileService');
+const predictionSchedulerService = require('./services/predictionSchedulerService');
+const predictionEvaluationService = require('./services/predictionEvaluationService');
+const newsSourceService = require('./services/newsSourceService');
+const newsScrapingService = require('./services/newsScrapingService');
+const newsEventService = require('./services/newsEventService');
+const { getLimiterStatuses } = require('./utils/rateLimiter');
 
 // Initialize Express app
 const app = express();
@@ -57,10 +70,21 @@ app.use((req, _res, next) => {
 
 // Health check endpoint
 app.get('/health', (_req, res) => {
+  const sentimentModel = aiService.getModelStatus();
+
   res.json({
     status: 'ok',
+    // Without preloading the model loads on first use, so the server does not wait for it
+    ready: !sentimentModel.preload || sentimentModel.state === 'ready',
     timestamp: new Date(),
     uptime: process.uptime(),
+    models: {
+      sentiment: sentimentModel,
+    },
+    cache: {
+      coingecko: coingeckoService.getCacheStats(),
+    },
+    upstreams: getLimiterStatuses(),
   });
 });
 
@@ -76,6 +100,8 @@ app.use('/api/portfolio', portfolioRouter);
 app.use('/api/risk', riskRouter);
 app.use('/api/websocket', websocketRouter);
 app.use('/api/analytics', analyticsRouter);
+app.use('/api/assets', assetsRouter);
+app.use('/api/signal-profiles', signalProfilesRouter);
 
 /**
  * Root endpoint - API documentation
@@ -87,10 +113,16 @@ app.get('/', (_req, res) => {
     description: 'Advanced AI-powered cryptocurrency analysis with news scraping, ML, backtesting, WebSocket alerts, and analytics',
     features: [
       'Real-time cryptocurrency data from CoinGecko API',
+      'Pluggable market data providers (CoinGecko, offline fixtures)',
+      'Multi-currency quoting (fiat and BTC/ETH) with FX conversion',
+      'Asset registry resolving tickers, provider IDs and aliases',
       'AI sentiment analysis using transformer models',
       'Technical analysis and trading signal generation',
+      'Configurable signal profiles (factor weights and thresholds)',
+      'Confidence calibration against realized prediction outcomes',
       'Advanced ML with feature engineering and ensemble predictions',
-      'News scraping and sentiment analysis',
+      'News scraping with story deduplication and sentiment analysis',
+      'News event classification (hacks, listings, regulation, ETFs, partnerships) with alerts',
       'Backtesting engine for strategy validation',
       'WebSocket support for real-time alerts',
       'Advanced analytics and performance metrics',
@@ -99,21 +131,63 @@ app.get('/', (_req, res) => {
     ],
     endpoints: {
       health: 'GET /health',
+      assets: {
+        list: 'GET /api/assets',
+        resolve: 'GET /api/assets/resolve?q=BTC',
+        seed: 'POST /api/assets/seed',
+        update: 'PUT /api/assets/:id',
+      },
       cryptocurrencies: {
-        list: 'GET /api/cryptocurrencies',
-        details: 'GET /api/cryptocurrencies/:id',
+        list: 'GET /api/cryptocurrencies?quote=usd',
+        details: 'GET /api/cryptocurrencies/:id?quote=usd',
+        quotes: 'GET /api/cryptocurrencies/quotes',
+        candles: 'GET /api/cryptocurrencies/:id/candles?days=30&interval=1d',
+        storedHistory: 'GET /api/cryptocurrencies/db/:symbol/history?days=30&interval=1d',
+        ingestionStatus: 'GET /api/cryptocurrencies/ingestion/status',
+        backfill: 'POST /api/cryptocurrencies/ingestion/backfill',
       },
       predictions: {
         getPrediction: 'GET /api/predictions/:symbol',
+        explainPrediction: 'GET /api/predictions/:symbol/explain?horizon=7d',
+        predictionHistory: 'GET /api/predictions/:symbol/history?days=30&changes=true&format=csv',
+        schedulerStatus: 'GET /api/predictions/scheduler/status',
+        schedulerJobs: 'GET /api/predictions/scheduler/jobs',
+        runScheduler: 'POST /api/predictions/scheduler/run',
         getAccuracy: 'GET /api/predictions/accuracy/:symbol?days=30',
+        evaluationStatus: 'GET /api/predictions/evaluation/status',
+        runEvaluation: 'POST /api/predictions/evaluation/run',
+        calibration: 'GET /api/predictions/calibration',
+        fitCalibration: 'POST /api/predictions/calibration/fit',
+      },
+      signalProfiles: {
+        list: 'GET /api/signal-profiles',
+        get: 'GET /api/signal-profiles/:name',
+        create: 'POST /api/signal-profiles',
+        update: 'PUT /api/signal-profiles/:name',
+        delete: 'DELETE /api/signal-profiles/:name',
       },
       sentiment: {
         getSentiment: 'GET /api/sentiment/:symbol',
+        series: 'GET /api/sentiment/:symbol/series?interval=hour',
         analyzeSentiment: 'POST /api/sentiment/analyze',
+        analyzeBatch: 'POST /api/sentiment/analyze-batch',
+        analyzeEntities: 'POST /api/sentiment/analyze-entities',
       },
       news: {
         getFeed: 'GET /api/news/feed',
+        getStoredFeed: 'GET /api/news/feed?origin=db',
+        getStories: 'GET /api/news/stories',
+        listSources: 'GET /api/news/sources',
+        sourceHealth: 'GET /api/news/sources/health',
+        createSource: 'POST /api/news/sources',
+        updateSource: 'PUT /api/news/sources/:id',
+        deleteSource: 'DELETE /api/news/sources/:id',
         searchNews: 'GET /api/news/search?q=bitcoin',
+        getEvents: 'GET /api/news/events?type=hack',
+        eventClassifier: 'GET /api/news/events/classifier',
+        trainEventClassifier: 'POST /api/news/events/train',
+        reclassifyEvents: 'POST /api/news/events/reclassify',
+        getImpact: 'GET /api/news/impact/:symbol?windows=-1h:+24h',
       },
       advancedML: {
         engineerFeatures: 'POST /api/ml/engineer-features',
@@ -137,6 +211,7 @@ app.get('/', (_req, res) => {
         volumeAlert: 'POST /api/alerts/volume',
       },
       portfolio: {
+        valuation: 'POST /api/portfolio/valuation',
         optimize: 'POST /api/portfolio/optimize',
         rebalance: 'POST /api/portfolio/rebalance',
       },
@@ -181,6 +256,7 @@ app.get('/', (_req, res) => {
         'indicator-alert - Technical indicator alerts',
         'portfolio-update - Portfolio value updates',
         'news-alert - Breaking news alerts',
+        'prediction-signal - New trading signals from scheduled predictions',
       ],
     },
     documentation: 'See README.md for detailed API documentation',
@@ -193,9 +269,14 @@ app.get('/', (_req, res) => {
 app.use((err, _req, res, _next) => {
   console.error('Error:', err);
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(err.status || 500).json({
     success: false,
     error: err.message || 'Internal server error',
+    retryAfter: err.retryAfter,
     timestamp: new Date(),
   });
 });
@@ -216,6 +297,10 @@ app.use((req, res) => {
  */
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  priceIngestionService.stop();
+  predictionSchedulerService.stop();
+  predictionEvaluationService.stop();
+  newsScrapingService.stop();
   const prisma = getPrismaClient();
   await prisma.$disconnect();
   process.exit(0);
@@ -223,6 +308,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  priceIngestionService.stop();
+  predictionSchedulerService.stop();
+  predictionEvaluationService.stop();
+  newsScrapingService.stop();
   const prisma = getPrismaClient();
   await prisma.$disconnect();
   process.exit(0);
@@ -238,13 +327,66 @@ async function startServer() {
     await prisma.$queryRaw`SELECT 1`;
     console.log('✓ Database connection successful');
 
+    // Load the sentiment model in the background (disable with AI_MODEL_PRELOAD=false)
+    if (aiService.preloadSentimentModel()) {
+      console.log('✓ Sentiment model loading in the background');
+    }
+
     // Initialize WebSocket server
     websocketService.initializeServer(server);
     console.log('✓ WebSocket server initialized');
 
+    // Load the asset registry (seeds it from the market listing on first run)
+    try {
+      const registry = await assetRegistryService.initialize();
+      console.log(`✓ Asset registry loaded (${registry.assets} assets)`);
+    } catch (error) {
+      console.warn('Asset registry not loaded, lookups will retry on demand:', error.message);
+    }
+
+    // Seed built-in signal profiles (built-ins are also served from code if this fails)
+    try {
+      const profiles = await signalProfileService.initialize();
+      console.log(`✓ Signal profiles seeded (${profiles.profiles} built-in)`);
+    } catch (error) {
+      console.warn('Built-in signal profiles not seeded:', error.message);
+    }
+
+    // Seed the default news sources on first run
+    try {
+      const sources = await newsSourceService.initialize();
+      console.log(`✓ News sources loaded (${sources.sources} sources)`);
+    } catch (error) {
+      console.warn('News source registry not loaded, default sources will be used:', error.message);
+    }
+
+    // Train the news event classifier on the seed and stored examples
+    const eventClassifier = await newsEventService.initialize();
+    console.log(`✓ News event classifier trained (${eventClassifier.seedExamples + eventClassifier.storedExamples} examples)`);
+
+    // Start scheduled price history ingestion (only when a watchlist is configured)
+    if (priceIngestionService.start()) {
+      console.log('✓ Price history ingestion scheduled');
+    }
+
+    // Start scheduled predictions (only when a watchlist is configured)
+    if (predictionSchedulerService.start()) {
+      console.log('✓ Prediction scheduler started');
+    }
+
+    // Start outcome evaluation of stored predictions (disable with PREDICTION_EVALUATION_ENABLED=false)
+    if (predictionEvaluationService.start()) {
+      console.log('✓ Prediction outcome evaluation scheduled');
+    }
+
+    // Start scheduled news ingestion (only when NEWS_INGESTION_ENABLED=true)
+    if (newsScrapingService.start()) {
+      console.log('✓ News ingestion scheduled');
+    }
+
     // Start listening
     server.listen(PORT, () => {
-      console.log(`\n╔════════════════════════════════════════════════════════════╗\n║     Crypto AI Trading Backend Server Started               ║\n╠════════════════════════════════════════════════════════════╣\n║ Server running on: http://localhost:${PORT}                    ║\n║ Health check: http://localhost:${PORT}/health                 ║\n║ API Documentation: http://localhost:${PORT}/                  ║\n║ WebSocket: ws://localhost:${PORT}                             ║\n║ Database: PostgreSQL (crypto_ai_db)                        ║\n║ AI Model: Xenova/distilbert-base-uncased-finetuned-sst-2  ║\n║ Advanced Features: News, ML, Backtesting, WebSocket, Analytics ║\n╚════════════════════════════════════════════════════════════╝\n      `);
+      console.log(`\n╔════════════════════════════════════════════════════════════╗\n║     Crypto AI Trading Backend Server Started               ║\n╠════════════════════════════════════════════════════════════╣\n║ Server running on: http://localhost:${PORT}                    ║\n║ Health check: http://localhost:${PORT}/health                 ║\n║ API Documentation: http://localhost:${PORT}/                  ║\n║ WebSocket: ws://localhost:${PORT}                             ║\n║ Database: PostgreSQL (crypto_ai_db)                        ║\n║ AI Model: ${aiService.getModelName().padEnd(49)}║\n║ Advanced Features: News, ML, Backtesting, WebSocket, Analytics ║\n╚════════════════════════════════════════════════════════════╝\n      `);
     });
   } catch (error) {
     console.error('Failed to start server:', error.message);
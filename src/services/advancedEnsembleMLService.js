@@ -16,6 +16,8 @@
  * 5. Attention mechanisms for dynamic feature weighting
  */
 
+const marketDataService = require('./marketDataService');
+
 class AdvancedEnsembleMLService {
   constructor() {
     // Model weights based on historical performance
@@ -41,14 +43,19 @@ class AdvancedEnsembleMLService {
    * @param {string} params.cryptoId - Cryptocurrency identifier (bitcoin, ethereum, etc.)
    * @param {number} params.days - Historical days to analyze (default: 90)
    * @param {Array} params.customIndicators - Additional technical indicators to include
+   * @param {string} params.interval - Candle interval (1h, 4h, 1d; default: 1d)
+   * @param {string} params.provider - Market data provider (default: MARKET_DATA_PROVIDER)
    * @returns {Object} Ensemble prediction with confidence scores and model contributions
    */
   async generateEnsemblePrediction(params) {
-    const { cryptoId, days = 90, customIndicators = [] } = params;
+    const { cryptoId, days = 90, customIndicators = [], interval = '1d', provider } = params;
 
     try {
       // Step 1: Extract comprehensive technical features
-      const features = await this.extractAdvancedFeatures(cryptoId, days, customIndicators);
+      const features = await this.extractAdvancedFeatures(cryptoId, days, customIndicators, {
+        interval,
+        provider
+      });
 
       // Step 2: Generate predictions from each model
       const lstmPrediction = this.generateLSTMPrediction(features);
@@ -119,11 +126,14 @@ class AdvancedEnsembleMLService {
    * @param {string} cryptoId - Cryptocurrency identifier
    * @param {number} days - Historical period
    * @param {Array} customIndicators - Additional indicators
+   * @param {Object} options - { interval, provider } passed to the market data service
    * @returns {Object} Comprehensive feature set
    */
-  async extractAdvancedFeatures(cryptoId, days, customIndicators = []) {
+  async extractAdvancedFeatures(cryptoId, days, customIndicators = [], options = {}) {
+    const { interval = '1d', provider } = options;
+
     // Check cache first
-    const cacheKey = `${cryptoId}_${days}`;
+    const cacheKey = `${provider || 'default'}_${cryptoId}_${days}_${interval}`;
     if (this.indicatorCache.has(cacheKey)) {
       const cached = this.indicatorCache.get(cacheKey);
       if (Date.now() - cached.timestamp < this.cacheExpiry) {
@@ -131,8 +141,11 @@ class AdvancedEnsembleMLService {
       }
     }
 
-    // Generate mock price data for demonstration
-    const priceData = this.generateMockPriceData(days);
+    // Fetch OHLCV candles for the requested period
+    const priceData = await marketDataService.getCandles(cryptoId, days, interval, { provider });
+    if (priceData.length < 2) {
+      throw new Error(`Insufficient candle data for ${cryptoId}`);
+    }
 
     // Calculate momentum indicators
     const momentumIndicators = {
@@ -767,28 +780,6 @@ class AdvancedEnsembleMLService {
 
     return vol20 - vol50;
   }
-
-  /**
-   * Generate mock price data for demonstration
-   */
-  generateMockPriceData(days) {
-    const data = [];
-    let price = 50000;
-
-    for (let i = 0; i < days; i++) {
-      const change = (Math.random() - 0.48) * 1000;
-      const open = price;
-      const close = price + change;
-      const high = Math.max(open, close) + Math.random() * 500;
-      const low = Math.min(open, close) - Math.random() * 500;
-      const volume = Math.floor(Math.random() * 1000000) + 100000;
-
-      data.push({ open, high, low, close, volume });
-      price = close;
-    }
-
-    return data;
-  }
 }
 
 module.exports = new AdvancedEnsembleMLService();
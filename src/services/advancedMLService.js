@@ -9,7 +9,9 @@ const { prisma } = require('../utils/db');
 /**
  * Feature Engineering
  * Extracts and calculates advanced features from price data
- * @param {Array} priceHistory - Array of price data points
+ * Accepts OHLCV candles ({ open, high, low, close, volume }) or
+ * plain price points ({ price, volume? })
+ * @param {Array} priceHistory - Array of candles or price data points
  * @returns {Object} Engineered features for ML models
  */
 function engineerFeatures(priceHistory) {
@@ -17,7 +19,7 @@ function engineerFeatures(priceHistory) {
     return null; // Need minimum data points
   }
 
-  const prices = priceHistory.map(p => p.price);
+  const prices = priceHistory.map(getClose);
   const volumes = priceHistory.map(p => p.volume || 0);
 
   // Calculate technical indicators
@@ -192,8 +194,18 @@ function calculateBollingerBands(prices, period = 20, stdDev = 2) {
   return { upper, middle: sma, lower, width };
 }
 
+/**
+ * Get the close price of a candle or plain price point
+ * @param {Object} point - Candle or price data point
+ * @returns {number} Close price
+ */
+function getClose(point) {
+  return point.close ?? point.price;
+}
+
 /**
  * Calculate ATR (Average True Range)
+ * Uses candle high/low when available, otherwise the close-to-close range
  * @param {Array<Object>} priceHistory - Price history with high, low, close
  * @returns {number} ATR value
  */
@@ -203,9 +215,10 @@ function calculateATR(priceHistory, period = 14) {
   let trueRanges = [];
   
   for (let i = 1; i < priceHistory.length; i++) {
-    const high = priceHistory[i].price;
-    const low = priceHistory[i].price * 0.99; // Approximate
-    const prevClose = priceHistory[i - 1].price;
+    const close = getClose(priceHistory[i]);
+    const high = priceHistory[i].high ?? close;
+    const low = priceHistory[i].low ?? close;
+    const prevClose = getClose(priceHistory[i - 1]);
     
     const tr = Math.max(
       high - low,
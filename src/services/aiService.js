@@ -5,34 +5,217 @@
  */
 
 const Sentiment = require('sentiment');
+const afinnLabels = require('sentiment/languages/en/labels.json');
 const { pipeline } = require('@xenova/transformers');
+const { CRYPTO_TERMS, CRYPTO_PHRASES, NEGATORS, INTENSIFIERS } = require('../utils/cryptoLexicon');
+
+// Transformer used when AI_MODEL_NAME is not set
+const DEFAULT_MODEL_NAME = 'Xenova/distilbert-base-uncased-finetuned-sst-2-english';
+
+// Lexicon language: AFINN extended with crypto terms (see utils/cryptoLexicon)
+const CRYPTO_LANGUAGE = 'crypto';
+
+// Preceding tokens searched for a negator, and how much a negated term keeps (inverted)
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALAR = -0.75;
+
+// Words that end a negator's reach ("not bad but bearish")
+const CLAUSE_BREAKS = new Set(['but', 'however', 'although', 'though', 'yet', 'while']);
+
+const cryptoLabels = { ...afinnLabels, ...CRYPTO_TERMS };
+
+// Phrases are matched on whole words, with any whitespace between them
+const phrasePatterns = CRYPTO_PHRASES.map(([phrase, token]) => [
+  new RegExp(`\\b${phrase.split(/\s+/).join('\\s+')}\\b`, 'g'),
+  token,
+]);
 
 // Initialize sentiment analyzer (lightweight, no ML model needed)
 const sentimentAnalyzer = new Sentiment();
+sentimentAnalyzer.registerLanguage(CRYPTO_LANGUAGE, {
+  labels: cryptoLabels,
+  scoringStrategy: {
+    /**
+     * Scale a term's score by a preceding intensifier and invert it after a negator
+     * @param {Array<string>} tokens - Tokens of the text
+     * @param {number} cursor - Index of the scored term
+     * @param {number} tokenScore - Lexicon score of the term
+     * @returns {number} Score in context
+     */
+    apply(tokens, cursor, tokenScore) {
+      let score = tokenScore;
+      const previous = tokens[cursor - 1];
+
+      if (INTENSIFIERS[previous]) {
+        score *= INTENSIFIERS[previous];
+      }
+
+      for (let offset = 1; offset <= NEGATION_WINDOW && cursor - offset >= 0; offset++) {
+        const token = tokens[cursor - offset];
+        if (NEGATORS.has(token)) {
+          score *= NEGATION_SCALAR;
+          break;
+        }
+        // Another scored term or a clause break ends the negator's reach
+        if (CLAUSE_BREAKS.has(token) || (offset > 1 && Object.prototype.hasOwnProperty.call(cryptoLabels, token))) {
+          break;
+        }
+      }
+
+      return score;
+    },
+  },
+});
 
 // Cache for transformer models to avoid reloading
 let sentimentClassifier = null;
+let sentimentClassifierLoading = null;
+
+// Sentiment model load state, reported on /health
+const modelStatus = {
+  state: 'idle', // idle, loading, ready or failed
+  model: null,
+  startedAt: null,
+  loadedAt: null,
+  loadDurationMs: null,
+  error: null,
+};
+
+// Default signal profile (see signalProfileService for named profiles)
+// weights: share of each factor in the composite score
+//   Technical analysis: 40%, Sentiment: 30%, Volume: 20%, Trend: 10%
+// thresholds: composite scores above buy give BUY, below sell give SELL, anything between HOLD
+const DEFAULT_SIGNAL_PROFILE = {
+  weights: {
+    technical: 0.4,
+    sentiment: 0.3,
+    volume: 0.2,
+    trend: 0.1,
+  },
+  thresholds: {
+    buy: 0.65,
+    sell: 0.35,
+  },
+};
+
+/**
+ * Get the transformer model used for sentiment analysis
+ * @returns {string} Model name (AI_MODEL_NAME, default: DistilBERT fine-tuned on SST-2)
+ */
+function getModelName() {
+  return process.env.AI_MODEL_NAME || DEFAULT_MODEL_NAME;
+}
+
+/**
+ * Map a model output label to a polarity
+ * AI_MODEL_LABELS (JSON, e.g. {"LABEL_0":-1,"LABEL_1":0,"LABEL_2":1}) maps labels of models
+ * that do not name them; otherwise labels containing "pos", "neg" or "neu" are recognized
+ * @param {string} label - Model output label
+ * @returns {number} 1 (positive), -1 (negative) or 0 (neutral or unknown)
+ */
+function getLabelPolarity(label) {
+  let labels = {};
+
+  try {
+    labels = JSON.parse(process.env.AI_MODEL_LABELS || '{}');
+  } catch (error) {
+    console.warn('Ignoring invalid AI_MODEL_LABELS:', error.message);
+  }
+
+  if (labels[label] !== undefined) {
+    return Math.sign(Number(labels[label])) || 0;
+  }
+
+  if (/pos/i.test(label)) {
+    return 1;
+  }
+  if (/neg/i.test(label)) {
+    return -1;
+  }
+  return 0;
+}
 
 /**
  * Initialize the sentiment classification model
- * Uses DistilBERT fine-tuned on SST-2 dataset for sentiment analysis
+ * Loads AI_MODEL_NAME (default: DistilBERT fine-tuned on SST-2), so a finance-tuned
+ * model converted for transformers.js can be swapped in
  * This is a lightweight model suitable for CPU inference
+ * Concurrent callers share one load; after a failure the next call tries again
  */
 async function initializeSentimentModel() {
-  if (!sentimentClassifier) {
-    try {
-      console.log('Loading sentiment classification model...');
-      sentimentClassifier = await pipeline(
-        'sentiment-analysis',
-        'Xenova/distilbert-base-uncased-finetuned-sst-2-english'
-      );
-      console.log('Sentiment model loaded successfully');
-    } catch (error) {
-      console.error('Error loading sentiment model:', error.message);
-      throw new Error('Failed to initialize sentiment model');
-    }
+  if (sentimentClassifier) {
+    return sentimentClassifier;
+  }
+
+  if (!sentimentClassifierLoading) {
+    const modelName = getModelName();
+    const startedAt = Date.now();
+
+    Object.assign(modelStatus, {
+      state: 'loading',
+      model: modelName,
+      startedAt: new Date(startedAt),
+      error: null,
+    });
+
+    sentimentClassifierLoading = (async () => {
+      try {
+        console.log(`Loading sentiment classification model ${modelName}...`);
+        sentimentClassifier = await pipeline(
+          'sentiment-analysis',
+          modelName
+        );
+        Object.assign(modelStatus, {
+          state: 'ready',
+          loadedAt: new Date(),
+          loadDurationMs: Date.now() - startedAt,
+        });
+        console.log('Sentiment model loaded successfully');
+        return sentimentClassifier;
+      } catch (error) {
+        Object.assign(modelStatus, { state: 'failed', error: error.message });
+        console.error('Error loading sentiment model:', error.message);
+        throw new Error(`Failed to initialize sentiment model ${modelName}`);
+      } finally {
+        sentimentClassifierLoading = null;
+      }
+    })();
+  }
+
+  return sentimentClassifierLoading;
+}
+
+/**
+ * Whether the sentiment model is loaded when the server starts
+ * @returns {boolean} False with AI_MODEL_PRELOAD=false
+ */
+function isPreloadEnabled() {
+  return process.env.AI_MODEL_PRELOAD !== 'false';
+}
+
+/**
+ * Start loading the sentiment model in the background so the first request does not wait
+ * Disabled with AI_MODEL_PRELOAD=false (the model then loads on first use)
+ * @returns {boolean} Whether loading was started
+ */
+function preloadSentimentModel() {
+  if (!isPreloadEnabled()) {
+    return false;
   }
-  return sentimentClassifier;
+
+  initializeSentimentModel().catch(() => {
+    // Logged by initializeSentimentModel; requests fall back to lexicon analysis
+  });
+  return true;
+}
+
+/**
+ * Get the sentiment model load state
+ * @returns {Object} { state (idle, loading, ready, failed), model, preload, startedAt, loadedAt,
+ *   loadDurationMs, error }
+ */
+function getModelStatus() {
+  return { ...modelStatus, model: modelStatus.model || getModelName(), preload: isPreloadEnabled() };
 }
 
 /**
@@ -50,15 +233,9 @@ async function analyzeSentimentAdvanced(text) {
     const result = await classifier(truncatedText);
     
     // Convert model output to -1 to 1 scale
-    // Model returns POSITIVE or NEGATIVE with score
-    const sentiment = result[0].label === 'POSITIVE' ? 1 : -1;
-    const confidence = result[0].score;
-    
-    return {
-      sentiment: sentiment * confidence, // Apply confidence to sentiment
-      confidence: confidence,
-      label: result[0].label,
-    };
+    // Models return a label (POSITIVE, negative, neutral, ...) with a score,
+    // and the score is applied to the label's polarity
+    return toSentimentResult(result);
   } catch (error) {
     console.error('Error in advanced sentiment analysis:', error.message);
     // Fallback to simple sentiment analysis
@@ -66,8 +243,100 @@ async function analyzeSentimentAdvanced(text) {
   }
 }
 
+/**
+ * Convert one classifier output to a sentiment result
+ * @param {Object|Array} output - { label, score } (or a one-element array of it)
+ * @returns {Object} Sentiment analysis result
+ */
+function toSentimentResult(output) {
+  const { label, score } = Array.isArray(output) ? output[0] : output;
+  const polarity = getLabelPolarity(label);
+
+  return {
+    sentiment: polarity * score,
+    confidence: score,
+    label: polarity > 0 ? 'POSITIVE' : polarity < 0 ? 'NEGATIVE' : 'NEUTRAL',
+  };
+}
+
+/**
+ * Analyze the sentiment of many texts with the transformer model
+ * Texts are classified in batches, with at most `concurrency` batches in flight; a batch
+ * the model fails on (or every batch, when the model cannot load) is analyzed with the
+ * lexicon instead
+ * @param {Array<string>} texts - Texts to analyze
+ * @param {Object} options - { batchSize } texts per model call (default: 16),
+ *   { concurrency } batches in flight (default: 2)
+ * @returns {Promise<Array>} Results in input order, each with `method` (model or lexicon)
+ */
+async function analyzeSentimentBatch(texts, options = {}) {
+  const batchSize = Math.max(parseInt(options.batchSize) || 16, 1);
+  const concurrency = Math.max(parseInt(options.concurrency) || 2, 1);
+  const results = new Array(texts.length);
+
+  let classifier = null;
+  try {
+    classifier = await initializeSentimentModel();
+  } catch (error) {
+    console.warn('Batch sentiment falling back to lexicon analysis:', error.message);
+  }
+
+  const batches = [];
+  for (let start = 0; start < texts.length; start += batchSize) {
+    batches.push(start);
+  }
+
+  const runBatch = async start => {
+    const batch = texts.slice(start, start + batchSize);
+
+    try {
+      if (!classifier) {
+        throw new Error('Sentiment model unavailable');
+      }
+
+      // Truncate texts to avoid the token limit, as for single texts
+      const outputs = await classifier(batch.map(text => text.substring(0, 500)));
+      batch.forEach((_, i) => {
+        results[start + i] = { ...toSentimentResult(outputs[i]), method: 'model' };
+      });
+    } catch (error) {
+      if (classifier) {
+        console.error('Error in batch sentiment analysis:', error.message);
+      }
+      batch.forEach((text, i) => {
+        results[start + i] = { ...analyzeSentimentSimple(text), method: 'lexicon' };
+      });
+    }
+  };
+
+  let cursor = 0;
+  const workers = Array.from({ length: Math.min(concurrency, batches.length) }, async () => {
+    while (cursor < batches.length) {
+      await runBatch(batches[cursor++]);
+    }
+  });
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Join multi-word crypto phrases into single lexicon tokens
+ * @param {string} text - Text to analyze
+ * @returns {string} Lowercased text with phrases joined ("rug pull" -> "rugpull")
+ */
+function joinCryptoPhrases(text) {
+  return phrasePatterns.reduce(
+    (joined, [pattern, token]) => joined.replace(pattern, token),
+    String(text || '').toLowerCase()
+  );
+}
+
 /**
  * Simple sentiment analysis using lexicon-based approach
+ * AFINN extended with crypto terms ("hodl", "rekt", "rug pull", "fud"); intensifiers
+ * ("very", "slightly") scale the next term and negators ("not", "never") invert terms
+ * up to three words later
  * Faster but less accurate than transformer models
  * Used as fallback when transformer model is unavailable
  * @param {string} text - Text to analyze
@@ -75,7 +344,7 @@ async function analyzeSentimentAdvanced(text) {
  */
 function analyzeSentimentSimple(text) {
   try {
-    const result = sentimentAnalyzer.analyze(text);
+    const result = sentimentAnalyzer.analyze(joinCryptoPhrases(text), { language: CRYPTO_LANGUAGE });
     
     // Normalize score to -1 to 1 range
     // sentiment.score ranges from -5 to 5
@@ -96,6 +365,43 @@ function analyzeSentimentSimple(text) {
   }
 }
 
+/**
+ * Calculate the indicators behind the technical score
+ * @param {Array<number>} prices - Array of historical prices (at least 2)
+ * @returns {Object} { periods, startPrice, endPrice, trend, meanReturn, volatility, momentum }
+ */
+function calculateTechnicalIndicators(prices) {
+  const recentPrices = prices.slice(-30); // Last 30 data points
+  const currentPrice = recentPrices[recentPrices.length - 1];
+  const previousPrice = recentPrices[0];
+  
+  // Calculate trend: positive if price is going up
+  const trend = (currentPrice - previousPrice) / previousPrice;
+  
+  // Calculate volatility: standard deviation of returns
+  const returns = [];
+  for (let i = 1; i < recentPrices.length; i++) {
+    returns.push((recentPrices[i] - recentPrices[i - 1]) / recentPrices[i - 1]);
+  }
+  
+  const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length;
+  const volatility = Math.sqrt(variance);
+  
+  // Calculate momentum: rate of change
+  const momentum = trend / (volatility + 0.001); // Avoid division by zero
+  
+  return {
+    periods: recentPrices.length,
+    startPrice: previousPrice,
+    endPrice: currentPrice,
+    trend,
+    meanReturn,
+    volatility,
+    momentum,
+  };
+}
+
 /**
  * Calculate technical analysis score based on price history
  * Analyzes trends, momentum, and volatility
@@ -108,25 +414,7 @@ function calculateTechnicalScore(prices) {
   }
   
   try {
-    const recentPrices = prices.slice(-30); // Last 30 data points
-    const currentPrice = recentPrices[recentPrices.length - 1];
-    const previousPrice = recentPrices[0];
-    
-    // Calculate trend: positive if price is going up
-    const trend = (currentPrice - previousPrice) / previousPrice;
-    
-    // Calculate volatility: standard deviation of returns
-    const returns = [];
-    for (let i = 1; i < recentPrices.length; i++) {
-      returns.push((recentPrices[i] - recentPrices[i - 1]) / recentPrices[i - 1]);
-    }
-    
-    const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const variance = returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length;
-    const volatility = Math.sqrt(variance);
-    
-    // Calculate momentum: rate of change
-    const momentum = trend / (volatility + 0.001); // Avoid division by zero
+    const { trend, momentum } = calculateTechnicalIndicators(prices);
     
     // Combine metrics into score (0-1)
     // Positive trend and moderate volatility = higher score
@@ -139,6 +427,27 @@ function calculateTechnicalScore(prices) {
   }
 }
 
+/**
+ * Calculate the indicators behind the volume score
+ * @param {Array<number>} volumes - Array of historical volumes (at least 2)
+ * @returns {Object} { periods, averageVolume, currentVolume, volumeRatio }
+ */
+function calculateVolumeIndicators(volumes) {
+  const recentVolumes = volumes.slice(-30);
+  const averageVolume = recentVolumes.reduce((a, b) => a + b, 0) / recentVolumes.length;
+  const currentVolume = recentVolumes[recentVolumes.length - 1];
+  
+  // Higher volume relative to average = higher score
+  const volumeRatio = currentVolume / (averageVolume + 1);
+  
+  return {
+    periods: recentVolumes.length,
+    averageVolume,
+    currentVolume,
+    volumeRatio,
+  };
+}
+
 /**
  * Calculate volume analysis score
  * Analyzes trading volume trends
@@ -151,12 +460,7 @@ function calculateVolumeScore(volumes) {
   }
   
   try {
-    const recentVolumes = volumes.slice(-30);
-    const avgVolume = recentVolumes.reduce((a, b) => a + b, 0) / recentVolumes.length;
-    const currentVolume = recentVolumes[recentVolumes.length - 1];
-    
-    // Higher volume relative to average = higher score
-    const volumeRatio = currentVolume / (avgVolume + 1);
+    const { volumeRatio } = calculateVolumeIndicators(volumes);
     const score = Math.min(1, volumeRatio / 2); // Normalize to 0-1
     
     return score;
@@ -195,13 +499,38 @@ function calculateTrendScore(prices) {
   }
 }
 
+/**
+ * Calculate technical, volume, and trend scores from OHLCV candles
+ * @param {Array<Object>} candles - Candles ({ open, high, low, close, volume }), oldest first
+ * @returns {Object} Technical, volume, and trend scores between 0 and 1, and the
+ *   indicator values behind them (null for a factor without enough data)
+ */
+function analyzeCandles(candles) {
+  const closes = (candles || []).map(candle => candle.close);
+  const volumes = (candles || []).map(candle => candle.volume);
+  const technical = closes.length >= 2 ? calculateTechnicalIndicators(closes) : null;
+  
+  return {
+    technicalScore: calculateTechnicalScore(closes),
+    volumeScore: calculateVolumeScore(volumes),
+    trendScore: calculateTrendScore(closes),
+    indicators: {
+      technical,
+      volume: volumes.length >= 2 ? calculateVolumeIndicators(volumes) : null,
+      trend: technical && { percentChange: technical.trend },
+    },
+  };
+}
+
 /**
  * Generate trading signal based on multiple analysis factors
  * Combines technical, sentiment, volume, and trend analysis
- * @param {Object} analysisData - Object containing analysis scores and data
+ * @param {Object} analysisData - Object containing analysis scores and data; targetScale scales the price target band (default: 1)
+ * @param {Object} profile - Signal profile { weights, thresholds } (default: DEFAULT_SIGNAL_PROFILE)
  * @returns {Object} Trading signal with recommendation and confidence
  */
-function generateTradingSignal(analysisData) {
+function generateTradingSignal(analysisData, profile = DEFAULT_SIGNAL_PROFILE) {
+  const { weights, thresholds } = profile;
   const {
     technicalScore = 0.5,
     sentimentScore = 0.5,
@@ -209,27 +538,27 @@ function generateTradingSignal(analysisData) {
     trendScore = 0.5,
     currentPrice = 0,
     priceChange24h = 0,
+    targetScale = 1,
   } = analysisData;
   
   try {
     // Weight the different factors
-    // Technical analysis: 40%, Sentiment: 30%, Volume: 20%, Trend: 10%
     const compositeScore = 
-      (technicalScore * 0.4) +
-      (sentimentScore * 0.3) +
-      (volumeScore * 0.2) +
-      (trendScore * 0.1);
+      (technicalScore * weights.technical) +
+      (sentimentScore * weights.sentiment) +
+      (volumeScore * weights.volume) +
+      (trendScore * weights.trend);
     
     // Determine signal based on composite score
     let signal = 'HOLD';
     let confidence = 0;
     
-    if (compositeScore > 0.65) {
+    if (compositeScore > thresholds.buy) {
       signal = 'BUY';
-      confidence = Math.min(1, (compositeScore - 0.65) / 0.35);
-    } else if (compositeScore < 0.35) {
+      confidence = Math.min(1, (compositeScore - thresholds.buy) / (1 - thresholds.buy));
+    } else if (compositeScore < thresholds.sell) {
       signal = 'SELL';
-      confidence = Math.min(1, (0.35 - compositeScore) / 0.35);
+      confidence = Math.min(1, (thresholds.sell - compositeScore) / thresholds.sell);
     } else {
       signal = 'HOLD';
       confidence = 1 - Math.abs(compositeScore - 0.5) * 2;
@@ -239,14 +568,15 @@ function generateTradingSignal(analysisData) {
     const riskScore = 1 - confidence;
     
     // Estimate price target (simple heuristic)
+    // The 5-15% band is for a 7-day horizon; targetScale widens or narrows it for other horizons
     let priceTarget = null;
     if (signal === 'BUY') {
       // Target 5-15% upside
-      const upside = 0.05 + (confidence * 0.1);
+      const upside = (0.05 + (confidence * 0.1)) * targetScale;
       priceTarget = currentPrice * (1 + upside);
     } else if (signal === 'SELL') {
       // Target 5-15% downside
-      const downside = 0.05 + (confidence * 0.1);
+      const downside = (0.05 + (confidence * 0.1)) * targetScale;
       priceTarget = currentPrice * (1 - downside);
     }
     
@@ -281,6 +611,92 @@ function generateTradingSignal(analysisData) {
   }
 }
 
+/**
+ * Explain how a trading signal was reached
+ * Breaks the composite score into per-factor contributions and, for each factor,
+ * finds the score at which the signal would flip with the other factors unchanged
+ * @param {Object} analysisData - Factor scores (technicalScore, sentimentScore, volumeScore, trendScore)
+ * @param {Object} profile - Signal profile { weights, thresholds } (default: DEFAULT_SIGNAL_PROFILE)
+ * @returns {Object} { compositeScore, signal, weights, thresholds, factors, counterfactuals }
+ */
+function explainTradingSignal(analysisData, profile = DEFAULT_SIGNAL_PROFILE) {
+  const { weights, thresholds } = profile;
+  const scores = {
+    technical: analysisData.technicalScore ?? 0.5,
+    sentiment: analysisData.sentimentScore ?? 0.5,
+    volume: analysisData.volumeScore ?? 0.5,
+    trend: analysisData.trendScore ?? 0.5,
+  };
+  const compositeScore = Object.keys(weights)
+    .reduce((sum, factor) => sum + scores[factor] * weights[factor], 0);
+  const signalFor = score => {
+    if (score > thresholds.buy) return 'BUY';
+    if (score < thresholds.sell) return 'SELL';
+    return 'HOLD';
+  };
+  const signal = signalFor(compositeScore);
+  
+  const factors = Object.keys(weights).map(factor => {
+    const contribution = scores[factor] * weights[factor];
+    
+    return {
+      factor,
+      score: scores[factor],
+      weight: weights[factor],
+      contribution,
+      share: compositeScore > 0 ? contribution / compositeScore : 0,
+      // Push relative to a neutral 0.5 score: positive pulls toward BUY, negative toward SELL
+      push: (scores[factor] - 0.5) * weights[factor],
+    };
+  });
+  
+  // The composite boundary to cross for each other signal, and from which side
+  const boundaries = {
+    BUY: [{ target: 'HOLD', threshold: thresholds.buy, condition: 'at or below' },
+      { target: 'SELL', threshold: thresholds.sell, condition: 'below' }],
+    SELL: [{ target: 'HOLD', threshold: thresholds.sell, condition: 'at or above' },
+      { target: 'BUY', threshold: thresholds.buy, condition: 'above' }],
+    HOLD: [{ target: 'BUY', threshold: thresholds.buy, condition: 'above' },
+      { target: 'SELL', threshold: thresholds.sell, condition: 'below' }],
+  };
+  
+  const counterfactuals = [];
+  for (const { target, threshold, condition } of boundaries[signal]) {
+    for (const factor of Object.keys(weights)) {
+      const rest = compositeScore - scores[factor] * weights[factor];
+      // A factor with no weight cannot move the composite score
+      const value = weights[factor] > 0 ? (threshold - rest) / weights[factor] : NaN;
+      // Factor scores are bounded to 0-1
+      const reachable = {
+        above: value < 1,
+        'at or above': value <= 1,
+        below: value > 0,
+        'at or below': value >= 0,
+      }[condition];
+      
+      counterfactuals.push({
+        factor,
+        targetSignal: target,
+        condition,
+        threshold: Number.isNaN(value) ? null : Math.round(value * 1000) / 1000,
+        reachable,
+        description: reachable
+          ? `Signal flips to ${target} if ${factor} score is ${condition} ${value.toFixed(3)} (currently ${scores[factor].toFixed(3)})`
+          : `${factor} alone cannot flip the signal to ${target}`,
+      });
+    }
+  }
+  
+  return {
+    compositeScore,
+    signal,
+    weights: { ...weights },
+    thresholds: { ...thresholds },
+    factors,
+    counterfactuals,
+  };
+}
+
 /**
  * Generate reasoning text explaining the trading signal
  * @param {Object} signal - Trading signal object
@@ -332,12 +748,19 @@ function generateReasoning(signal, analysisData) {
 }
 
 module.exports = {
+  DEFAULT_SIGNAL_PROFILE,
+  getModelName,
   initializeSentimentModel,
+  preloadSentimentModel,
+  getModelStatus,
   analyzeSentimentAdvanced,
+  analyzeSentimentBatch,
   analyzeSentimentSimple,
   calculateTechnicalScore,
   calculateVolumeScore,
   calculateTrendScore,
+  analyzeCandles,
   generateTradingSignal,
+  explainTradingSignal,
   generateReasoning,
 };
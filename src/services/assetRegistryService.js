@@ -0,0 +1,526 @@
+/**
+ * Asset Registry Service
+ * Maps tickers (BTC), provider coin IDs (bitcoin), names and aliases to a single
+ * asset record so every route can accept whichever identifier the caller has
+ *
+ * The registry is seeded from the market data provider's market listing
+ * (getAllCryptocurrencies for CoinGecko), persisted in the Asset table and
+ * held in memory for lookups. Manual edits (aliases, chain, stablecoin flag)
+ * survive reseeding.
+ *
+ * Configuration (environment variables):
+ * - ASSET_REGISTRY_SEED_LIMIT: Number of top markets used to seed the registry (default: 250)
+ * - ASSET_REGISTRY_PROVIDER: Market data provider used for seeding (default: MARKET_DATA_PROVIDER)
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const marketDataService = require('./marketDataService');
+
+// Tickers of USD- and EUR-pegged stablecoins
+const STABLECOIN_TICKERS = new Set([
+  'USDT', 'USDC', 'DAI', 'BUSD', 'TUSD', 'USDD', 'FDUSD', 'PYUSD', 'USDE', 'USDS',
+  'FRAX', 'LUSD', 'GUSD', 'USDP', 'CRVUSD', 'GHO', 'RLUSD', 'EURC', 'EURS',
+]);
+
+// Native chain of layer-1 coins; tokens are left for manual tagging
+const NATIVE_CHAINS = {
+  bitcoin: 'bitcoin',
+  ethereum: 'ethereum',
+  solana: 'solana',
+  binancecoin: 'bnb-chain',
+  ripple: 'xrp-ledger',
+  cardano: 'cardano',
+  'avalanche-2': 'avalanche',
+  tron: 'tron',
+  polkadot: 'polkadot',
+  dogecoin: 'dogecoin',
+  litecoin: 'litecoin',
+  'bitcoin-cash': 'bitcoin-cash',
+  stellar: 'stellar',
+  cosmos: 'cosmos',
+  near: 'near',
+  'the-open-network': 'ton',
+};
+
+// Common alternative names that are neither the ticker nor the provider name
+const DEFAULT_ALIASES = {
+  bitcoin: ['xbt'],
+  ethereum: ['ether'],
+  binancecoin: ['binance coin'],
+  'avalanche-2': ['avalanche'],
+  'matic-network': ['polygon'],
+  'the-open-network': ['toncoin'],
+  'usd-coin': ['usd coin'],
+};
+
+// In-memory lookup index, built from the Asset table on first use
+let index = null;
+let loadPromise = null;
+
+/**
+ * Read registry configuration from the environment
+ * @returns {Object} Registry configuration
+ */
+function getConfig() {
+  return {
+    seedLimit: parseInt(process.env.ASSET_REGISTRY_SEED_LIMIT) || 250,
+    provider: process.env.ASSET_REGISTRY_PROVIDER || undefined,
+  };
+}
+
+/**
+ * Order assets by market cap rank, unranked assets last
+ */
+function compareByRank(a, b) {
+  return (a.marketCapRank ?? Infinity) - (b.marketCapRank ?? Infinity);
+}
+
+/**
+ * Append an asset to a multi-valued index entry
+ */
+function addToIndex(map, key, asset) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(asset);
+}
+
+/**
+ * Build lookup maps for a list of assets
+ * Lists are ordered by market cap rank so ambiguous tickers resolve to the larger asset
+ * @param {Array} assets - Asset records
+ * @returns {Object} Lookup index
+ */
+function buildIndex(assets) {
+  const next = {
+    assets: new Map(),
+    providerIds: new Map(),
+    tickers: new Map(),
+    names: new Map(),
+    aliases: new Map(),
+    loadedAt: new Date(),
+  };
+
+  for (const asset of [...assets].sort(compareByRank)) {
+    next.assets.set(asset.id, asset);
+
+    for (const [provider, providerId] of Object.entries(asset.providerIds || {})) {
+      next.providerIds.set(`${provider}:${String(providerId).toLowerCase()}`, asset);
+    }
+
+    addToIndex(next.tickers, asset.ticker.toUpperCase(), asset);
+    addToIndex(next.names, asset.name.toLowerCase(), asset);
+
+    for (const alias of asset.aliases || []) {
+      addToIndex(next.aliases, alias.toLowerCase(), asset);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Load the registry from the database, seeding it from the provider when empty
+ * @returns {Promise<Object>} Lookup index
+ */
+async function loadRegistry() {
+  const prisma = getPrismaClient();
+  let assets = [];
+
+  try {
+    assets = await prisma.asset.findMany();
+  } catch (error) {
+    console.warn('Could not load asset registry from database:', error.message);
+  }
+
+  if (assets.length === 0) {
+    await seedRegistry();
+    return index;
+  }
+
+  index = buildIndex(assets);
+  return index;
+}
+
+/**
+ * Get the lookup index, loading it on first use
+ * Concurrent callers share a single load
+ * @returns {Promise<Object>} Lookup index
+ */
+async function ensureLoaded() {
+  if (index) {
+    return index;
+  }
+
+  if (!loadPromise) {
+    loadPromise = loadRegistry().finally(() => {
+      loadPromise = null;
+    });
+  }
+
+  return loadPromise;
+}
+
+/**
+ * Seed or refresh the registry from the provider's market listing
+ * Ticker, name, rank and provider ID are refreshed; aliases, chain and the
+ * stablecoin flag of existing assets are kept as they are
+ * @param {Object} options - { provider, limit }
+ * @returns {Promise<Object>} Seeding summary
+ */
+async function seedRegistry(options = {}) {
+  const prisma = getPrismaClient();
+  const config = getConfig();
+  const provider = options.provider || config.provider || marketDataService.getDefaultProviderName();
+  const limit = parseInt(options.limit) || config.seedLimit;
+
+  const markets = await marketDataService.listMarkets(limit, { provider, quote: 'usd' });
+  const current = index || buildIndex([]);
+  const assets = new Map(current.assets);
+  let created = 0;
+  let updated = 0;
+
+  for (const market of markets) {
+    const id = String(market.id).toLowerCase();
+    const ticker = String(market.symbol).toUpperCase();
+
+    // Providers with their own ID scheme attach to the known asset with the same ticker, unless
+    // that asset already has an ID from this provider (another coin sharing the ticker)
+    const existing = current.providerIds.get(`${provider}:${id}`)
+      || assets.get(id)
+      || (current.tickers.get(ticker) || [])
+        .map(asset => assets.get(asset.id))
+        .find(asset => asset && !(asset.providerIds || {})[provider]);
+
+    if (existing) {
+      assets.set(existing.id, {
+        ...existing,
+        ticker,
+        name: market.name || existing.name,
+        marketCapRank: market.marketCapRank ?? existing.marketCapRank,
+        providerIds: { ...existing.providerIds, [provider]: market.id },
+      });
+      updated++;
+    } else {
+      assets.set(id, {
+        id,
+        ticker,
+        name: market.name || ticker,
+        providerIds: { [provider]: market.id },
+        aliases: DEFAULT_ALIASES[id] || [],
+        isStablecoin: STABLECOIN_TICKERS.has(ticker),
+        chain: NATIVE_CHAINS[id] || null,
+        marketCapRank: market.marketCapRank ?? null,
+      });
+      created++;
+    }
+  }
+
+  let persisted = true;
+
+  try {
+    await prisma.$transaction(
+      [...assets.values()].map(asset => {
+        const { createdAt: _createdAt, updatedAt: _updatedAt, ...data } = asset;
+        return prisma.asset.upsert({
+          where: { id: asset.id },
+          update: data,
+          create: data,
+        });
+      })
+    );
+  } catch (error) {
+    // Keep serving lookups from memory when the database is unavailable
+    persisted = false;
+    console.warn('Could not persist asset registry:', error.message);
+  }
+
+  index = buildIndex([...assets.values()]);
+  console.log(`Asset registry seeded from ${provider}: ${created} created, ${updated} updated`);
+
+  return {
+    provider,
+    created,
+    updated,
+    total: index.assets.size,
+    persisted,
+  };
+}
+
+/**
+ * Resolve a ticker, provider coin ID, name or alias to an asset
+ * Match order: provider/asset ID, ticker, name, alias
+ * @param {string} query - Identifier to resolve (e.g. 'BTC', 'bitcoin', 'xbt')
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object|null>} { asset, matchedBy, alternatives } or null when unknown
+ */
+async function resolve(query, options = {}) {
+  const term = String(query || '').trim();
+
+  if (!term) {
+    return null;
+  }
+
+  const registry = await ensureLoaded();
+  const lower = term.toLowerCase();
+  const provider = options.provider || marketDataService.getDefaultProviderName();
+
+  const matches = [
+    {
+      matchedBy: 'id',
+      assets: [registry.providerIds.get(`${provider}:${lower}`) || registry.assets.get(lower)].filter(Boolean),
+    },
+    { matchedBy: 'ticker', assets: registry.tickers.get(term.toUpperCase()) || [] },
+    { matchedBy: 'name', assets: registry.names.get(lower) || [] },
+    { matchedBy: 'alias', assets: registry.aliases.get(lower) || [] },
+  ];
+
+  const match = matches.find(candidate => candidate.assets.length > 0);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    asset: match.assets[0],
+    matchedBy: match.matchedBy,
+    alternatives: match.assets.slice(1),
+  };
+}
+
+/**
+ * Resolve an identifier to an asset, failing with 404 when unknown
+ * @param {string} query - Identifier to resolve
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object>} Asset record
+ */
+async function resolveOrThrow(query, options = {}) {
+  const result = await resolve(query, options);
+
+  if (!result) {
+    const error = new Error(`Unknown asset: ${query}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return result.asset;
+}
+
+/**
+ * Get the coin ID a provider uses for an asset
+ * Falls back to the registry ID, which follows CoinGecko's IDs
+ * @param {Object} asset - Asset record
+ * @param {string} provider - Provider name (default: MARKET_DATA_PROVIDER)
+ * @returns {string} Provider coin ID
+ */
+function getProviderId(asset, provider) {
+  const name = provider || marketDataService.getDefaultProviderName();
+  return (asset.providerIds && asset.providerIds[name]) || asset.id;
+}
+
+/**
+ * Resolve an identifier to a provider coin ID
+ * Unknown identifiers (or an unavailable registry) fall back to the lowercased input
+ * so coins outside the seeded listing can still be requested
+ * @param {string} query - Ticker, coin ID, name or alias
+ * @param {Object} options - { provider }
+ * @returns {Promise<string>} Provider coin ID
+ */
+async function resolveProviderId(query, options = {}) {
+  try {
+    const result = await resolve(query, options);
+
+    if (result) {
+      return getProviderId(result.asset, options.provider);
+    }
+  } catch (error) {
+    console.warn(`Asset registry unavailable resolving ${query}:`, error.message);
+  }
+
+  return String(query).trim().toLowerCase();
+}
+
+/**
+ * Resolve an identifier to the ticker used as Cryptocurrency.symbol
+ * Unknown identifiers (or an unavailable registry) fall back to the uppercased input
+ * @param {string} query - Ticker, coin ID, name or alias
+ * @param {Object} options - { provider }
+ * @returns {Promise<string>} Ticker (e.g. 'BTC')
+ */
+async function resolveTicker(query, options = {}) {
+  try {
+    const result = await resolve(query, options);
+
+    if (result) {
+      return result.asset.ticker;
+    }
+  } catch (error) {
+    console.warn(`Asset registry unavailable resolving ${query}:`, error.message);
+  }
+
+  return String(query).trim().toUpperCase();
+}
+
+/**
+ * List registered assets
+ * @param {Object} filters - { stablecoin, chain, limit }
+ * @returns {Promise<Array>} Assets ordered by market cap rank
+ */
+async function listAssets(filters = {}) {
+  const registry = await ensureLoaded();
+  let assets = [...registry.assets.values()];
+
+  if (filters.stablecoin !== undefined) {
+    assets = assets.filter(asset => asset.isStablecoin === filters.stablecoin);
+  }
+
+  if (filters.chain) {
+    assets = assets.filter(asset => asset.chain === filters.chain);
+  }
+
+  return assets.slice(0, filters.limit || assets.length);
+}
+
+/**
+ * Update the editable fields of an asset
+ * @param {string} query - Identifier of the asset to update
+ * @param {Object} changes - { name, aliases, isStablecoin, chain, providerIds }
+ * @returns {Promise<Object>} Updated asset record
+ */
+async function updateAsset(query, changes = {}) {
+  const prisma = getPrismaClient();
+  const asset = await resolveOrThrow(query);
+  const data = {};
+
+  if (changes.aliases !== undefined) {
+    if (!Array.isArray(changes.aliases) || changes.aliases.some(alias => typeof alias !== 'string')) {
+      const error = new Error('aliases must be an array of strings');
+      error.status = 400;
+      throw error;
+    }
+    data.aliases = changes.aliases.map(alias => alias.trim()).filter(Boolean);
+  }
+
+  if (changes.providerIds !== undefined) {
+    if (typeof changes.providerIds !== 'object' || changes.providerIds === null) {
+      const error = new Error('providerIds must be an object of provider -> coin ID');
+      error.status = 400;
+      throw error;
+    }
+    data.providerIds = { ...asset.providerIds, ...changes.providerIds };
+  }
+
+  if (changes.name !== undefined) {
+    data.name = String(changes.name);
+  }
+
+  if (changes.isStablecoin !== undefined) {
+    data.isStablecoin = Boolean(changes.isStablecoin);
+  }
+
+  if (changes.chain !== undefined) {
+    data.chain = changes.chain ? String(changes.chain) : null;
+  }
+
+  const updated = await prisma.asset.update({
+    where: { id: asset.id },
+    data,
+  });
+
+  index = buildIndex([...index.assets.values()].map(existing => (existing.id === updated.id ? updated : existing)));
+
+  return updated;
+}
+
+/**
+ * Repair Cryptocurrency rows stored under an uppercased provider ID (e.g. 'BITCOIN')
+ * Rows are renamed to the ticker, or merged into the ticker's row when it already exists
+ * @returns {Promise<Object>} { renamed, merged }
+ */
+async function repairLegacySymbols() {
+  const prisma = getPrismaClient();
+  const registry = await ensureLoaded();
+  let renamed = 0;
+  let merged = 0;
+
+  const legacyRows = await prisma.cryptocurrency.findMany({
+    where: {
+      symbol: { in: [...registry.assets.keys()].map(id => id.toUpperCase()) },
+    },
+  });
+
+  for (const legacy of legacyRows) {
+    const asset = registry.assets.get(legacy.symbol.toLowerCase());
+
+    // Skip rows whose symbol is a real ticker (e.g. an asset whose ID equals its ticker)
+    if (!asset || registry.tickers.has(legacy.symbol)) {
+      continue;
+    }
+
+    const target = await prisma.cryptocurrency.findUnique({
+      where: { symbol: asset.ticker },
+    });
+
+    if (!target) {
+      await prisma.cryptocurrency.update({
+        where: { id: legacy.id },
+        data: { symbol: asset.ticker, name: asset.name },
+      });
+      renamed++;
+      continue;
+    }
+
+    // Move child rows to the ticker's record; duplicate candles are dropped
+    await prisma.$transaction([
+      prisma.$executeRaw`
+        DELETE FROM "PriceHistory" AS l
+        USING "PriceHistory" AS t
+        WHERE l."cryptoId" = ${legacy.id}
+          AND t."cryptoId" = ${target.id}
+          AND l."interval" = t."interval"
+          AND l."quote" = t."quote"
+          AND l."timestamp" = t."timestamp"
+      `,
+      prisma.priceHistory.updateMany({ where: { cryptoId: legacy.id }, data: { cryptoId: target.id } }),
+      prisma.prediction.updateMany({ where: { cryptoId: legacy.id }, data: { cryptoId: target.id } }),
+      prisma.sentiment.updateMany({ where: { cryptoId: legacy.id }, data: { cryptoId: target.id } }),
+      prisma.trainingData.updateMany({ where: { cryptoId: legacy.id }, data: { cryptoId: target.id } }),
+      prisma.cryptocurrency.delete({ where: { id: legacy.id } }),
+    ]);
+    merged++;
+  }
+
+  if (renamed > 0 || merged > 0) {
+    console.log(`Repaired legacy symbols: ${renamed} renamed, ${merged} merged`);
+  }
+
+  return { renamed, merged };
+}
+
+/**
+ * Load the registry and repair legacy symbols
+ * Called at server start
+ * @returns {Promise<Object>} { assets, renamed, merged }
+ */
+async function initialize() {
+  const registry = await ensureLoaded();
+  const repaired = await repairLegacySymbols();
+
+  return {
+    assets: registry.assets.size,
+    ...repaired,
+  };
+}
+
+module.exports = {
+  initialize,
+  seedRegistry,
+  resolve,
+  resolveOrThrow,
+  resolveProviderId,
+  resolveTicker,
+  getProviderId,
+  listAssets,
+  updateAsset,
+  repairLegacySymbols,
+};
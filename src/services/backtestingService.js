@@ -5,8 +5,10 @@
  */
 
 const { prisma } = require('../utils/db');
-const coingeckoService = require('./coingeckoService');
+const marketDataService = require('./marketDataService');
+const { DAY_MS, getIntervalMs } = require('../utils/candles');
 const predictionService = require('./predictionService');
+const { UpstreamUnavailableError } = require('../utils/errors');
 
 /**
  * Run backtest on historical data
@@ -14,26 +16,32 @@ const predictionService = require('./predictionService');
  * @param {string} cryptoId - CoinGecko cryptocurrency ID
  * @param {number} days - Number of days to backtest (default: 90)
  * @param {number} initialCapital - Starting capital for simulation (default: 10000)
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Market data provider (default: MARKET_DATA_PROVIDER)
+ * @param {string} options.interval - Candle interval (1h, 4h, 1d; default: 1d)
  * @returns {Promise<Object>} Backtest results with performance metrics
  */
-async function runBacktest(cryptoId, days = 90, initialCapital = 10000) {
+async function runBacktest(cryptoId, days = 90, initialCapital = 10000, options = {}) {
   try {
     console.log(`📊 Running backtest for ${cryptoId} over ${days} days...`);
 
-    // Fetch historical price data
-    const historicalPrices = await coingeckoService.getHistoricalPrices(cryptoId, days);
+    const interval = options.interval || '1d';
+
+    // Fetch OHLCV candles
+    const candles = await marketDataService.getCandles(cryptoId, days, interval, options);
     
-    if (historicalPrices.length < 30) {
+    if (candles.length < 30) {
       return {
         success: false,
         error: 'Insufficient historical data for backtest'
       };
     }
 
-    // Convert to price objects
-    const priceData = historicalPrices.map(([timestamp, price]) => ({
-      timestamp: new Date(timestamp),
-      price
+    // Convert to price objects, trading on candle closes
+    const priceData = candles.map(candle => ({
+      ...candle,
+      timestamp: new Date(candle.timestamp),
+      price: candle.close
     }));
 
     // Initialize portfolio
@@ -86,7 +94,7 @@ async function runBacktest(cryptoId, days = 90, initialCapital = 10000) {
     }
 
     // Calculate performance metrics
-    const metrics = calculateBacktestMetrics(portfolio, initialCapital, priceData);
+    const metrics = calculateBacktestMetrics(portfolio, initialCapital, priceData, interval);
 
     console.log(`✅ Backtest completed for ${cryptoId}`);
     
@@ -94,6 +102,7 @@ async function runBacktest(cryptoId, days = 90, initialCapital = 10000) {
       success: true,
       cryptoId,
       days,
+      interval,
       initialCapital,
       finalEquity: portfolio.equity,
       trades: portfolio.trades,
@@ -102,6 +111,10 @@ async function runBacktest(cryptoId, days = 90, initialCapital = 10000) {
     };
   } catch (error) {
     console.error('❌ Error running backtest:', error.message);
+    // Let routes answer 503 with a retry hint instead of an empty result
+    if (error instanceof UpstreamUnavailableError) {
+      throw error;
+    }
     return {
       success: false,
       error: error.message
@@ -140,9 +153,10 @@ function generateBacktestSignal(recentPrices) {
  * @param {Object} portfolio - Final portfolio state
  * @param {number} initialCapital - Starting capital
  * @param {Array} priceData - Historical price data
+ * @param {string} interval - Candle interval of the equity history (default: 1d)
  * @returns {Object} Performance metrics
  */
-function calculateBacktestMetrics(portfolio, initialCapital, priceData) {
+function calculateBacktestMetrics(portfolio, initialCapital, priceData, interval = '1d') {
   const finalEquity = portfolio.equity;
   const totalReturn = ((finalEquity - initialCapital) / initialCapital) * 100;
   
@@ -158,7 +172,9 @@ function calculateBacktestMetrics(portfolio, initialCapital, priceData) {
   const avgReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
   const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
   const stdDev = Math.sqrt(variance);
-  const sharpeRatio = stdDev === 0 ? 0 : (avgReturn / stdDev) * Math.sqrt(252); // Annualized
+  // Annualized, scaling the 252 daily periods to the candle interval
+  const periodsPerYear = 252 * (DAY_MS / getIntervalMs(interval));
+  const sharpeRatio = stdDev === 0 ? 0 : (avgReturn / stdDev) * Math.sqrt(periodsPerYear);
   
   // Calculate max drawdown
   let maxDrawdown = 0;
@@ -231,9 +247,10 @@ function calculateProfitFactor(trades) {
  * Tests different trading strategies and compares performance
  * @param {string} cryptoId - CoinGecko cryptocurrency ID
  * @param {number} days - Number of days to backtest
+ * @param {Object} options - Optional settings passed to runBacktest
  * @returns {Promise<Array>} Array of strategy results
  */
-async function compareStrategies(cryptoId, days = 90) {
+async function compareStrategies(cryptoId, days = 90, options = {}) {
   try {
     console.log(`🔄 Comparing strategies for ${cryptoId}...`);
 
@@ -247,7 +264,7 @@ async function compareStrategies(cryptoId, days = 90) {
     const results = [];
 
     for (const strategy of strategies) {
-      const backtest = await runBacktest(cryptoId, days);
+      const backtest = await runBacktest(cryptoId, days, undefined, options);
       
       if (backtest.success) {
         results.push({
@@ -264,6 +281,9 @@ async function compareStrategies(cryptoId, days = 90) {
     return results;
   } catch (error) {
     console.error('❌ Error comparing strategies:', error.message);
+    if (error instanceof UpstreamUnavailableError) {
+      throw error;
+    }
     return [];
   }
 }
@@ -273,9 +293,10 @@ async function compareStrategies(cryptoId, days = 90) {
  * Tests different parameter combinations to find optimal settings
  * @param {string} cryptoId - CoinGecko cryptocurrency ID
  * @param {number} days - Number of days to backtest
+ * @param {Object} options - Optional settings passed to runBacktest
  * @returns {Promise<Object>} Optimal parameters and performance
  */
-async function optimizeStrategy(cryptoId, days = 90) {
+async function optimizeStrategy(cryptoId, days = 90, options = {}) {
   try {
     console.log(`⚙️ Optimizing strategy parameters for ${cryptoId}...`);
 
@@ -284,7 +305,7 @@ async function optimizeStrategy(cryptoId, days = 90) {
     const results = [];
 
     for (const period of smaPeriods) {
-      const backtest = await runBacktest(cryptoId, days);
+      const backtest = await runBacktest(cryptoId, days, undefined, options);
       
       if (backtest.success) {
         results.push({
@@ -308,6 +329,9 @@ async function optimizeStrategy(cryptoId, days = 90) {
     };
   } catch (error) {
     console.error('❌ Error optimizing strategy:', error.message);
+    if (error instanceof UpstreamUnavailableError) {
+      throw error;
+    }
     return {
       error: error.message
     };
@@ -0,0 +1,581 @@
+/**
+ * Calibration Service
+ * Maps raw signal confidence to the empirical hit rate of evaluated predictions
+ *
+ * The confidence from generateTradingSignal is a distance from the signal thresholds, not a
+ * probability. Profiles weigh and threshold the scores differently and horizons are scored
+ * against different bands, so one calibration map is fitted per signal profile, horizon and
+ * signal type (BUY, SELL, HOLD) on the evaluated predictions made with them. A calibrated
+ * confidence of 0.6 means about 60% of past predictions with that profile, horizon, signal
+ * and raw confidence were hits. Only stored predictions are calibrated; other models (such as
+ * advancedMLService.ensemblePrediction) are never evaluated and keep their raw confidence.
+ *
+ * Methods:
+ * - isotonic: monotone step function fitted with pool-adjacent-violators; block hit rates
+ *   are smoothed toward 50% (Laplace) and interpolated between blocks
+ * - platt: logistic curve p = 1 / (1 + exp(-(a * confidence + b))) with Platt's smoothed targets
+ * Maps with fewer than CALIBRATION_MIN_SAMPLES evaluated predictions keep the raw confidence.
+ *
+ * Fitted maps are stored in the SignalCalibration table and refitted after each evaluation
+ * cycle that scores new predictions. Predictions store both the raw and calibrated confidence.
+ *
+ * Configuration (environment variables):
+ * - CALIBRATION_ENABLED: Set to false to keep raw confidence on new predictions
+ * - CALIBRATION_METHOD: isotonic or platt (default: isotonic)
+ * - CALIBRATION_MIN_SAMPLES: Evaluated predictions needed to fit a map (default: 30)
+ * - CALIBRATION_WINDOW_DAYS: Age of the evaluated predictions fitted on (default: 180)
+ * - CALIBRATION_BINS: Reliability diagram bins (default: 10)
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const { DAY_MS } = require('../utils/candles');
+const { normalizeHorizon } = require('../utils/horizons');
+
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+const METHODS = ['isotonic', 'platt'];
+
+// How long fitted maps are reused before being reloaded from the database
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Newton iterations for Platt scaling
+const PLATT_ITERATIONS = 50;
+
+let cache = null;
+
+/**
+ * Read calibration configuration from the environment
+ * @returns {Object} Calibration configuration
+ */
+function getConfig() {
+  const method = String(process.env.CALIBRATION_METHOD || 'isotonic').toLowerCase();
+
+  return {
+    enabled: process.env.CALIBRATION_ENABLED !== 'false',
+    method: METHODS.includes(method) ? method : 'isotonic',
+    minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES) || 30,
+    windowDays: parseInt(process.env.CALIBRATION_WINDOW_DAYS) || 180,
+    bins: parseInt(process.env.CALIBRATION_BINS) || 10,
+  };
+}
+
+/**
+ * Key of a calibration map
+ * @param {string} profile - Signal profile name
+ * @param {string} horizon - Prediction horizon
+ * @param {string} signal - BUY, SELL or HOLD
+ * @returns {string} Key into the maps from getCalibrations()
+ */
+function calibrationKey(profile, horizon, signal) {
+  return `${profile}:${horizon}:${signal}`;
+}
+
+/**
+ * Clamp a value to 0-1
+ * @param {number} value - Value
+ * @returns {number} Clamped value
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Fit an isotonic (monotone non-decreasing) map with pool-adjacent-violators
+ * @param {Array} samples - { confidence, hit } samples
+ * @returns {Object} { points } block centres { x, y } in increasing x
+ */
+function fitIsotonic(samples) {
+  const sorted = [...samples].sort((a, b) => a.confidence - b.confidence);
+  const blocks = [];
+
+  // Hit rate smoothed toward 50%, so small blocks do not map to 0 or 1
+  const rate = block => (block.hits + 1) / (block.n + 2);
+
+  for (const sample of sorted) {
+    const current = blocks[blocks.length - 1];
+
+    // Samples with the same confidence always share a block
+    if (current && current.maxX === sample.confidence) {
+      current.n += 1;
+      current.hits += sample.hit ? 1 : 0;
+      current.sumX += sample.confidence;
+    } else {
+      blocks.push({ n: 1, hits: sample.hit ? 1 : 0, sumX: sample.confidence, maxX: sample.confidence });
+    }
+
+    // Merge backwards while the hit rates decrease
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (rate(previous) <= rate(last)) {
+        break;
+      }
+      previous.n += last.n;
+      previous.hits += last.hits;
+      previous.sumX += last.sumX;
+      previous.maxX = last.maxX;
+      blocks.pop();
+    }
+  }
+
+  return {
+    points: blocks.map(block => ({
+      x: block.sumX / block.n,
+      y: rate(block),
+      n: block.n,
+    })),
+  };
+}
+
+/**
+ * Apply an isotonic map, interpolating linearly between block centres
+ * @param {Object} parameters - { points }
+ * @param {number} confidence - Raw confidence
+ * @returns {number} Calibrated confidence
+ */
+function applyIsotonic(parameters, confidence) {
+  const { points } = parameters;
+
+  if (confidence <= points[0].x) {
+    return points[0].y;
+  }
+  if (confidence >= points[points.length - 1].x) {
+    return points[points.length - 1].y;
+  }
+
+  const upper = points.findIndex(point => point.x >= confidence);
+  const a = points[upper - 1];
+  const b = points[upper];
+  return a.y + (b.y - a.y) * (confidence - a.x) / (b.x - a.x);
+}
+
+/**
+ * Fit Platt scaling (one-feature logistic regression) with Newton's method
+ * @param {Array} samples - { confidence, hit } samples
+ * @returns {Object} { a, b }
+ */
+function fitPlatt(samples) {
+  const positives = samples.filter(sample => sample.hit).length;
+  const negatives = samples.length - positives;
+
+  // Platt's smoothed targets keep the fit finite when every sample agrees
+  const hiTarget = (positives + 1) / (positives + 2);
+  const loTarget = 1 / (negatives + 2);
+  const targets = samples.map(sample => (sample.hit ? hiTarget : loTarget));
+
+  let a = 0;
+  let b = Math.log((positives + 1) / (negatives + 1));
+
+  for (let iteration = 0; iteration < PLATT_ITERATIONS; iteration++) {
+    let gA = 0;
+    let gB = 0;
+    let hAA = 1e-9;
+    let hAB = 0;
+    let hBB = 1e-9;
+
+    samples.forEach((sample, i) => {
+      const p = 1 / (1 + Math.exp(-(a * sample.confidence + b)));
+      const d = p - targets[i];
+      const w = p * (1 - p);
+      gA += d * sample.confidence;
+      gB += d;
+      hAA += w * sample.confidence * sample.confidence;
+      hAB += w * sample.confidence;
+      hBB += w;
+    });
+
+    const det = hAA * hBB - hAB * hAB;
+    if (Math.abs(det) < 1e-12) {
+      break;
+    }
+
+    const stepA = (hBB * gA - hAB * gB) / det;
+    const stepB = (hAA * gB - hAB * gA) / det;
+    a -= stepA;
+    b -= stepB;
+
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) {
+      break;
+    }
+  }
+
+  return { a, b };
+}
+
+/**
+ * Apply Platt scaling
+ * @param {Object} parameters - { a, b }
+ * @param {number} confidence - Raw confidence
+ * @returns {number} Calibrated confidence
+ */
+function applyPlatt(parameters, confidence) {
+  return 1 / (1 + Math.exp(-(parameters.a * confidence + parameters.b)));
+}
+
+/**
+ * Map a raw confidence through a fitted calibration
+ * @param {Object|null} calibration - { method, parameters }, or null for none
+ * @param {number} confidence - Raw confidence (0-1)
+ * @returns {number} Calibrated confidence (0-1); the raw confidence without a calibration
+ */
+function applyCalibration(calibration, confidence) {
+  const raw = clamp01(Number(confidence) || 0);
+
+  if (!calibration || calibration.method === 'none') {
+    return raw;
+  }
+
+  const calibrated = calibration.method === 'platt'
+    ? applyPlatt(calibration.parameters, raw)
+    : applyIsotonic(calibration.parameters, raw);
+
+  return clamp01(calibrated);
+}
+
+/**
+ * Fit a calibration map for one profile, horizon and signal's samples
+ * @param {Array} samples - { confidence, hit } samples
+ * @param {Object} config - Calibration configuration
+ * @returns {Object} { method, parameters }; method 'none' when there are too few samples
+ */
+function fitSamples(samples, config) {
+  if (samples.length < config.minSamples) {
+    return { method: 'none', parameters: {} };
+  }
+
+  return config.method === 'platt'
+    ? { method: 'platt', parameters: fitPlatt(samples) }
+    : { method: 'isotonic', parameters: fitIsotonic(samples) };
+}
+
+/**
+ * Brier score (mean squared error of a probability against the outcome)
+ * @param {Array} samples - { probability, hit } samples
+ * @returns {number|null} Brier score (0 = perfect), or null without samples
+ */
+function brierScore(samples) {
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const total = samples.reduce((sum, sample) => sum + Math.pow(sample.probability - (sample.hit ? 1 : 0), 2), 0);
+  return total / samples.length;
+}
+
+/**
+ * Build a reliability diagram: predicted probability against observed hit rate per bin
+ * @param {Array} samples - { probability, hit } samples
+ * @param {number} bins - Number of equal-width bins over 0-1
+ * @returns {Array} Bins { from, to, count, meanProbability, hitRate } (null means when empty)
+ */
+function reliabilityDiagram(samples, bins) {
+  const diagram = Array.from({ length: bins }, (_, i) => ({
+    from: i / bins,
+    to: (i + 1) / bins,
+    count: 0,
+    meanProbability: 0,
+    hitRate: 0,
+  }));
+
+  for (const sample of samples) {
+    const bin = diagram[Math.min(bins - 1, Math.floor(clamp01(sample.probability) * bins))];
+    bin.count += 1;
+    bin.meanProbability += sample.probability;
+    bin.hitRate += sample.hit ? 1 : 0;
+  }
+
+  return diagram.map(bin => ({
+    ...bin,
+    meanProbability: bin.count > 0 ? bin.meanProbability / bin.count : null,
+    hitRate: bin.count > 0 ? bin.hitRate / bin.count : null,
+  }));
+}
+
+/**
+ * Expected calibration error: count-weighted gap between predicted probability and hit rate
+ * @param {Array} diagram - Reliability diagram bins
+ * @returns {number|null} Expected calibration error, or null without samples
+ */
+function expectedCalibrationError(diagram) {
+  const total = diagram.reduce((sum, bin) => sum + bin.count, 0);
+
+  if (total === 0) {
+    return null;
+  }
+
+  return diagram.reduce((sum, bin) => (
+    bin.count > 0 ? sum + (bin.count / total) * Math.abs(bin.meanProbability - bin.hitRate) : sum
+  ), 0);
+}
+
+/**
+ * Raw confidence of an evaluated prediction
+ * Predictions stored before calibration only have `confidence`, which was raw then
+ * @param {Object} prediction - Prediction record
+ * @returns {number} Raw confidence
+ */
+function rawConfidenceOf(prediction) {
+  return prediction.rawConfidence ?? prediction.confidence;
+}
+
+/**
+ * Load evaluated predictions as calibration samples
+ * @param {Object} where - Additional Prediction filters
+ * @param {number} days - Window over prediction creation time
+ * @returns {Promise<Array>} { profile, horizon, signal, confidence, hit } samples
+ */
+async function loadSamples(where, days) {
+  const prisma = getPrismaClient();
+  const predictions = await prisma.prediction.findMany({
+    where: {
+      ...where,
+      evaluatedAt: { not: null },
+      hit: { not: null },
+      createdAt: { gte: new Date(Date.now() - days * DAY_MS) },
+    },
+    select: { profile: true, horizon: true, signal: true, confidence: true, rawConfidence: true, hit: true },
+  });
+
+  return predictions.map(prediction => ({
+    profile: prediction.profile,
+    horizon: prediction.horizon,
+    signal: prediction.signal,
+    confidence: clamp01(rawConfidenceOf(prediction)),
+    hit: prediction.hit,
+  }));
+}
+
+/**
+ * Convert a SignalCalibration record to a calibration
+ * @param {Object} record - SignalCalibration record
+ * @returns {Object} Calibration
+ */
+function toCalibration(record) {
+  return {
+    profile: record.profile,
+    horizon: record.horizon,
+    signal: record.signal,
+    method: record.method,
+    parameters: record.parameters,
+    sampleSize: record.sampleSize,
+    hitRate: record.hitRate,
+    brierRaw: record.brierRaw,
+    brierCalibrated: record.brierCalibrated,
+    fittedAt: record.fittedAt,
+  };
+}
+
+/**
+ * Fit and store one calibration map
+ * @param {string} key - Calibration key (profile:horizon:signal)
+ * @param {Array} samples - All loaded samples
+ * @param {Object} config - Calibration configuration
+ * @param {Date} fittedAt - Fit time
+ * @returns {Promise<Object>} Stored calibration
+ */
+async function fitAndStore(key, samples, config, fittedAt) {
+  const prisma = getPrismaClient();
+  const [profile, horizon, signal] = key.split(':');
+  const signalSamples = samples.filter(sample => calibrationKey(sample.profile, sample.horizon, sample.signal) === key);
+  const { method, parameters } = fitSamples(signalSamples, config);
+  const calibration = { method, parameters };
+  const hits = signalSamples.filter(sample => sample.hit).length;
+
+  const data = {
+    method,
+    parameters,
+    sampleSize: signalSamples.length,
+    hitRate: signalSamples.length > 0 ? hits / signalSamples.length : null,
+    brierRaw: brierScore(signalSamples.map(sample => ({ probability: sample.confidence, hit: sample.hit }))),
+    brierCalibrated: brierScore(signalSamples.map(sample => ({
+      probability: applyCalibration(calibration, sample.confidence),
+      hit: sample.hit,
+    }))),
+    fittedAt,
+  };
+
+  const record = await prisma.signalCalibration.upsert({
+    where: { profile_horizon_signal: { profile, horizon, signal } },
+    update: data,
+    create: { profile, horizon, signal, ...data },
+  });
+
+  return toCalibration(record);
+}
+
+/**
+ * Fit and store a calibration map per signal profile, horizon and signal type from evaluated
+ * predictions
+ * Profiles and horizons with stored maps but no predictions left in the window are refitted
+ * too, which resets them to raw confidence
+ * @returns {Promise<Object>} { method, windowDays, minSamples, calibrations } with one
+ *   calibration per profile, horizon and signal
+ */
+async function fitCalibrations() {
+  const prisma = getPrismaClient();
+  const config = getConfig();
+  const samples = await loadSamples({}, config.windowDays);
+  const stored = await prisma.signalCalibration.findMany({ select: { profile: true, horizon: true } });
+  const fittedAt = new Date();
+  const calibrations = {};
+
+  const groups = new Map();
+  for (const { profile, horizon } of [...samples, ...stored]) {
+    groups.set(`${profile}:${horizon}`, { profile, horizon });
+  }
+
+  for (const { profile, horizon } of groups.values()) {
+    for (const signal of SIGNALS) {
+      const key = calibrationKey(profile, horizon, signal);
+      calibrations[key] = await fitAndStore(key, samples, config, fittedAt);
+    }
+  }
+
+  cache = { loadedAt: Date.now(), calibrations };
+
+  return {
+    method: config.method,
+    windowDays: config.windowDays,
+    minSamples: config.minSamples,
+    calibrations: Object.values(calibrations),
+  };
+}
+
+/**
+ * Get the stored calibration maps
+ * Maps are cached for a few minutes; without stored maps (or a database) confidence stays raw
+ * @returns {Promise<Object>} Map of calibrationKey(profile, horizon, signal) -> calibration
+ */
+async function getCalibrations() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.calibrations;
+  }
+
+  try {
+    const prisma = getPrismaClient();
+    const records = await prisma.signalCalibration.findMany();
+    cache = {
+      loadedAt: Date.now(),
+      calibrations: Object.fromEntries(records.map(record => [
+        calibrationKey(record.profile, record.horizon, record.signal),
+        toCalibration(record),
+      ])),
+    };
+    return cache.calibrations;
+  } catch (error) {
+    console.warn('Signal calibrations unavailable, using raw confidence:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Calibrate a prediction's confidence
+ * @param {string} signal - BUY, SELL or HOLD
+ * @param {number} confidence - Raw confidence (0-1)
+ * @param {Object} calibrations - Maps from getCalibrations()
+ * @param {Object} options - { profile, horizon } the prediction was made with
+ * @returns {Object} { confidence, rawConfidence, method }; confidence stays raw when
+ *   CALIBRATION_ENABLED is false or the profile, horizon and signal have no map
+ */
+function calibrateConfidence(signal, confidence, calibrations, options = {}) {
+  const calibration = getConfig().enabled
+    ? calibrations[calibrationKey(options.profile, options.horizon, signal)] || null
+    : null;
+
+  return {
+    confidence: Math.round(applyCalibration(calibration, confidence) * 100) / 100,
+    rawConfidence: confidence,
+    method: calibration ? calibration.method : 'none',
+  };
+}
+
+/**
+ * Report calibration quality of evaluated predictions
+ * Raw confidence is compared with each prediction's stored calibration map applied to it
+ * @param {Object} options - { days } window (default: CALIBRATION_WINDOW_DAYS), { bins },
+ *   and { symbol }, { horizon }, { profile } filters
+ * @returns {Promise<Object>} Brier scores, calibration error and reliability diagrams,
+ *   overall and per signal, with the maps fitted for each signal
+ */
+async function getCalibrationReport(options = {}) {
+  const config = getConfig();
+  const days = parseInt(options.days) || config.windowDays;
+  const bins = Math.min(Math.max(parseInt(options.bins) || config.bins, 2), 50);
+  const horizon = options.horizon ? normalizeHorizon(options.horizon) : null;
+  const profile = options.profile ? String(options.profile).toLowerCase() : null;
+  const symbol = options.symbol || null;
+
+  const [samples, calibrations] = await Promise.all([
+    loadSamples({
+      ...(symbol ? { crypto: { symbol } } : {}),
+      ...(horizon ? { horizon } : {}),
+      ...(profile ? { profile } : {}),
+    }, days),
+    getCalibrations(),
+  ]);
+
+  const summarize = (group, calibrationFor) => {
+    const raw = group.map(sample => ({ probability: sample.confidence, hit: sample.hit }));
+    const calibrated = group.map(sample => ({
+      probability: applyCalibration(calibrationFor(sample), sample.confidence),
+      hit: sample.hit,
+    }));
+    const rawDiagram = reliabilityDiagram(raw, bins);
+    const calibratedDiagram = reliabilityDiagram(calibrated, bins);
+
+    return {
+      count: group.length,
+      hitRate: group.length > 0 ? group.filter(sample => sample.hit).length / group.length : null,
+      brier: { raw: brierScore(raw), calibrated: brierScore(calibrated) },
+      calibrationError: {
+        raw: expectedCalibrationError(rawDiagram),
+        calibrated: expectedCalibrationError(calibratedDiagram),
+      },
+      reliability: { raw: rawDiagram, calibrated: calibratedDiagram },
+    };
+  };
+
+  const calibrationFor = sample => calibrations[calibrationKey(sample.profile, sample.horizon, sample.signal)] || null;
+
+  const bySignal = {};
+  for (const signal of SIGNALS) {
+    bySignal[signal] = {
+      maps: Object.values(calibrations)
+        .filter(calibration => calibration.signal === signal
+          && (!horizon || calibration.horizon === horizon)
+          && (!profile || calibration.profile === profile))
+        .map(({ profile: mapProfile, horizon: mapHorizon, method, sampleSize, fittedAt }) => ({
+          profile: mapProfile,
+          horizon: mapHorizon,
+          method,
+          sampleSize,
+          fittedAt,
+        })),
+      ...summarize(samples.filter(sample => sample.signal === signal), calibrationFor),
+    };
+  }
+
+  return {
+    symbol,
+    days,
+    horizon,
+    profile,
+    bins,
+    enabled: config.enabled,
+    ...summarize(samples, calibrationFor),
+    bySignal,
+  };
+}
+
+module.exports = {
+  SIGNALS,
+  getConfig,
+  fitIsotonic,
+  fitPlatt,
+  applyCalibration,
+  brierScore,
+  reliabilityDiagram,
+  fitCalibrations,
+  getCalibrations,
+  calibrateConfidence,
+  getCalibrationReport,
+};
@@ -5,59 +5,110 @@
  */
 
 const axios = require('axios');
+const ResponseCache = require('../utils/responseCache');
+const PostgresCacheStore = require('../utils/postgresCacheStore');
+const { getLimiter } = require('../utils/rateLimiter');
+const { toUpstreamError } = require('../utils/errors');
 
 // CoinGecko API base URL (free tier, no API key required)
 const COINGECKO_API = 'https://api.coingecko.com/api/v3';
 
+/**
+ * Read an integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Request timeout in milliseconds
+const API_TIMEOUT = readIntEnv('COINGECKO_API_TIMEOUT', 10000);
+
 // Rate limiting: CoinGecko free tier allows 10-50 calls/minute
-// We'll add a small delay between requests to be respectful
-const RATE_LIMIT_DELAY = 100; // milliseconds
+// One request token is added every RATE_LIMIT_DELAY ms, with bursts up to COINGECKO_RATE_LIMIT_BURST
+const limiter = getLimiter('coingecko', {
+  refillIntervalMs: readIntEnv('RATE_LIMIT_DELAY', 100),
+  burst: readIntEnv('COINGECKO_RATE_LIMIT_BURST', 5),
+  maxRetries: readIntEnv('UPSTREAM_MAX_RETRIES', 3),
+  baseDelayMs: readIntEnv('UPSTREAM_BACKOFF_BASE_MS', 500),
+  maxDelayMs: readIntEnv('UPSTREAM_BACKOFF_MAX_MS', 30 * 1000),
+  maxQueueMs: readIntEnv('UPSTREAM_MAX_QUEUE_MS', 30 * 1000),
+  failureThreshold: readIntEnv('UPSTREAM_CIRCUIT_THRESHOLD', 5),
+  resetTimeoutMs: readIntEnv('UPSTREAM_CIRCUIT_RESET_MS', 60 * 1000),
+});
 
-let lastRequestTime = 0;
+// Cache TTLs per endpoint (milliseconds)
+// Prices move constantly; search results and long histories change slowly
+const DEFAULT_CACHE_TTLS = {
+  markets: 60 * 1000,
+  coin: 60 * 1000,
+  historicalPrices: 10 * 60 * 1000,
+  marketChart: 5 * 60 * 1000,
+  search: 60 * 60 * 1000,
+  trending: 5 * 60 * 1000,
+  exchangeRates: 5 * 60 * 1000,
+};
 
 /**
- * Apply rate limiting to avoid hitting API limits
- * Waits if necessary to maintain minimum delay between requests
+ * Read cache TTLs, applying overrides from COINGECKO_CACHE_TTLS
+ * e.g. COINGECKO_CACHE_TTLS='{"markets":30000,"search":600000}'
+ * @returns {Object} Map of endpoint -> TTL in milliseconds
  */
-async function applyRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => 
-      setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest)
-    );
+function getCacheTtls() {
+  if (!process.env.COINGECKO_CACHE_TTLS) {
+    return DEFAULT_CACHE_TTLS;
+  }
+
+  try {
+    return { ...DEFAULT_CACHE_TTLS, ...JSON.parse(process.env.COINGECKO_CACHE_TTLS) };
+  } catch (error) {
+    console.warn('Invalid COINGECKO_CACHE_TTLS, using defaults:', error.message);
+    return DEFAULT_CACHE_TTLS;
   }
-  
-  lastRequestTime = Date.now();
 }
 
+// Read-through cache shared by all CoinGecko requests
+const responseCache = new ResponseCache({
+  name: 'coingecko',
+  ttls: getCacheTtls(),
+  staleMs: readIntEnv('COINGECKO_CACHE_STALE_MS', 5 * 60 * 1000),
+  maxEntries: readIntEnv('COINGECKO_CACHE_MAX_ENTRIES', 1000),
+  store: process.env.CACHE_STORE === 'postgres' ? new PostgresCacheStore() : null,
+  enabled: process.env.COINGECKO_CACHE_ENABLED !== 'false',
+});
+
 /**
  * Fetch list of all cryptocurrencies with basic data
  * Returns top cryptocurrencies by market cap
  * @param {number} limit - Number of cryptocurrencies to fetch (default: 250)
+ * @param {string} quote - Quote currency for prices (default: usd)
  * @returns {Promise<Array>} Array of cryptocurrency objects
  */
-async function getAllCryptocurrencies(limit = 250) {
+async function getAllCryptocurrencies(limit = 250, quote = 'usd') {
   try {
-    await applyRateLimit();
+    const perPage = Math.min(limit, 250); // CoinGecko max is 250 per page
     
-    const response = await axios.get(`${COINGECKO_API}/coins/markets`, {
-      params: {
-        vs_currency: 'usd',
-        order: 'market_cap_desc',
-        per_page: Math.min(limit, 250), // CoinGecko max is 250 per page
-        page: 1,
-        sparkline: false,
-        locale: 'en',
-      },
-      timeout: 10000, // 10 second timeout
+    return await responseCache.getOrFetch('markets', { perPage, quote }, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/coins/markets`, {
+        params: {
+          vs_currency: quote,
+          order: 'market_cap_desc',
+          per_page: perPage,
+          page: 1,
+          sparkline: false,
+          locale: 'en',
+        },
+        timeout: API_TIMEOUT,
+      }));
+      
+      return response.data;
     });
-    
-    return response.data;
   } catch (error) {
     console.error('Error fetching cryptocurrencies from CoinGecko:', error.message);
-    throw new Error(`Failed to fetch cryptocurrencies: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch cryptocurrencies', 'coingecko');
   }
 }
 
@@ -68,24 +119,24 @@ async function getAllCryptocurrencies(limit = 250) {
  */
 async function getCryptocurrencyData(cryptoId) {
   try {
-    await applyRateLimit();
-    
-    const response = await axios.get(`${COINGECKO_API}/coins/${cryptoId}`, {
-      params: {
-        localization: false,
-        tickers: false,
-        market_data: true,
-        community_data: false,
-        developer_data: false,
-        sparkline: false,
-      },
-      timeout: 10000,
+    return await responseCache.getOrFetch('coin', { cryptoId }, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/coins/${cryptoId}`, {
+        params: {
+          localization: false,
+          tickers: false,
+          market_data: true,
+          community_data: false,
+          developer_data: false,
+          sparkline: false,
+        },
+        timeout: API_TIMEOUT,
+      }));
+      
+      return response.data;
     });
-    
-    return response.data;
   } catch (error) {
     console.error(`Error fetching data for ${cryptoId}:`, error.message);
-    throw new Error(`Failed to fetch cryptocurrency data: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch cryptocurrency data', 'coingecko');
   }
 }
 
@@ -94,26 +145,62 @@ async function getCryptocurrencyData(cryptoId) {
  * Useful for technical analysis and trend detection
  * @param {string} cryptoId - CoinGecko cryptocurrency ID
  * @param {number} days - Number of days of historical data (1-365)
+ * @param {string} quote - Quote currency for prices (default: usd)
  * @returns {Promise<Array>} Array of [timestamp, price] pairs
  */
-async function getHistoricalPrices(cryptoId, days = 30) {
+async function getHistoricalPrices(cryptoId, days = 30, quote = 'usd') {
   try {
-    await applyRateLimit();
+    const cappedDays = Math.min(days, 365); // CoinGecko max is 365 days
     
-    const response = await axios.get(`${COINGECKO_API}/coins/${cryptoId}/market_chart`, {
-      params: {
-        vs_currency: 'usd',
-        days: Math.min(days, 365), // CoinGecko max is 365 days
-        interval: 'daily',
-      },
-      timeout: 10000,
+    return await responseCache.getOrFetch('historicalPrices', { cryptoId, days: cappedDays, quote }, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/coins/${cryptoId}/market_chart`, {
+        params: {
+          vs_currency: quote,
+          days: cappedDays,
+          interval: 'daily',
+        },
+        timeout: API_TIMEOUT,
+      }));
+      
+      // Return prices array: [[timestamp, price], ...]
+      return response.data.prices;
     });
-    
-    // Return prices array: [[timestamp, price], ...]
-    return response.data.prices;
   } catch (error) {
     console.error(`Error fetching historical prices for ${cryptoId}:`, error.message);
-    throw new Error(`Failed to fetch historical prices: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch historical prices', 'coingecko');
+  }
+}
+
+/**
+ * Fetch raw market chart data for a cryptocurrency
+ * Granularity is chosen by CoinGecko: hourly for 2-90 days, daily above 90 days
+ * @param {string} cryptoId - CoinGecko cryptocurrency ID
+ * @param {number} days - Number of days of historical data (1-365)
+ * @param {string} quote - Quote currency for prices (default: usd)
+ * @returns {Promise<Object>} Object with prices, market_caps and total_volumes arrays
+ */
+async function getMarketChart(cryptoId, days = 30, quote = 'usd') {
+  try {
+    const cappedDays = Math.min(days, 365); // CoinGecko max is 365 days
+    
+    return await responseCache.getOrFetch('marketChart', { cryptoId, days: cappedDays, quote }, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/coins/${cryptoId}/market_chart`, {
+        params: {
+          vs_currency: quote,
+          days: cappedDays,
+        },
+        timeout: API_TIMEOUT,
+      }));
+      
+      return {
+        prices: response.data.prices || [],
+        market_caps: response.data.market_caps || [],
+        total_volumes: response.data.total_volumes || [],
+      };
+    });
+  } catch (error) {
+    console.error(`Error fetching market chart for ${cryptoId}:`, error.message);
+    throw toUpstreamError(error, 'Failed to fetch market chart', 'coingecko');
   }
 }
 
@@ -124,19 +211,21 @@ async function getHistoricalPrices(cryptoId, days = 30) {
  */
 async function searchCryptocurrency(query) {
   try {
-    await applyRateLimit();
+    const normalizedQuery = String(query).trim().toLowerCase();
     
-    const response = await axios.get(`${COINGECKO_API}/search`, {
-      params: {
-        query: query,
-      },
-      timeout: 10000,
+    return await responseCache.getOrFetch('search', { query: normalizedQuery }, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/search`, {
+        params: {
+          query: normalizedQuery,
+        },
+        timeout: API_TIMEOUT,
+      }));
+      
+      return response.data.coins || [];
     });
-    
-    return response.data.coins || [];
   } catch (error) {
     console.error(`Error searching for ${query}:`, error.message);
-    throw new Error(`Failed to search cryptocurrency: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to search cryptocurrency', 'coingecko');
   }
 }
 
@@ -147,16 +236,40 @@ async function searchCryptocurrency(query) {
  */
 async function getTrendingCryptocurrencies() {
   try {
-    await applyRateLimit();
-    
-    const response = await axios.get(`${COINGECKO_API}/search/trending`, {
-      timeout: 10000,
+    return await responseCache.getOrFetch('trending', {}, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/search/trending`, {
+        timeout: API_TIMEOUT,
+      }));
+      
+      return response.data.coins || [];
     });
-    
-    return response.data.coins || [];
   } catch (error) {
     console.error('Error fetching trending cryptocurrencies:', error.message);
-    throw new Error(`Failed to fetch trending cryptocurrencies: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch trending cryptocurrencies', 'coingecko');
+  }
+}
+
+/**
+ * Get BTC-denominated exchange rates for fiat and crypto currencies
+ * @returns {Promise<Object>} Map of currency code -> units per 1 BTC (e.g. { usd: 65000, eur: 60000, btc: 1 })
+ */
+async function getExchangeRates() {
+  try {
+    return await responseCache.getOrFetch('exchangeRates', {}, async () => {
+      const response = await limiter.execute(() => axios.get(`${COINGECKO_API}/exchange_rates`, {
+        timeout: API_TIMEOUT,
+      }));
+      
+      const rates = {};
+      for (const [code, rate] of Object.entries(response.data.rates || {})) {
+        rates[code] = rate.value;
+      }
+      
+      return rates;
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error.message);
+    throw toUpstreamError(error, 'Failed to fetch exchange rates', 'coingecko');
   }
 }
 
@@ -178,15 +291,34 @@ async function convertToUSD(cryptoId, amount) {
     return price * amount;
   } catch (error) {
     console.error(`Error converting ${cryptoId} to USD:`, error.message);
-    throw new Error(`Failed to convert to USD: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to convert to USD', 'coingecko');
   }
 }
 
+/**
+ * Get CoinGecko response cache statistics
+ * @returns {Object} Hit/miss counters and entry counts
+ */
+function getCacheStats() {
+  return responseCache.getStats();
+}
+
+/**
+ * Clear the in-memory CoinGecko response cache
+ */
+function clearCache() {
+  responseCache.clear();
+}
+
 module.exports = {
   getAllCryptocurrencies,
   getCryptocurrencyData,
   getHistoricalPrices,
+  getMarketChart,
   searchCryptocurrency,
   getTrendingCryptocurrencies,
+  getExchangeRates,
   convertToUSD,
+  getCacheStats,
+  clearCache,
 };
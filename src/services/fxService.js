@@ -0,0 +1,218 @@
+/**
+ * FX Service
+ * Converts amounts and price series between quote currencies
+ *
+ * Spot rates come from the market data provider's exchange rates.
+ * Historical rates are derived from Bitcoin's daily price history in each
+ * currency (rate = BTC price in target / BTC price in source), which works
+ * for fiat and crypto quotes alike.
+ */
+
+const marketDataService = require('./marketDataService');
+const { normalizeQuote, QUOTE_COIN_IDS } = require('../utils/quotes');
+const { DAY_MS } = require('../utils/candles');
+
+// Providers serve at most a year of history
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Get the spot exchange rate between two currencies
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} options - { provider }
+ * @returns {Promise<number>} Units of `to` per unit of `from`
+ */
+async function getRate(from, to, options = {}) {
+  const fromQuote = normalizeQuote(from);
+  const toQuote = normalizeQuote(to);
+
+  if (fromQuote === toQuote) {
+    return 1;
+  }
+
+  const rates = await marketDataService.getExchangeRates(options);
+
+  if (!rates[fromQuote] || !rates[toQuote]) {
+    const error = new Error(`No exchange rate available for ${fromQuote}/${toQuote}`);
+    error.status = 502;
+    throw error;
+  }
+
+  return rates[toQuote] / rates[fromQuote];
+}
+
+/**
+ * Convert an amount at the spot rate
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} options - { provider }
+ * @returns {Promise<number>} Amount in `to`
+ */
+async function convert(amount, from, to, options = {}) {
+  return amount * await getRate(from, to, options);
+}
+
+/**
+ * Get Bitcoin's daily price in a currency
+ * @returns {Promise<Array|null>} [timestamp, price] pairs, or null for btc itself
+ */
+async function getBitcoinPrices(quote, days, options) {
+  if (quote === 'btc') {
+    return null;
+  }
+
+  return marketDataService.getHistoricalPrices(QUOTE_COIN_IDS.btc, days, { ...options, quote });
+}
+
+/**
+ * Get daily historical exchange rates between two currencies
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {number} days - Number of days of history (max 365)
+ * @param {Object} options - { provider }
+ * @returns {Promise<Array>} [timestamp, rate] pairs, oldest first (empty when from === to)
+ */
+async function getHistoricalRates(from, to, days = 30, options = {}) {
+  const fromQuote = normalizeQuote(from);
+  const toQuote = normalizeQuote(to);
+
+  if (fromQuote === toQuote) {
+    return [];
+  }
+
+  const cappedDays = Math.min(days, MAX_HISTORY_DAYS);
+  const [fromPrices, toPrices] = await Promise.all([
+    getBitcoinPrices(fromQuote, cappedDays, options),
+    getBitcoinPrices(toQuote, cappedDays, options),
+  ]);
+
+  // Match the two series by day, since providers may sample at different times
+  const byDay = series => new Map((series || []).map(([timestamp, price]) => [
+    Math.floor(timestamp / DAY_MS),
+    price,
+  ]));
+  const fromByDay = byDay(fromPrices);
+  const toByDay = byDay(toPrices);
+  const reference = toPrices || fromPrices;
+
+  return reference
+    .map(([timestamp]) => {
+      const day = Math.floor(timestamp / DAY_MS);
+      const fromPrice = fromPrices ? fromByDay.get(day) : 1;
+      const toPrice = toPrices ? toByDay.get(day) : 1;
+      return fromPrice && toPrice ? [timestamp, toPrice / fromPrice] : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find the rate closest to a timestamp
+ * @param {Array} rates - [timestamp, rate] pairs, oldest first
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number|null} Rate, or null when there are no rates
+ */
+function rateAt(rates, timestamp) {
+  if (rates.length === 0) {
+    return null;
+  }
+
+  let low = 0;
+  let high = rates.length - 1;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (rates[mid][0] < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const after = rates[low];
+  const before = rates[Math.max(0, low - 1)];
+  return Math.abs(before[0] - timestamp) <= Math.abs(after[0] - timestamp) ? before[1] : after[1];
+}
+
+/**
+ * Convert a series of values between currencies
+ * Plain numbers are converted at the spot rate. Points of the form
+ * { timestamp, value } are converted at the rate on that day, which is
+ * required for returns measured in another currency (e.g. BTC terms).
+ * @param {Array<number|Object>} points - Numbers or { timestamp, value } points
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} options - { provider }
+ * @returns {Promise<Array<number>>} Converted values
+ */
+async function convertSeries(points, from, to, options = {}) {
+  const valueOf = point => (typeof point === 'object' && point !== null ? Number(point.value) : Number(point));
+  const timestampOf = point => (typeof point === 'object' && point !== null && point.timestamp
+    ? new Date(point.timestamp).getTime()
+    : null);
+
+  if (normalizeQuote(from) === normalizeQuote(to)) {
+    return points.map(valueOf);
+  }
+
+  const timestamps = points.map(timestampOf).filter(timestamp => timestamp !== null);
+  const spotRate = await getRate(from, to, options);
+  let rates = [];
+
+  if (timestamps.length > 0) {
+    const days = Math.ceil((Date.now() - Math.min(...timestamps)) / DAY_MS) + 1;
+    rates = await getHistoricalRates(from, to, days, options);
+  }
+
+  return points.map(point => {
+    const timestamp = timestampOf(point);
+    const rate = timestamp === null ? spotRate : rateAt(rates, timestamp) ?? spotRate;
+    return valueOf(point) * rate;
+  });
+}
+
+/**
+ * Convert the money-valued fields of holdings to a quote currency
+ * Each holding may set its own `currency`; `entryPrice` is converted at the
+ * rate on `entryDate` when given, everything else at the spot rate.
+ * @param {Array<Object>} holdings - Holdings ({ symbol, amount, currentPrice?, entryPrice?, value?, currency?, entryDate? })
+ * @param {string} to - Target currency
+ * @param {Object} options - { from (default currency of holdings, default: usd), provider }
+ * @returns {Promise<Array<Object>>} Converted copies tagged with the quote
+ */
+async function convertHoldings(holdings, to, options = {}) {
+  const toQuote = normalizeQuote(to);
+  const defaultCurrency = options.from || 'usd';
+
+  return Promise.all(holdings.map(async holding => {
+    const from = holding.currency || defaultCurrency;
+    const converted = { ...holding, currency: toQuote };
+
+    for (const field of ['currentPrice', 'value']) {
+      if (typeof holding[field] === 'number') {
+        converted[field] = await convert(holding[field], from, toQuote, options);
+      }
+    }
+
+    if (typeof holding.entryPrice === 'number') {
+      const [entryPrice] = await convertSeries(
+        [holding.entryDate ? { timestamp: holding.entryDate, value: holding.entryPrice } : holding.entryPrice],
+        from,
+        toQuote,
+        options
+      );
+      converted.entryPrice = entryPrice;
+    }
+
+    return converted;
+  }));
+}
+
+module.exports = {
+  getRate,
+  convert,
+  getHistoricalRates,
+  rateAt,
+  convertSeries,
+  convertHoldings,
+};
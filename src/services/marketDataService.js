@@ -0,0 +1,178 @@
+/**
+ * Market Data Service
+ * Single entry point for market data, backed by pluggable providers
+ *
+ * A provider is an object with a `name` and the methods:
+ * - listMarkets(limit, quote)
+ * - getCoin(cryptoId, quote)
+ * - getHistoricalPrices(cryptoId, days, quote)
+ * - getCandles(cryptoId, days, interval, quote) - OHLCV candles, see utils/candles.js
+ * - search(query)
+ * - getTrending()
+ * - getExchangeRates() - map of currency code -> units per 1 BTC
+ *
+ * The default provider comes from MARKET_DATA_PROVIDER (default: coingecko)
+ * and can be overridden per call with `options.provider`. Prices are in
+ * `options.quote` (default: DEFAULT_QUOTE_CURRENCY, see utils/quotes.js).
+ */
+
+const coingeckoProvider = require('./providers/coingeckoProvider');
+const fixtureProvider = require('./providers/fixtureProvider');
+const { getIntervalMs } = require('../utils/candles');
+const { normalizeQuote } = require('../utils/quotes');
+
+const PROVIDER_METHODS = [
+  'listMarkets',
+  'getCoin',
+  'getHistoricalPrices',
+  'getCandles',
+  'search',
+  'getTrending',
+  'getExchangeRates',
+];
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register a market data provider
+ * Replaces any provider already registered under the same name
+ * @param {Object} provider - Provider implementing the provider interface
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Market data provider must have a name');
+  }
+
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Market data provider ${provider.name} is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Get the name of the deployment-wide default provider
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  return process.env.MARKET_DATA_PROVIDER || coingeckoProvider.name;
+}
+
+/**
+ * Resolve a provider by name, falling back to the default provider
+ * @param {string} name - Optional provider name
+ * @returns {Object} Provider instance
+ */
+function getProvider(name) {
+  const providerName = name || getDefaultProviderName();
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    const error = new Error(
+      `Unknown market data provider: ${providerName}. Available: ${listProviders().join(', ')}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  return provider;
+}
+
+/**
+ * List top markets by market cap
+ * @param {number} limit - Number of markets to fetch
+ * @param {Object} options - { provider, quote }
+ * @returns {Promise<Array>} Market summaries
+ */
+async function listMarkets(limit = 250, options = {}) {
+  return getProvider(options.provider).listMarkets(limit, normalizeQuote(options.quote));
+}
+
+/**
+ * Get detailed data for a single coin
+ * @param {string} cryptoId - Provider coin ID
+ * @param {Object} options - { provider, quote }
+ * @returns {Promise<Object>} Coin detail
+ */
+async function getCoin(cryptoId, options = {}) {
+  return getProvider(options.provider).getCoin(cryptoId, normalizeQuote(options.quote));
+}
+
+/**
+ * Get historical prices
+ * @param {string} cryptoId - Provider coin ID
+ * @param {number} days - Number of days of history
+ * @param {Object} options - { provider, quote }
+ * @returns {Promise<Array>} Array of [timestamp, price] pairs
+ */
+async function getHistoricalPrices(cryptoId, days = 30, options = {}) {
+  return getProvider(options.provider).getHistoricalPrices(cryptoId, days, normalizeQuote(options.quote));
+}
+
+/**
+ * Get OHLCV candles
+ * @param {string} cryptoId - Provider coin ID
+ * @param {number} days - Number of days of history
+ * @param {string} interval - Candle interval (1h, 4h, 1d)
+ * @param {Object} options - { provider, quote }
+ * @returns {Promise<Array<Object>>} Candles ({ timestamp, open, high, low, close, volume }), oldest first
+ */
+async function getCandles(cryptoId, days = 30, interval = '1d', options = {}) {
+  getIntervalMs(interval);
+  return getProvider(options.provider).getCandles(cryptoId, days, interval, normalizeQuote(options.quote));
+}
+
+/**
+ * Search coins by name or symbol
+ * @param {string} query - Search query
+ * @param {Object} options - { provider }
+ * @returns {Promise<Array>} Matching coins
+ */
+async function search(query, options = {}) {
+  return getProvider(options.provider).search(query);
+}
+
+/**
+ * Get trending coins
+ * @param {Object} options - { provider }
+ * @returns {Promise<Array>} Trending coins
+ */
+async function getTrending(options = {}) {
+  return getProvider(options.provider).getTrending();
+}
+
+/**
+ * Get exchange rates
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object>} Map of currency code -> units per 1 BTC
+ */
+async function getExchangeRates(options = {}) {
+  return getProvider(options.provider).getExchangeRates();
+}
+
+registerProvider(coingeckoProvider);
+registerProvider(fixtureProvider);
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  getDefaultProviderName,
+  getProvider,
+  listMarkets,
+  getCoin,
+  getHistoricalPrices,
+  getCandles,
+  search,
+  getTrending,
+  getExchangeRates,
+};
@@ -0,0 +1,256 @@
+/**
+ * News Event Service
+ * Classifies news articles into market events (hack, listing, regulation, ETF, partnership)
+ * with a severity, and raises news alerts for severe ones
+ *
+ * Events come from keyword rules (see utils/newsEventRules) and a naive Bayes classifier
+ * (natural) trained on seed examples plus the examples stored through the API. A rule match
+ * tags an article on its own; the classifier adds the event type it is confident in even when
+ * no keyword matched, with the type's base severity.
+ *
+ * Configuration (environment variables):
+ * - NEWS_EVENT_MIN_PROBABILITY: Classifier probability needed to tag an event (default: 0.6)
+ * - NEWS_EVENT_ALERT_SEVERITY: Lowest event severity that raises news alerts (default: high)
+ */
+
+const natural = require('natural');
+const { getPrismaClient } = require('../utils/db');
+const realTimeAlertService = require('./realTimeAlertService');
+const websocketService = require('./websocketService');
+const {
+  SEVERITY_LEVELS,
+  EVENT_RULES,
+  EVENT_TYPES,
+  NO_EVENT,
+  SEED_EXAMPLES,
+  matchEventRules,
+} = require('../utils/newsEventRules');
+
+// Most stored examples the classifier is trained on, and accepted per training request
+const TRAINING_EXAMPLE_LIMIT = 20000;
+const TRAINING_BATCH_MAX = 1000;
+
+let classifier = null;
+const status = {
+  trainedAt: null,
+  seedExamples: SEED_EXAMPLES.length,
+  storedExamples: 0,
+};
+
+/**
+ * Get event classification configuration from environment variables
+ * @returns {Object} { minProbability, alertSeverity }
+ */
+function getConfig() {
+  const minProbability = parseFloat(process.env.NEWS_EVENT_MIN_PROBABILITY);
+  const alertSeverity = String(process.env.NEWS_EVENT_ALERT_SEVERITY || '').toLowerCase();
+
+  return {
+    minProbability: Number.isFinite(minProbability) ? minProbability : 0.6,
+    alertSeverity: SEVERITY_LEVELS.includes(alertSeverity) ? alertSeverity : 'high',
+  };
+}
+
+/**
+ * Train a new classifier on the seed examples and the given stored examples
+ * @param {Array<Object>} storedExamples - Examples as { text, type }
+ */
+function train(storedExamples = []) {
+  const next = new natural.BayesClassifier();
+
+  for (const example of [...SEED_EXAMPLES, ...storedExamples]) {
+    next.addDocument(example.text, example.type);
+  }
+  next.train();
+
+  classifier = next;
+  status.trainedAt = new Date();
+  status.storedExamples = storedExamples.length;
+}
+
+/**
+ * Train the classifier on the stored training examples
+ * Falls back to the seed examples when they cannot be loaded
+ * @returns {Promise<Object>} Classifier status
+ */
+async function initialize() {
+  const prisma = getPrismaClient();
+
+  try {
+    const examples = await prisma.newsEventExample.findMany({
+      select: { text: true, type: true },
+      orderBy: { createdAt: 'asc' },
+      take: TRAINING_EXAMPLE_LIMIT,
+    });
+    train(examples);
+  } catch (error) {
+    console.error('Error loading news event examples:', error.message);
+    train();
+  }
+
+  return getClassifierStatus();
+}
+
+/**
+ * Store training examples and retrain the classifier
+ * @param {Array<Object>} examples - Examples as { text, type } where type is an event type or none
+ * @returns {Promise<Object>} { added, status }
+ * @throws {Error} With status 400 for invalid examples
+ */
+async function addTrainingExamples(examples) {
+  const labels = [...EVENT_TYPES, NO_EVENT];
+  let message = null;
+
+  if (!Array.isArray(examples) || examples.length === 0) {
+    message = 'examples must be a non-empty array';
+  } else if (examples.length > TRAINING_BATCH_MAX) {
+    message = `At most ${TRAINING_BATCH_MAX} examples can be added at once`;
+  } else {
+    const invalid = examples.findIndex(example => (
+      !example || typeof example.text !== 'string' || example.text.trim().length === 0 || !labels.includes(example.type)
+    ));
+    if (invalid !== -1) {
+      message = `examples[${invalid}] needs text and a type (${labels.join(', ')})`;
+    }
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  }
+
+  const prisma = getPrismaClient();
+  const { count } = await prisma.newsEventExample.createMany({
+    data: examples.map(example => ({ text: example.text.trim(), type: example.type })),
+  });
+
+  await initialize();
+  return { added: count, status: getClassifierStatus() };
+}
+
+/**
+ * Get the classifier's training state
+ * @returns {Object} { trainedAt, seedExamples, storedExamples, labels, minProbability }
+ */
+function getClassifierStatus() {
+  return {
+    ...status,
+    labels: [...EVENT_TYPES, NO_EVENT],
+    minProbability: getConfig().minProbability,
+  };
+}
+
+/**
+ * Classifier probabilities per label, normalized to sum to 1
+ * @param {string} text - Text to classify
+ * @returns {Array<Object>} { label, probability }, most likely first
+ */
+function classifierProbabilities(text) {
+  if (!classifier) train();
+
+  const classifications = classifier.getClassifications(text);
+  const total = classifications.reduce((sum, entry) => sum + entry.value, 0);
+
+  return classifications
+    .map(entry => ({ label: entry.label, probability: total > 0 ? entry.value / total : 0 }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Classify an article into events
+ * @param {string} title - Article title
+ * @param {string} body - Article body or description
+ * @returns {Array<Object>} Events as { type, severity, confidence (0-1), method (rules, bayes
+ *   or rules+bayes), keywords }, most severe first
+ */
+function classifyEvents(title, body) {
+  const text = `${title || ''}. ${body || ''}`;
+  const events = matchEventRules(text).map(event => ({ ...event, method: 'rules' }));
+
+  const [top] = classifierProbabilities(text);
+  if (top && top.label !== NO_EVENT && top.probability >= getConfig().minProbability) {
+    const matched = events.find(event => event.type === top.label);
+
+    if (matched) {
+      matched.confidence = Math.max(matched.confidence, top.probability);
+      matched.method = 'rules+bayes';
+    } else {
+      events.push({
+        type: top.label,
+        severity: EVENT_RULES[top.label].severity,
+        confidence: top.probability,
+        keywords: [],
+        method: 'bayes',
+      });
+    }
+  }
+
+  return events
+    .map(event => ({ ...event, confidence: Math.round(event.confidence * 100) / 100 }))
+    .sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity)
+      || b.confidence - a.confidence);
+}
+
+/**
+ * Highest severity among events
+ * @param {Array<Object>} events - Events from classifyEvents
+ * @returns {string|null} Severity, or null without events
+ */
+function highestSeverity(events) {
+  return events.reduce((highest, event) => (
+    highest === null || SEVERITY_LEVELS.indexOf(event.severity) > SEVERITY_LEVELS.indexOf(highest)
+      ? event.severity
+      : highest
+  ), null);
+}
+
+/**
+ * Severities at or above a minimum
+ * @param {string} minimum - Lowest severity
+ * @returns {Array<string>} Severities
+ */
+function severitiesFrom(minimum) {
+  return SEVERITY_LEVELS.slice(Math.max(SEVERITY_LEVELS.indexOf(minimum), 0));
+}
+
+/**
+ * Raise news alerts for a newly stored article's severe events
+ * Triggers matching news_alert alerts (see realTimeAlertService.checkNewsEvent) and broadcasts
+ * a news-alert to WebSocket subscribers of each mentioned coin
+ * @param {Object} article - Stored article with title, url, source, publishedAt, mentions and events
+ * @returns {Array<Object>} Triggered alert notifications
+ */
+function publishEventAlerts(article) {
+  const severities = severitiesFrom(getConfig().alertSeverity);
+  const events = (article.events || []).filter(event => severities.includes(event.severity));
+
+  if (events.length === 0) {
+    return [];
+  }
+
+  for (const symbol of article.mentions || []) {
+    websocketService.broadcastNewsAlert({
+      symbol,
+      headline: article.title,
+      source: article.source,
+      url: article.url,
+      events,
+    });
+  }
+
+  return realTimeAlertService.checkNewsEvent({ ...article, events });
+}
+
+module.exports = {
+  getConfig,
+  initialize,
+  addTrainingExamples,
+  getClassifierStatus,
+  classifyEvents,
+  highestSeverity,
+  severitiesFrom,
+  publishEventAlerts,
+  EVENT_TYPES,
+  SEVERITY_LEVELS,
+};
@@ -0,0 +1,376 @@
+/**
+ * News Impact Service
+ * Event study of how stored news moves a coin's price
+ *
+ * Each stored article mentioning the coin is an event (copies of a story count once, at the
+ * first copy). For each event window, e.g. -1h to +24h around publication, the abnormal return
+ * is the coin's log return over the window minus its expected return under a constant-mean
+ * model, estimated from the returns in the days before the window. Abnormal returns are also
+ * standardized by the estimation period's volatility, and a group of events (all of them, one
+ * source, one event type or one sentiment label) has a significant price impact when the mean
+ * of its standardized abnormal returns differs from zero in a t-test (Boehmer, Musumeci and
+ * Poulsen). Overlapping events are not corrected for, so bursts of news about the same move
+ * count several times.
+ *
+ * Prices come from stored PriceHistory (see priceIngestionService) in the first ingested quote,
+ * so windows need candles at least as fine as the window offsets (PRICE_INGESTION_INTERVAL=1h
+ * for hour windows). Windows shorter than one candle are not measured.
+ *
+ * Configuration (environment variables):
+ * - NEWS_IMPACT_WINDOWS: Comma-separated event windows as start:end offsets (default:
+ *   -1h:+1h,-1h:+4h,-1h:+24h for intraday candles, -1d:+1d,-1d:+3d,-1d:+7d for daily ones)
+ * - NEWS_IMPACT_INTERVAL: Candle interval prices are read from (default: PRICE_INGESTION_INTERVAL)
+ * - NEWS_IMPACT_ESTIMATION_DAYS: Days before each window the expected return is estimated from (default: 30)
+ * - NEWS_IMPACT_SIGNIFICANCE: p-value below which an impact is significant (default: 0.05)
+ * - NEWS_IMPACT_MIN_EVENTS: Fewest events a group needs to be tested (default: 5)
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const priceIngestionService = require('./priceIngestionService');
+const { getIntervalMs } = require('../utils/candles');
+const { normalizeQuote } = require('../utils/quotes');
+const { mean, median, sampleStdDev, oneSampleTTest } = require('../utils/statistics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const MAX_LOOKBACK_DAYS = 365;
+const MAX_WINDOW_OFFSET_MS = 30 * DAY_MS;
+
+// Fewest estimation-period returns an event needs for its expected return
+const MIN_ESTIMATION_RETURNS = 24;
+
+// Most articles studied per request
+const MAX_EVENTS = 5000;
+
+// Default event windows for intraday and daily candles
+const INTRADAY_WINDOWS = '-1h:+1h,-1h:+4h,-1h:+24h';
+const DAILY_WINDOWS = '-1d:+1d,-1d:+3d,-1d:+7d';
+
+const WINDOW_PATTERN = /^([+-]?\d+(?:\.\d+)?)([hd])$/;
+const UNIT_MS = { h: HOUR_MS, d: DAY_MS };
+
+/**
+ * Read event study configuration from the environment
+ * @returns {Object} Event study configuration
+ */
+function getConfig() {
+  const estimationDays = parseFloat(process.env.NEWS_IMPACT_ESTIMATION_DAYS);
+  const significance = parseFloat(process.env.NEWS_IMPACT_SIGNIFICANCE);
+  const ingestion = priceIngestionService.getConfig();
+  const interval = process.env.NEWS_IMPACT_INTERVAL || ingestion.interval;
+
+  return {
+    windows: process.env.NEWS_IMPACT_WINDOWS
+      || (getIntervalMs(interval) < DAY_MS ? INTRADAY_WINDOWS : DAILY_WINDOWS),
+    interval,
+    quote: normalizeQuote(ingestion.quotes[0]),
+    estimationDays: estimationDays > 0 ? estimationDays : 30,
+    significance: significance > 0 && significance < 1 ? significance : 0.05,
+    minEvents: parseInt(process.env.NEWS_IMPACT_MIN_EVENTS) || 5,
+  };
+}
+
+/**
+ * Parse event windows
+ * @param {Array<string>|string} windows - Array or comma-separated list of start:end offsets,
+ *   each a signed number of hours (h) or days (d) from publication, e.g. -1h:+24h
+ * @returns {Array<Object>} Windows as { label, startMs, endMs }
+ * @throws {Error} With status 400 for an invalid window
+ */
+function parseWindows(windows) {
+  const list = (Array.isArray(windows) ? windows : String(windows).split(','))
+    .map(window => String(window).trim())
+    .filter(Boolean);
+
+  const invalid = message => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (list.length === 0) {
+    throw invalid('At least one event window is required');
+  }
+
+  return list.map(label => {
+    const bounds = label.split(':').map(bound => bound.trim().match(WINDOW_PATTERN));
+
+    if (bounds.length !== 2 || bounds.some(bound => !bound)) {
+      throw invalid(`Invalid event window: ${label}. Use start:end offsets such as -1h:+24h`);
+    }
+
+    const [startMs, endMs] = bounds.map(([, amount, unit]) => parseFloat(amount) * UNIT_MS[unit]);
+
+    if (startMs >= endMs) {
+      throw invalid(`Event window ${label} must end after it starts`);
+    }
+    if (Math.abs(startMs) > MAX_WINDOW_OFFSET_MS || Math.abs(endMs) > MAX_WINDOW_OFFSET_MS) {
+      throw invalid(`Event window ${label} must stay within 30 days of publication`);
+    }
+
+    return { label, startMs, endMs };
+  });
+}
+
+/**
+ * Index of the last candle closing at or before a time
+ * @param {Array<Object>} closes - { time, price } sorted by time
+ * @param {number} at - Time (ms)
+ * @returns {number} Index, or -1 when every close is later
+ */
+function lastCloseIndex(closes, at) {
+  let low = 0;
+  let high = closes.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (closes[middle].time <= at) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Price known at a time: the last close at or before it, if not older than one interval
+ * @param {Array<Object>} closes - { time, price } sorted by time
+ * @param {number} at - Time (ms)
+ * @param {number} intervalMs - Candle interval
+ * @returns {number|null} Price, or null when history does not cover the time
+ */
+function priceAt(closes, at, intervalMs) {
+  const index = lastCloseIndex(closes, at);
+  return index !== -1 && at - closes[index].time <= intervalMs ? closes[index].price : null;
+}
+
+/**
+ * Measure one event's abnormal return over a window
+ * @param {Array<Object>} closes - { time, price, logReturn } sorted by time
+ * @param {number} publishedAt - Publication time (ms)
+ * @param {Object} window - { startMs, endMs }
+ * @param {Object} settings - { intervalMs, estimationMs }
+ * @returns {Object|null} { abnormalReturn, standardized, actualReturn, expectedReturn }, or null
+ *   when prices do not cover the window or its estimation period
+ */
+function measureEvent(closes, publishedAt, window, settings) {
+  const { intervalMs, estimationMs } = settings;
+  const windowStart = publishedAt + window.startMs;
+  const windowEnd = publishedAt + window.endMs;
+  const startPrice = priceAt(closes, windowStart, intervalMs);
+  const endPrice = priceAt(closes, windowEnd, intervalMs);
+
+  if (!startPrice || !endPrice) {
+    return null;
+  }
+
+  // Per-interval log returns over the estimation period, ending where the window starts
+  const last = lastCloseIndex(closes, windowStart);
+  const returns = [];
+  for (let i = last; i > 0 && closes[i].time > windowStart - estimationMs; i--) {
+    if (closes[i].logReturn !== null) returns.push(closes[i].logReturn);
+  }
+
+  if (returns.length < MIN_ESTIMATION_RETURNS) {
+    return null;
+  }
+
+  const average = mean(returns);
+  const volatility = sampleStdDev(returns);
+  const periods = (window.endMs - window.startMs) / intervalMs;
+  const actualReturn = Math.log(endPrice / startPrice);
+  const expectedReturn = average * periods;
+  const abnormalReturn = actualReturn - expectedReturn;
+
+  return {
+    actualReturn,
+    expectedReturn,
+    abnormalReturn,
+    standardized: volatility > 0 ? abnormalReturn / (volatility * Math.sqrt(periods)) : null,
+  };
+}
+
+/**
+ * Summarize the abnormal returns of a group of events in one window
+ * @param {Array<Object>} measures - Event measures from measureEvent
+ * @param {Object} config - { significance, minEvents }
+ * @returns {Object} { events, meanAbnormalReturn, medianAbnormalReturn, positiveShare, t, pValue,
+ *   significant } with returns in percent (log returns x 100)
+ */
+function summarize(measures, config) {
+  const abnormal = measures.map(measure => measure.abnormalReturn);
+  const standardized = measures.map(measure => measure.standardized).filter(value => value !== null);
+  const test = standardized.length >= config.minEvents ? oneSampleTTest(standardized) : null;
+  const round = (value, digits) => (value === null || !Number.isFinite(value)
+    ? value
+    : Math.round(value * 10 ** digits) / 10 ** digits);
+
+  return {
+    events: measures.length,
+    meanAbnormalReturn: abnormal.length > 0 ? round(mean(abnormal) * 100, 3) : null,
+    medianAbnormalReturn: abnormal.length > 0 ? round(median(abnormal) * 100, 3) : null,
+    positiveShare: abnormal.length > 0 ? round(abnormal.filter(value => value > 0).length / abnormal.length, 2) : null,
+    t: test ? round(test.t, 2) : null,
+    pValue: test ? round(test.pValue, 4) : null,
+    significant: Boolean(test && test.pValue !== null && test.pValue < config.significance),
+  };
+}
+
+/**
+ * Run a news event study for a coin
+ * @param {string} symbol - Ticker
+ * @param {Object} options - { days } articles published in the last days (default: 30, max: 365),
+ *   { windows } event windows (default: NEWS_IMPACT_WINDOWS)
+ * @returns {Promise<Object|null>} Event study, or null when the coin is unknown. Per window:
+ *   overall, bySource, byEventType and bySentiment summaries, or a reason the window was not
+ *   measured; significant lists the groups with a significant impact. Without stored price
+ *   history, windows is empty and reason says which history is missing
+ * @throws {Error} With status 400 for invalid windows or interval
+ */
+async function runEventStudy(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const config = getConfig();
+  const windows = parseWindows(options.windows || config.windows);
+  const intervalMs = getIntervalMs(config.interval);
+  const days = Math.min(parseFloat(options.days) || 30, MAX_LOOKBACK_DAYS);
+  const estimationMs = config.estimationDays * DAY_MS;
+  const now = Date.now();
+  const since = new Date(now - days * DAY_MS);
+
+  const crypto = await prisma.cryptocurrency.findUnique({ where: { symbol } });
+  if (!crypto) {
+    return null;
+  }
+
+  // First copy of each story only
+  const articles = await prisma.newsArticle.findMany({
+    where: {
+      mentions: { has: symbol },
+      storyId: null,
+      publishedAt: { gte: since },
+    },
+    select: { id: true, source: true, publishedAt: true, eventTypes: true, sentimentLabel: true },
+    orderBy: { publishedAt: 'asc' },
+    take: MAX_EVENTS,
+  });
+
+  const earliestOffset = Math.min(...windows.map(window => window.startMs));
+  const rows = await prisma.priceHistory.findMany({
+    where: {
+      cryptoId: crypto.id,
+      interval: config.interval,
+      quote: config.quote,
+      timestamp: { gte: new Date(since.getTime() + earliestOffset - estimationMs - intervalMs) },
+    },
+    select: { timestamp: true, price: true },
+    orderBy: { timestamp: 'asc' },
+  });
+
+  // A candle's close is the price at the end of its bucket
+  const closes = rows
+    .filter(row => row.price > 0)
+    .map(row => ({ time: new Date(row.timestamp).getTime() + intervalMs, price: row.price }));
+  closes.forEach((close, index) => {
+    const previous = closes[index - 1];
+    close.logReturn = previous && close.time - previous.time === intervalMs
+      ? Math.log(close.price / previous.price)
+      : null;
+  });
+
+  const study = {
+    cryptoSymbol: symbol,
+    days,
+    interval: config.interval,
+    quote: config.quote,
+    estimationDays: config.estimationDays,
+    significance: config.significance,
+    articles: articles.length,
+    priceCandles: rows.length,
+  };
+
+  if (rows.length === 0) {
+    return {
+      ...study,
+      reason: `No price history for interval ${config.interval} in ${config.quote.toUpperCase()} is stored for ${symbol}; `
+        + `add it to PRICE_INGESTION_WATCHLIST with PRICE_INGESTION_INTERVAL=${config.interval}, `
+        + 'or set NEWS_IMPACT_INTERVAL to an interval that is stored',
+      windows: [],
+      significant: [],
+    };
+  }
+
+  const results = windows.map(window => {
+    if (window.endMs - window.startMs < intervalMs) {
+      return {
+        window: window.label,
+        reason: `Window is shorter than one ${config.interval} candle`,
+        skipped: articles.length,
+        overall: summarize([], config),
+        bySource: {},
+        byEventType: {},
+        bySentiment: {},
+      };
+    }
+
+    const measured = [];
+
+    for (const article of articles) {
+      const publishedAt = new Date(article.publishedAt).getTime();
+      if (publishedAt + window.endMs > now) continue;
+
+      const measure = measureEvent(closes, publishedAt, window, { intervalMs, estimationMs });
+      if (measure) measured.push({ article, measure });
+    }
+
+    const groupBy = keysOf => {
+      const groups = new Map();
+      for (const entry of measured) {
+        for (const key of keysOf(entry.article)) {
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(entry.measure);
+        }
+      }
+      return Object.fromEntries([...groups.entries()]
+        .sort((a, b) => b[1].length - a[1].length)
+        .map(([key, measures]) => [key, summarize(measures, config)]));
+    };
+
+    return {
+      window: window.label,
+      skipped: articles.length - measured.length,
+      overall: summarize(measured.map(entry => entry.measure), config),
+      bySource: groupBy(article => [article.source]),
+      byEventType: groupBy(article => (article.eventTypes && article.eventTypes.length > 0 ? article.eventTypes : ['none'])),
+      bySentiment: groupBy(article => [article.sentimentLabel]),
+    };
+  });
+
+  const significant = [];
+  for (const result of results) {
+    if (result.overall.significant) {
+      significant.push({ window: result.window, group: 'overall', key: symbol, ...result.overall });
+    }
+    for (const [group, summaries] of [['source', result.bySource], ['eventType', result.byEventType], ['sentiment', result.bySentiment]]) {
+      for (const [key, summary] of Object.entries(summaries)) {
+        if (summary.significant) significant.push({ window: result.window, group, key, ...summary });
+      }
+    }
+  }
+
+  return {
+    ...study,
+    windows: results,
+    significant: significant.sort((a, b) => a.pValue - b.pValue),
+  };
+}
+
+module.exports = {
+  getConfig,
+  parseWindows,
+  runEventStudy,
+};
@@ -0,0 +1,659 @@
+/**
+ * News Source Service
+ * Registry of the news feeds articles are fetched from, with per-source fetch health
+ *
+ * Sources are stored in the NewsSource table and managed through the API. The table is
+ * seeded with CoinDesk, Cointelegraph and The Block when it is empty. Each source has:
+ * - type: rss, atom, json (JSON Feed) or file (a local RSS, Atom or JSON file)
+ * - url: Feed URL, or for file sources a path under NEWS_SOURCE_DIR
+ * - enabled, category, reliability (0-1) and fetchIntervalMinutes
+ *
+ * Every fetch records the source's health: last fetch, success and error, consecutive and
+ * total errors, and the number of relevant articles it yielded. Source reliabilities are also
+ * used as sentiment source weights (see sentimentService).
+ *
+ * Configuration (environment variables):
+ * - NEWS_SOURCE_DIR: Directory file sources are read from (default: data/news)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Parser = require('rss-parser');
+const { getPrismaClient } = require('../utils/db');
+
+const SOURCE_TYPES = ['rss', 'atom', 'json', 'file'];
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const FETCH_TIMEOUT_MS = 10000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Feed items considered per fetch
+const ITEMS_PER_FETCH = 20;
+
+// Consecutive errors after which a source is reported as failing
+const FAILING_AFTER_ERRORS = 3;
+
+// A source is stale when it has not succeeded for this many fetch intervals
+const STALE_AFTER_INTERVALS = 3;
+
+const WEIGHTS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const DEFAULT_SOURCES = [
+  {
+    id: 'coindesk',
+    name: 'CoinDesk',
+    type: 'rss',
+    url: 'https://www.coindesk.com/arc/outboundfeeds/rss/',
+    category: 'crypto_news',
+    reliability: 0.9,
+    fetchIntervalMinutes: 15,
+  },
+  {
+    id: 'cointelegraph',
+    name: 'Cointelegraph',
+    type: 'rss',
+    url: 'https://cointelegraph.com/feed',
+    category: 'crypto_news',
+    reliability: 0.8,
+    fetchIntervalMinutes: 15,
+  },
+  {
+    id: 'the-block',
+    name: 'The Block',
+    type: 'rss',
+    url: 'https://www.theblock.co/api/feed',
+    category: 'crypto_news',
+    reliability: 0.85,
+    fetchIntervalMinutes: 15,
+  },
+];
+
+// RSS Parser instance for fetching news feeds (handles RSS and Atom)
+const parser = new Parser({
+  timeout: FETCH_TIMEOUT_MS,
+  headers: {
+    'User-Agent': USER_AGENT,
+  },
+});
+
+let weightsCache = null;
+let weightsCachedAt = 0;
+
+/**
+ * Read news source configuration from the environment
+ * @returns {Object} News source configuration
+ */
+function getConfig() {
+  return {
+    sourceDir: path.resolve(process.env.NEWS_SOURCE_DIR || 'data/news'),
+  };
+}
+
+/**
+ * Build a 400 error for an invalid source
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with status 400
+ */
+function invalidSource(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolve a file source's path inside NEWS_SOURCE_DIR
+ * @param {string} filePath - Path relative to NEWS_SOURCE_DIR
+ * @returns {string} Absolute path
+ * @throws {Error} Status 400 when the path leaves NEWS_SOURCE_DIR
+ */
+function resolveSourceFile(filePath) {
+  const { sourceDir } = getConfig();
+  const resolved = path.resolve(sourceDir, filePath);
+
+  if (path.isAbsolute(filePath) || !resolved.startsWith(sourceDir + path.sep)) {
+    throw invalidSource(`File sources must be relative paths inside ${sourceDir}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a source's settings
+ * @param {Object} source - { name, type, url, category, reliability, fetchIntervalMinutes, enabled }
+ * @throws {Error} Status 400 when a setting is invalid
+ */
+function validateSource(source) {
+  if (typeof source.name !== 'string' || source.name.trim().length === 0 || source.name.length > 100) {
+    throw invalidSource('name must be 1-100 characters');
+  }
+
+  if (!SOURCE_TYPES.includes(source.type)) {
+    throw invalidSource(`type must be one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+
+  if (typeof source.url !== 'string' || source.url.trim().length === 0) {
+    throw invalidSource('url is required');
+  }
+
+  if (source.type === 'file') {
+    resolveSourceFile(source.url);
+  } else {
+    let url;
+    try {
+      url = new URL(source.url);
+    } catch (error) {
+      throw invalidSource(`url must be a valid URL: ${source.url}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw invalidSource('url must use http or https');
+    }
+  }
+
+  if (typeof source.category !== 'string' || source.category.length === 0 || source.category.length > 50) {
+    throw invalidSource('category must be 1-50 characters');
+  }
+
+  const { reliability, fetchIntervalMinutes } = source;
+  if (typeof reliability !== 'number' || !Number.isFinite(reliability) || reliability < 0 || reliability > 1) {
+    throw invalidSource('reliability must be a number between 0 and 1');
+  }
+
+  if (!Number.isInteger(fetchIntervalMinutes) || fetchIntervalMinutes < 1 || fetchIntervalMinutes > 7 * 24 * 60) {
+    throw invalidSource('fetchIntervalMinutes must be a whole number of minutes between 1 and 10080');
+  }
+
+  if (typeof source.enabled !== 'boolean') {
+    throw invalidSource('enabled must be true or false');
+  }
+}
+
+/**
+ * Summarize a source's fetch health
+ * @param {Object} record - NewsSource record
+ * @param {number} now - Reference time (ms)
+ * @returns {Object} { status, lastFetchedAt, lastSuccessAt, lastErrorAt, lastError,
+ *   consecutiveErrors, errorCount, fetchCount, articleCount, lastArticleCount, articlesPerFetch }
+ */
+function getHealth(record, now = Date.now()) {
+  const successfulFetches = record.fetchCount - record.errorCount;
+  const staleAfterMs = STALE_AFTER_INTERVALS * record.fetchIntervalMinutes * 60 * 1000;
+
+  let status = 'healthy';
+  if (!record.enabled) {
+    status = 'disabled';
+  } else if (!record.lastFetchedAt) {
+    status = 'pending';
+  } else if (record.consecutiveErrors >= FAILING_AFTER_ERRORS) {
+    status = 'failing';
+  } else if (record.consecutiveErrors > 0) {
+    status = 'degraded';
+  } else if (!record.lastSuccessAt || now - new Date(record.lastSuccessAt).getTime() > staleAfterMs) {
+    status = 'stale';
+  }
+
+  return {
+    status,
+    lastFetchedAt: record.lastFetchedAt,
+    lastSuccessAt: record.lastSuccessAt,
+    lastErrorAt: record.lastErrorAt,
+    lastError: record.lastError,
+    consecutiveErrors: record.consecutiveErrors,
+    errorCount: record.errorCount,
+    fetchCount: record.fetchCount,
+    articleCount: record.articleCount,
+    lastArticleCount: record.lastArticleCount,
+    articlesPerFetch: successfulFetches > 0
+      ? Math.round((record.articleCount / successfulFetches) * 100) / 100
+      : null,
+  };
+}
+
+/**
+ * Convert a NewsSource record to a source
+ * @param {Object} record - NewsSource record
+ * @returns {Object} Source settings with health
+ */
+function toSource(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    type: record.type,
+    url: record.url,
+    category: record.category,
+    reliability: record.reliability,
+    fetchIntervalMinutes: record.fetchIntervalMinutes,
+    enabled: record.enabled,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    health: getHealth(record),
+  };
+}
+
+/**
+ * Pick a source's settings from a request body or source
+ * @param {Object} source - Source settings
+ * @returns {Object} NewsSource settings columns
+ */
+function toRecordData(source) {
+  return {
+    name: source.name.trim(),
+    type: source.type,
+    url: source.url.trim(),
+    category: source.category,
+    reliability: source.reliability,
+    fetchIntervalMinutes: source.fetchIntervalMinutes,
+    enabled: source.enabled,
+  };
+}
+
+/**
+ * Seed the default sources when no source is registered
+ * @returns {Promise<Object>} { sources, seeded } number of registered and newly seeded sources
+ */
+async function initialize() {
+  const prisma = getPrismaClient();
+  const count = await prisma.newsSource.count();
+
+  if (count > 0) {
+    return { sources: count, seeded: 0 };
+  }
+
+  const { count: seeded } = await prisma.newsSource.createMany({
+    data: DEFAULT_SOURCES.map(source => ({ ...source, enabled: true })),
+    skipDuplicates: true,
+  });
+
+  return { sources: seeded, seeded };
+}
+
+/**
+ * List registered sources with their health
+ * @returns {Promise<Array>} Sources, by name
+ */
+async function listSources() {
+  const prisma = getPrismaClient();
+  const records = await prisma.newsSource.findMany({
+    orderBy: { name: 'asc' },
+  });
+
+  return records.map(toSource);
+}
+
+/**
+ * Get a source by ID
+ * @param {string} id - Source ID
+ * @returns {Promise<Object>} Source with health
+ * @throws {Error} Status 404 when the source does not exist
+ */
+async function getSource(id) {
+  const prisma = getPrismaClient();
+  const record = await prisma.newsSource.findUnique({
+    where: { id: String(id).toLowerCase() },
+  });
+
+  if (!record) {
+    const error = new Error(`Unknown news source: ${id}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return toSource(record);
+}
+
+/**
+ * Register a source
+ * @param {Object} input - { id, name, type, url, category, reliability, fetchIntervalMinutes, enabled };
+ *   id defaults to the name in lowercase with dashes, category to crypto_news, reliability to 0.6,
+ *   fetchIntervalMinutes to 15 and enabled to true
+ * @returns {Promise<Object>} Created source
+ */
+async function createSource(input = {}) {
+  const prisma = getPrismaClient();
+  const id = String(input.id || input.name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!SOURCE_ID_PATTERN.test(id)) {
+    throw invalidSource('id must be 1-50 lowercase letters, digits or dashes');
+  }
+
+  const candidate = {
+    name: input.name,
+    type: typeof input.type === 'string' ? input.type.toLowerCase() : input.type,
+    url: input.url,
+    category: input.category ?? 'crypto_news',
+    reliability: input.reliability ?? 0.6,
+    fetchIntervalMinutes: input.fetchIntervalMinutes ?? 15,
+    enabled: input.enabled ?? true,
+  };
+  validateSource(candidate);
+
+  const existing = await prisma.newsSource.findFirst({
+    where: {
+      OR: [
+        { id },
+        { name: { equals: candidate.name.trim(), mode: 'insensitive' } },
+      ],
+    },
+  });
+
+  if (existing) {
+    const error = new Error(`News source ${existing.id} (${existing.name}) already exists`);
+    error.status = 409;
+    throw error;
+  }
+
+  const record = await prisma.newsSource.create({
+    data: { id, ...toRecordData(candidate) },
+  });
+
+  weightsCache = null;
+  return toSource(record);
+}
+
+/**
+ * Update a source's settings
+ * @param {string} id - Source ID
+ * @param {Object} changes - Any of name, type, url, category, reliability, fetchIntervalMinutes, enabled
+ * @returns {Promise<Object>} Updated source
+ */
+async function updateSource(id, changes = {}) {
+  const prisma = getPrismaClient();
+  const current = await getSource(id);
+
+  const candidate = {
+    ...current,
+    ...Object.fromEntries(
+      ['name', 'type', 'url', 'category', 'reliability', 'fetchIntervalMinutes', 'enabled']
+        .filter(field => changes[field] !== undefined)
+        .map(field => [field, changes[field]])
+    ),
+  };
+  if (typeof candidate.type === 'string') {
+    candidate.type = candidate.type.toLowerCase();
+  }
+  validateSource(candidate);
+
+  const record = await prisma.newsSource.update({
+    where: { id: current.id },
+    data: toRecordData(candidate),
+  });
+
+  weightsCache = null;
+  return toSource(record);
+}
+
+/**
+ * Remove a source; articles already stored from it are kept
+ * @param {string} id - Source ID
+ * @returns {Promise<Object>} Deleted source
+ */
+async function deleteSource(id) {
+  const prisma = getPrismaClient();
+  const current = await getSource(id);
+
+  await prisma.newsSource.delete({
+    where: { id: current.id },
+  });
+
+  weightsCache = null;
+  return current;
+}
+
+/**
+ * Get the sources to fetch
+ * Falls back to the default sources when the registry cannot be read
+ * @returns {Promise<Array>} Enabled sources
+ */
+async function getEnabledSources() {
+  try {
+    const prisma = getPrismaClient();
+    const records = await prisma.newsSource.findMany({
+      where: { enabled: true },
+      orderBy: { name: 'asc' },
+    });
+
+    return records.map(toSource);
+  } catch (error) {
+    console.warn('News source registry unavailable, using default sources:', error.message);
+    return DEFAULT_SOURCES.map(source => ({ ...source, enabled: true, health: null }));
+  }
+}
+
+/**
+ * Check whether a source is due to be fetched
+ * @param {Object} source - Source with health
+ * @param {number} now - Reference time (ms)
+ * @returns {boolean} Whether the fetch interval has passed since the last fetch
+ */
+function isDue(source, now = Date.now()) {
+  const lastFetchedAt = source.health && source.health.lastFetchedAt;
+  return !lastFetchedAt ||
+    now - new Date(lastFetchedAt).getTime() >= source.fetchIntervalMinutes * 60 * 1000;
+}
+
+/**
+ * Convert HTML to plain text
+ * @param {string} html - HTML
+ * @returns {string} Text content
+ */
+function htmlToText(html) {
+  return cheerio.load(html).text().trim();
+}
+
+/**
+ * Normalize JSON Feed items (or a plain array of articles) to articles
+ * @param {Object|Array} data - JSON Feed document, or an array of { title, description, url, publishedAt }
+ * @returns {Array<Object>} { title, description, url, publishedAt, content }
+ */
+function parseJsonFeed(data) {
+  const items = Array.isArray(data) ? data : (data && data.items);
+
+  if (!Array.isArray(items)) {
+    throw new Error('JSON feed has no items array');
+  }
+
+  return items.map(item => {
+    const content = item.content_text || (item.content_html ? htmlToText(item.content_html) : null);
+
+    return {
+      title: item.title,
+      description: item.summary || item.description || content,
+      url: item.url || item.external_url || item.link || item.id,
+      publishedAt: item.date_published || item.publishedAt || item.pubDate,
+      content: content || item.summary || item.description,
+    };
+  });
+}
+
+/**
+ * Normalize rss-parser items to articles
+ * @param {Object} feed - Parsed RSS or Atom feed
+ * @returns {Array<Object>} { title, description, url, publishedAt, content }
+ */
+function parseXmlFeed(feed) {
+  return (feed.items || []).map(item => ({
+    title: item.title,
+    description: item.contentSnippet || item.content || item.summary,
+    url: item.link,
+    publishedAt: item.isoDate || item.pubDate,
+    content: item.content || item.contentSnippet || item.summary,
+  }));
+}
+
+/**
+ * Read a source's feed items
+ * @param {Object} source - Source settings
+ * @returns {Promise<Array<Object>>} { title, description, url, publishedAt, content }
+ */
+async function readFeed(source) {
+  switch (source.type) {
+    case 'rss':
+    case 'atom':
+      return parseXmlFeed(await parser.parseURL(source.url));
+
+    case 'json': {
+      const response = await axios.get(source.url, {
+        timeout: FETCH_TIMEOUT_MS,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/feed+json, application/json' },
+      });
+      return parseJsonFeed(response.data);
+    }
+
+    case 'file': {
+      const filePath = resolveSourceFile(source.url);
+      const contents = await fs.readFile(filePath, 'utf8');
+      return path.extname(filePath).toLowerCase() === '.json'
+        ? parseJsonFeed(JSON.parse(contents))
+        : parseXmlFeed(await parser.parseString(contents));
+    }
+
+    default:
+      throw new Error(`Unsupported news source type: ${source.type}`);
+  }
+}
+
+/**
+ * Store the outcome of a fetch in the source's health
+ * Failures to record are logged, never thrown
+ * @param {Object} source - Source settings
+ * @param {Object} outcome - { articles } on success or { error } on failure
+ */
+async function recordFetch(source, outcome) {
+  try {
+    const prisma = getPrismaClient();
+    const now = new Date();
+
+    await prisma.newsSource.update({
+      where: { id: source.id },
+      data: outcome.error
+        ? {
+          lastFetchedAt: now,
+          lastErrorAt: now,
+          lastError: outcome.error.message.slice(0, 500),
+          consecutiveErrors: { increment: 1 },
+          errorCount: { increment: 1 },
+          fetchCount: { increment: 1 },
+        }
+        : {
+          lastFetchedAt: now,
+          lastSuccessAt: now,
+          consecutiveErrors: 0,
+          fetchCount: { increment: 1 },
+          articleCount: { increment: outcome.articles },
+          lastArticleCount: outcome.articles,
+        },
+    });
+  } catch (error) {
+    console.warn(`Could not record health of news source ${source.id}:`, error.message);
+  }
+}
+
+/**
+ * Fetch a source's articles and record the fetch in its health
+ * @param {Object} source - Source settings
+ * @param {Function} isRelevant - Keeps an article (default: all); the kept count is the yield
+ * @returns {Promise<Object>} { source, articles, error } where articles have title, description,
+ *   url, source (name), publishedAt, category and content; error is the message on failure
+ */
+async function fetchSource(source, isRelevant = () => true) {
+  try {
+    const items = await readFeed(source);
+    const articles = items
+      .slice(0, ITEMS_PER_FETCH)
+      .filter(item => item.title)
+      .map(item => ({
+        title: item.title,
+        description: item.description,
+        url: item.url,
+        source: source.name,
+        publishedAt: new Date(item.publishedAt),
+        category: source.category,
+        content: item.content,
+      }))
+      .filter(isRelevant);
+
+    await recordFetch(source, { articles: articles.length });
+    return { source, articles, error: null };
+  } catch (error) {
+    await recordFetch(source, { error });
+    return { source, articles: [], error: error.message };
+  }
+}
+
+/**
+ * Get the health of every source
+ * @returns {Promise<Object>} { sources, byStatus } with per-source health and a count per status
+ */
+async function getSourceHealth() {
+  const sources = await listSources();
+  const byStatus = {};
+
+  for (const source of sources) {
+    byStatus[source.health.status] = (byStatus[source.health.status] || 0) + 1;
+  }
+
+  return {
+    byStatus,
+    sources: sources.map(source => ({
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      enabled: source.enabled,
+      fetchIntervalMinutes: source.fetchIntervalMinutes,
+      ...source.health,
+    })),
+  };
+}
+
+/**
+ * Get the reliability of every registered source, keyed by lowercase name and by ID
+ * Cached for 10 minutes; empty when the registry cannot be read
+ * @returns {Promise<Object>} Map of source -> reliability (0-1)
+ */
+async function getSourceWeights() {
+  if (weightsCache && Date.now() - weightsCachedAt < WEIGHTS_CACHE_TTL_MS) {
+    return weightsCache;
+  }
+
+  try {
+    const prisma = getPrismaClient();
+    const records = await prisma.newsSource.findMany({
+      select: { id: true, name: true, reliability: true },
+    });
+
+    weightsCache = {};
+    for (const record of records) {
+      weightsCache[record.name.toLowerCase()] = record.reliability;
+      weightsCache[record.id] = record.reliability;
+    }
+    weightsCachedAt = Date.now();
+
+    return weightsCache;
+  } catch (error) {
+    console.warn('News source reliabilities unavailable:', error.message);
+    return {};
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  DEFAULT_SOURCES,
+  getConfig,
+  validateSource,
+  getHealth,
+  initialize,
+  listSources,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  getEnabledSources,
+  isDue,
+  fetchSource,
+  getSourceHealth,
+  getSourceWeights,
+};
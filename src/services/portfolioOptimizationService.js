@@ -10,8 +10,14 @@
  * - Value at Risk (VaR) calculations
  * - Sharpe ratio optimization
  * - Monte Carlo simulations
+ * - Live valuation in any quote currency
  */
 
+const marketDataService = require('./marketDataService');
+const fxService = require('./fxService');
+const assetRegistryService = require('./assetRegistryService');
+const { normalizeQuote } = require('../utils/quotes');
+
 class PortfolioOptimizationService {
   constructor() {
     this.portfolios = new Map();
@@ -580,6 +586,70 @@ class PortfolioOptimizationService {
     };
   }
 
+  /**
+   * Value holdings at live prices in a quote currency
+   * Cost bases may be in any supported currency and are converted at the
+   * rate on `purchasedAt` when given, otherwise at the spot rate
+   *
+   * @param {Array} holdings - Array of {cryptoId, amount, costBasis?, costCurrency?, purchasedAt?}
+   *   where cryptoId may be a coin ID or ticker
+   * @param {Object} options - { quote, provider }
+   * @returns {Promise<Object>} Valuation with per-holding values, gains, and weights
+   */
+  async valuePortfolio(holdings, options = {}) {
+    const quote = normalizeQuote(options.quote);
+
+    const valued = await Promise.all(holdings.map(async holding => {
+      const cryptoId = await assetRegistryService.resolveProviderId(holding.cryptoId, {
+        provider: options.provider
+      });
+      const coin = await marketDataService.getCoin(cryptoId, {
+        provider: options.provider,
+        quote
+      });
+      const value = holding.amount * (coin.currentPrice || 0);
+
+      let cost = null;
+      if (typeof holding.costBasis === 'number') {
+        const point = holding.purchasedAt
+          ? { timestamp: holding.purchasedAt, value: holding.costBasis }
+          : holding.costBasis;
+        [cost] = await fxService.convertSeries([point], holding.costCurrency || 'usd', quote, options);
+      }
+
+      return {
+        cryptoId,
+        symbol: coin.symbol,
+        amount: holding.amount,
+        price: coin.currentPrice,
+        value,
+        cost,
+        gain: cost === null ? null : value - cost,
+        gainPercent: cost ? ((value - cost) / cost) * 100 : null
+      };
+    }));
+
+    const totalValue = valued.reduce((sum, holding) => sum + holding.value, 0);
+    const costed = valued.filter(holding => holding.cost !== null);
+    const totalCost = costed.length > 0
+      ? costed.reduce((sum, holding) => sum + holding.cost, 0)
+      : null;
+    const costedValue = costed.reduce((sum, holding) => sum + holding.value, 0);
+
+    return {
+      quote,
+      totalValue,
+      totalCost,
+      totalGain: totalCost === null ? null : costedValue - totalCost,
+      totalGainPercent: totalCost ? ((costedValue - totalCost) / totalCost) * 100 : null,
+      holdings: valued.map(holding => ({
+        ...holding,
+        weight: totalValue > 0 ? (holding.value / totalValue) * 100 : 0
+      })),
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Generate normal random number (Box-Muller transform)
    */
@@ -0,0 +1,528 @@
+/**
+ * Prediction Evaluation Service
+ * Revisits stored predictions once their horizon (1h, 24h, 7d or 30d) has passed, records
+ * the realized price, return and hit/miss on the Prediction and its TrainingData row, and
+ * keeps per-symbol and overall ModelPerformance and the confidence calibration up to date
+ *
+ * A prediction is a hit when the realized return over its horizon agrees with the signal:
+ * - BUY: return above +band
+ * - SELL: return below -band
+ * - HOLD: return within +/-band
+ * where band is PREDICTION_HOLD_BAND scaled like the horizon's price target band
+ * (the square root of the horizon's length relative to 7 days)
+ *
+ * Prices come from stored PriceHistory when it covers the time, otherwise from the
+ * market data provider (and are then stored). Returns are measured in the quote the
+ * prediction was generated in.
+ *
+ * Configuration (environment variables):
+ * - PREDICTION_HOLD_BAND: Return band treated as "no move" over 7 days (default: 0.02, i.e. 2%)
+ * - PREDICTION_EVALUATION_POLL_MS: Delay between evaluation cycles (default: 1 hour)
+ * - PREDICTION_EVALUATION_BATCH: Maximum predictions evaluated per cycle (default: 200)
+ * - PREDICTION_PRICE_TOLERANCE_HOURS: Furthest a candle close may be from the wanted time
+ *   (default: 24, capped at half the prediction's horizon)
+ * - PREDICTION_EVALUATION_RETRY_MS: Delay before retrying a prediction that could not be priced
+ *   (default: 6 hours)
+ * - PREDICTION_EVALUATION_MAX_ATTEMPTS: Attempts after which such a prediction is given up on
+ *   (default: 10)
+ * - PREDICTION_EVALUATION_ENABLED: Set to false to disable the scheduled job
+ * - PREDICTION_EVALUATION_PROVIDER: Market data provider (default: MARKET_DATA_PROVIDER)
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const marketDataService = require('./marketDataService');
+const priceIngestionService = require('./priceIngestionService');
+const predictionService = require('./predictionService');
+const assetRegistryService = require('./assetRegistryService');
+const calibrationService = require('./calibrationService');
+const { DAY_MS, getIntervalMs } = require('../utils/candles');
+const { HORIZON_NAMES, normalizeHorizon, getHorizon } = require('../utils/horizons');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Providers serve at most a year of history, and hourly candles for 90 days
+const MAX_HISTORY_DAYS = 365;
+const MAX_HOURLY_DAYS = 90;
+
+// Scheduler state
+let timer = null;
+let isRunning = false;
+const status = {
+  startedAt: null,
+  lastRunAt: null,
+  lastRunDurationMs: null,
+  runs: 0,
+  lastResult: null,
+};
+
+/**
+ * Read evaluation configuration from the environment
+ * @returns {Object} Evaluation configuration
+ */
+function getConfig() {
+  const holdBand = parseFloat(process.env.PREDICTION_HOLD_BAND);
+
+  return {
+    holdBand: Number.isNaN(holdBand) ? 0.02 : holdBand,
+    pollMs: parseInt(process.env.PREDICTION_EVALUATION_POLL_MS) || HOUR_MS,
+    batchSize: parseInt(process.env.PREDICTION_EVALUATION_BATCH) || 200,
+    toleranceHours: parseInt(process.env.PREDICTION_PRICE_TOLERANCE_HOURS) || 24,
+    retryMs: parseInt(process.env.PREDICTION_EVALUATION_RETRY_MS) || 6 * HOUR_MS,
+    maxAttempts: parseInt(process.env.PREDICTION_EVALUATION_MAX_ATTEMPTS) || 10,
+    enabled: process.env.PREDICTION_EVALUATION_ENABLED !== 'false',
+    provider: process.env.PREDICTION_EVALUATION_PROVIDER || undefined,
+  };
+}
+
+/**
+ * Get the evaluation settings for a prediction's horizon
+ * @param {Object} prediction - Prediction record
+ * @param {Object} config - Evaluation configuration
+ * @returns {Object} { horizonMs, holdBand, toleranceMs }
+ */
+function getEvaluationWindow(prediction, config) {
+  const horizon = getHorizon(prediction.horizon);
+
+  return {
+    horizonMs: horizon.ms,
+    holdBand: config.holdBand * horizon.scale,
+    toleranceMs: Math.min(config.toleranceHours * HOUR_MS, horizon.ms / 2),
+  };
+}
+
+/**
+ * Classify a realized return against a signal
+ * @param {string} signal - BUY, SELL or HOLD
+ * @param {number} realizedReturn - Fractional return over the horizon (0.05 = +5%)
+ * @param {number} holdBand - Return band treated as no move
+ * @returns {Object} { hit, actualSignal } where actualSignal is the signal that would have been right
+ */
+function classifyOutcome(signal, realizedReturn, holdBand) {
+  let actualSignal = 'HOLD';
+
+  if (realizedReturn > holdBand) {
+    actualSignal = 'BUY';
+  } else if (realizedReturn < -holdBand) {
+    actualSignal = 'SELL';
+  }
+
+  return { hit: signal === actualSignal, actualSignal };
+}
+
+/**
+ * Pick the candle whose close is nearest to a time
+ * A candle's close is the price at the end of its bucket
+ * @param {Array} candles - Candles or PriceHistory-like rows with timestamp, interval and close
+ * @param {number} at - Wanted time (ms)
+ * @param {number} toleranceMs - Furthest the close may be from `at`
+ * @returns {number|null} Close price, or null when no candle is close enough
+ */
+function pickNearestClose(candles, at, toleranceMs) {
+  let best = null;
+
+  for (const candle of candles) {
+    const closeTime = new Date(candle.timestamp).getTime() + getIntervalMs(candle.interval);
+    const distance = Math.abs(closeTime - at);
+
+    if (distance <= toleranceMs && (!best || distance < best.distance)) {
+      best = { distance, close: candle.close };
+    }
+  }
+
+  return best ? best.close : null;
+}
+
+/**
+ * Find a stored price near a time
+ * @param {string} cryptoDbId - Cryptocurrency record ID
+ * @param {string} quote - Quote currency
+ * @param {number} at - Wanted time (ms)
+ * @param {number} toleranceMs - Furthest the close may be from `at`
+ * @returns {Promise<number|null>} Price, or null when history does not cover the time
+ */
+async function findStoredPrice(cryptoDbId, quote, at, toleranceMs) {
+  const prisma = getPrismaClient();
+  const rows = await prisma.priceHistory.findMany({
+    where: {
+      cryptoId: cryptoDbId,
+      quote,
+      timestamp: {
+        gte: new Date(at - DAY_MS - toleranceMs),
+        lte: new Date(at + toleranceMs),
+      },
+    },
+  });
+
+  return pickNearestClose(
+    rows.map(row => ({ timestamp: row.timestamp, interval: row.interval, close: row.price })),
+    at,
+    toleranceMs
+  );
+}
+
+/**
+ * Fetch a price near a time from the market data provider
+ * Fetched candles are stored so later lookups hit the database
+ * @param {Object} crypto - Cryptocurrency record
+ * @param {string} quote - Quote currency
+ * @param {number} at - Wanted time (ms)
+ * @param {number} toleranceMs - Furthest the close may be from `at`
+ * @param {Object} context - { config, candleCache }
+ * @returns {Promise<number|null>} Price, or null when the provider has no candle near the time
+ */
+async function fetchProviderPrice(crypto, quote, at, toleranceMs, context) {
+  const { config, candleCache } = context;
+  const days = Math.ceil((Date.now() - at) / DAY_MS) + 1;
+
+  if (days > MAX_HISTORY_DAYS) {
+    return null;
+  }
+
+  const interval = days <= MAX_HOURLY_DAYS ? '1h' : '1d';
+  const key = `${crypto.id}/${quote}/${interval}`;
+  let cached = candleCache.get(key);
+
+  // Fetch the provider's full window once per coin, quote and interval and cycle
+  if (!cached) {
+    const cryptoId = await assetRegistryService.resolveProviderId(crypto.symbol, { provider: config.provider });
+    const fetchDays = interval === '1h' ? MAX_HOURLY_DAYS : MAX_HISTORY_DAYS;
+    const candles = await marketDataService.getCandles(cryptoId, fetchDays, interval, {
+      provider: config.provider,
+      quote,
+    });
+
+    await priceIngestionService.storeCandles(crypto.id, candles, interval, quote);
+    cached = candles.map(candle => ({ ...candle, interval }));
+    candleCache.set(key, cached);
+  }
+
+  return pickNearestClose(cached, at, toleranceMs);
+}
+
+/**
+ * Get the price of a coin at a time, from stored history or the provider
+ * @param {Object} crypto - Cryptocurrency record
+ * @param {string} quote - Quote currency
+ * @param {number} at - Wanted time (ms)
+ * @param {number} toleranceMs - Furthest the close may be from `at`
+ * @param {Object} context - { config, candleCache }
+ * @returns {Promise<number|null>} Price, or null when unavailable
+ */
+async function getPriceAt(crypto, quote, at, toleranceMs, context) {
+  const stored = await findStoredPrice(crypto.id, quote, at, toleranceMs);
+
+  if (stored !== null) {
+    return stored;
+  }
+
+  return fetchProviderPrice(crypto, quote, at, toleranceMs, context);
+}
+
+/**
+ * Evaluate one prediction whose horizon has passed
+ * @param {Object} prediction - Prediction record including crypto
+ * @param {Object} context - { config, candleCache }
+ * @returns {Promise<Object|null>} Outcome, or null when prices are unavailable
+ */
+async function evaluatePrediction(prediction, context) {
+  const prisma = getPrismaClient();
+  const { config } = context;
+  const { horizonMs, holdBand, toleranceMs } = getEvaluationWindow(prediction, config);
+  const createdAt = new Date(prediction.createdAt).getTime();
+  const evaluateAt = createdAt + horizonMs;
+
+  // Predictions made before entry prices were recorded use the stored price at creation
+  const entryPrice = prediction.entryPrice
+    ?? await getPriceAt(prediction.crypto, prediction.quote, createdAt, toleranceMs, context);
+  const realizedPrice = await getPriceAt(prediction.crypto, prediction.quote, evaluateAt, toleranceMs, context);
+
+  if (!entryPrice || realizedPrice === null) {
+    return null;
+  }
+
+  const realizedReturn = realizedPrice / entryPrice - 1;
+  const { hit, actualSignal } = classifyOutcome(prediction.signal, realizedReturn, holdBand);
+  const evaluatedAt = new Date();
+
+  await prisma.$transaction([
+    prisma.prediction.update({
+      where: { id: prediction.id },
+      data: { entryPrice, evaluatedAt, realizedPrice, realizedReturn, hit },
+    }),
+    prisma.trainingData.updateMany({
+      where: { predictionId: prediction.id },
+      data: {
+        actualSignal,
+        accuracy: hit,
+        // priceAfter7d only describes 7-day predictions
+        ...(prediction.horizon === '7d' ? { priceAfter7d: realizedPrice } : {}),
+      },
+    }),
+  ]);
+
+  return {
+    predictionId: prediction.id,
+    symbol: prediction.crypto.symbol,
+    horizon: prediction.horizon,
+    signal: prediction.signal,
+    actualSignal,
+    entryPrice,
+    realizedPrice,
+    realizedReturn,
+    hit,
+    evaluatedAt,
+  };
+}
+
+/**
+ * Count a failed evaluation attempt on a prediction, delaying its next attempt
+ * @param {Object} prediction - Prediction record
+ */
+async function recordFailedAttempt(prediction) {
+  try {
+    await getPrismaClient().prediction.update({
+      where: { id: prediction.id },
+      data: {
+        evaluationAttempts: { increment: 1 },
+        lastEvaluationAttemptAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error(`Error recording evaluation attempt for prediction ${prediction.id}:`, error.message);
+  }
+}
+
+/**
+ * Evaluate all predictions whose horizon has passed
+ * Predictions without price data are retried on later cycles, at most every retryMs and
+ * up to maxAttempts times, so they do not hold up the rest of the batch
+ * @returns {Promise<Object>} Cycle summary
+ */
+async function runEvaluationCycle() {
+  if (isRunning) {
+    return { skipped: true, reason: 'Evaluation cycle already in progress' };
+  }
+
+  isRunning = true;
+  const startedAt = Date.now();
+  const config = getConfig();
+  const context = { config, candleCache: new Map() };
+  const results = [];
+  const changedCryptoIds = new Set();
+  let unavailable = 0;
+  let failed = 0;
+
+  try {
+    const prisma = getPrismaClient();
+    const due = await prisma.prediction.findMany({
+      where: {
+        evaluatedAt: null,
+        evaluationAttempts: { lt: config.maxAttempts },
+        AND: [
+          {
+            OR: HORIZON_NAMES.map(name => ({
+              horizon: name,
+              createdAt: { lte: new Date(startedAt - getHorizon(name).ms) },
+            })),
+          },
+          {
+            OR: [
+              { lastEvaluationAttemptAt: null },
+              { lastEvaluationAttemptAt: { lte: new Date(startedAt - config.retryMs) } },
+            ],
+          },
+        ],
+      },
+      include: { crypto: true },
+      // Predictions not tried before go first
+      orderBy: [{ evaluationAttempts: 'asc' }, { createdAt: 'asc' }],
+      take: config.batchSize,
+    });
+
+    for (const prediction of due) {
+      let outcome = null;
+
+      try {
+        outcome = await evaluatePrediction(prediction, context);
+
+        if (outcome) {
+          results.push(outcome);
+          changedCryptoIds.add(prediction.cryptoId);
+        } else {
+          unavailable++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`Error evaluating prediction ${prediction.id}:`, error.message);
+      }
+
+      if (!outcome) {
+        await recordFailedAttempt(prediction);
+      }
+    }
+
+    // Refresh per-symbol and overall accuracy for the symbols that changed
+    for (const cryptoId of changedCryptoIds) {
+      await predictionService.updateModelPerformance(cryptoId);
+    }
+    if (results.length > 0) {
+      await predictionService.updateModelPerformance(null);
+    }
+
+    // Refit confidence calibration on the new outcomes
+    if (results.length > 0 && calibrationService.getConfig().enabled) {
+      try {
+        await calibrationService.fitCalibrations();
+      } catch (error) {
+        console.error('Error fitting confidence calibration:', error.message);
+      }
+    }
+
+    const exhausted = await prisma.prediction.count({
+      where: { evaluatedAt: null, evaluationAttempts: { gte: config.maxAttempts } },
+    });
+
+    status.lastResult = {
+      due: due.length,
+      evaluated: results.length,
+      hits: results.filter(r => r.hit).length,
+      unavailable,
+      failed,
+      exhausted,
+    };
+
+    if (results.length > 0) {
+      console.log(`Evaluated ${results.length} predictions (${status.lastResult.hits} hits)`);
+    }
+
+    return { skipped: false, ...status.lastResult, results };
+  } finally {
+    isRunning = false;
+    status.runs += 1;
+    status.lastRunAt = new Date(startedAt);
+    status.lastRunDurationMs = Date.now() - startedAt;
+  }
+}
+
+/**
+ * Start scheduled evaluation
+ * Runs a cycle immediately, then every PREDICTION_EVALUATION_POLL_MS
+ * @returns {boolean} Whether the scheduler was started
+ */
+function start() {
+  const config = getConfig();
+
+  if (timer || !config.enabled) {
+    return false;
+  }
+
+  const run = () => runEvaluationCycle().catch(error => {
+    console.error('Prediction evaluation cycle failed:', error.message);
+  });
+
+  status.startedAt = new Date();
+  timer = setInterval(run, config.pollMs);
+  run();
+
+  return true;
+}
+
+/**
+ * Stop scheduled evaluation
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get scheduler status and the last cycle summary
+ * @returns {Object} Evaluation status
+ */
+function getStatus() {
+  return {
+    scheduled: Boolean(timer),
+    inProgress: isRunning,
+    config: getConfig(),
+    ...status,
+  };
+}
+
+/**
+ * Get accuracy of evaluated predictions for a symbol
+ * @param {string} symbol - Cryptocurrency ticker
+ * @param {Object} options - { days } window over prediction creation time (default: 30),
+ *   { horizon } and { profile } to report a single horizon or signal profile (default: all)
+ * @returns {Promise<Object|null>} Accuracy report with per-horizon and per-profile breakdowns,
+ *   or null when the symbol is unknown
+ */
+async function getAccuracy(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const days = parseInt(options.days) || 30;
+  const since = new Date(Date.now() - days * DAY_MS);
+  const horizon = options.horizon ? normalizeHorizon(options.horizon) : null;
+  const profile = options.profile ? String(options.profile).toLowerCase() : null;
+
+  const crypto = await prisma.cryptocurrency.findUnique({
+    where: { symbol },
+  });
+
+  if (!crypto) {
+    return null;
+  }
+
+  const where = {
+    cryptoId: crypto.id,
+    createdAt: { gte: since },
+    ...(horizon ? { horizon } : {}),
+    ...(profile ? { profile } : {}),
+  };
+
+  const [evaluated, pending, allTime] = await Promise.all([
+    prisma.prediction.findMany({
+      where: { ...where, evaluatedAt: { not: null } },
+      select: { horizon: true, profile: true, signal: true, hit: true, realizedReturn: true },
+    }),
+    prisma.prediction.count({
+      where: { ...where, evaluatedAt: null },
+    }),
+    prisma.modelPerformance.findFirst({
+      where: { cryptoId: crypto.id },
+    }),
+  ]);
+
+  const byHorizon = {};
+  for (const name of horizon ? [horizon] : HORIZON_NAMES) {
+    byHorizon[name] = predictionService.summarizeOutcomes(evaluated.filter(p => p.horizon === name));
+  }
+
+  const byProfile = {};
+  for (const name of [...new Set(evaluated.map(p => p.profile))].sort()) {
+    byProfile[name] = predictionService.summarizeOutcomes(evaluated.filter(p => p.profile === name));
+  }
+
+  return {
+    symbol: crypto.symbol,
+    days,
+    horizon,
+    profile,
+    pending,
+    ...predictionService.summarizeOutcomes(evaluated),
+    byHorizon,
+    byProfile,
+    allTime,
+  };
+}
+
+module.exports = {
+  getConfig,
+  classifyOutcome,
+  evaluatePrediction,
+  runEvaluationCycle,
+  start,
+  stop,
+  getStatus,
+  getAccuracy,
+};
@@ -0,0 +1,362 @@
+/**
+ * Prediction Scheduler Service
+ * Runs generatePrediction for a configured watchlist on a cron schedule and
+ * broadcasts each new signal (one per horizon) to WebSocket subscribers of the symbol
+ *
+ * Configuration (environment variables):
+ * - PREDICTION_WATCHLIST: Comma-separated coin IDs or tickers (empty = disabled); an entry may
+ *   name its own signal profile as `id:profile` (e.g. bitcoin,ethereum:momentum)
+ * - PREDICTION_PROFILE: Signal profile for entries that do not name one (default: SIGNAL_PROFILE_DEFAULT)
+ * - PREDICTION_SCHEDULE: Cron expression, evaluated in UTC (default: 0 * * * *, hourly)
+ * - PREDICTION_CONCURRENCY: Predictions generated in parallel (default: 2)
+ * - PREDICTION_HORIZONS: Comma-separated horizons to predict (1h, 24h, 7d, 30d; default: all)
+ * - PREDICTION_INTERVAL: Candle interval used for every horizon (default: each horizon's own)
+ * - PREDICTION_QUOTE: Quote currency for analysis and price targets (default: DEFAULT_QUOTE_CURRENCY)
+ * - PREDICTION_PROVIDER: Market data provider (default: MARKET_DATA_PROVIDER)
+ * - PREDICTION_JOB_HISTORY: Number of finished jobs kept in memory (default: 50)
+ *
+ * Upstream requests go through the shared rate limiter, so parallel predictions queue
+ * for tokens rather than bursting. When the limiter reports the upstream unavailable
+ * (rate limited or circuit open) the rest of the job is deferred to the next run.
+ */
+
+const predictionService = require('./predictionService');
+const assetRegistryService = require('./assetRegistryService');
+const websocketService = require('./websocketService');
+const { parseCron, getNextRun } = require('../utils/cron');
+const { getIntervalMs } = require('../utils/candles');
+const { normalizeQuote } = require('../utils/quotes');
+const { parseHorizons } = require('../utils/horizons');
+const { UpstreamUnavailableError } = require('../utils/errors');
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Scheduler state
+let timer = null;
+let schedule = null;
+let currentJob = null;
+let jobSequence = 0;
+const jobs = [];
+const lastSignals = new Map();
+const status = {
+  startedAt: null,
+  nextRunAt: null,
+  runs: 0,
+};
+
+/**
+ * Read scheduler configuration from the environment
+ * @returns {Object} Scheduler configuration
+ */
+function getConfig() {
+  return {
+    watchlist: (process.env.PREDICTION_WATCHLIST || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean),
+    schedule: process.env.PREDICTION_SCHEDULE || '0 * * * *',
+    concurrency: Math.max(parseInt(process.env.PREDICTION_CONCURRENCY) || 2, 1),
+    horizons: parseHorizons(process.env.PREDICTION_HORIZONS),
+    interval: process.env.PREDICTION_INTERVAL || undefined,
+    profile: process.env.PREDICTION_PROFILE || undefined,
+    quote: process.env.PREDICTION_QUOTE || undefined,
+    provider: process.env.PREDICTION_PROVIDER || undefined,
+    historyLimit: parseInt(process.env.PREDICTION_JOB_HISTORY) || 50,
+  };
+}
+
+/**
+ * Split a watchlist entry into the asset and its signal profile
+ * @param {string} entry - Watchlist entry (`bitcoin` or `bitcoin:momentum`)
+ * @param {Object} config - Scheduler configuration
+ * @returns {Object} { query, profile }
+ */
+function parseEntry(entry, config) {
+  const [query, profile] = entry.split(':').map(part => part.trim());
+  return { query, profile: profile || config.profile };
+}
+
+/**
+ * Generate the predictions for one watchlist entry and broadcast their signals
+ * @param {Object} job - Job being run
+ * @param {Object} item - Job item for the entry
+ * @param {Object} config - Scheduler configuration
+ */
+async function runItem(job, item, config) {
+  item.status = 'running';
+  item.startedAt = new Date();
+
+  const { query, profile } = parseEntry(item.entry, config);
+  const resolved = await assetRegistryService.resolve(query, { provider: config.provider })
+    .catch(() => null);
+  const cryptoId = resolved
+    ? assetRegistryService.getProviderId(resolved.asset, config.provider)
+    : query.toLowerCase();
+
+  const result = await predictionService.generatePrediction(
+    cryptoId,
+    resolved ? resolved.asset.ticker : null,
+    {
+      provider: config.provider,
+      horizons: config.horizons,
+      interval: config.interval,
+      quote: config.quote,
+      profile,
+    }
+  );
+
+  const { crypto, predictions } = result;
+  const signals = predictions.map(prediction => {
+    // Signal changes are tracked per symbol, horizon and profile
+    const key = `${crypto.symbol}/${prediction.horizon}/${prediction.profile}`;
+    const previousSignal = lastSignals.get(key) || null;
+    lastSignals.set(key, prediction.signal);
+
+    return { prediction, previousSignal };
+  });
+
+  Object.assign(item, {
+    status: 'completed',
+    cryptoId,
+    symbol: crypto.symbol,
+    quote: crypto.quote,
+    profile: predictions[0].profile,
+    signals: signals.map(({ prediction, previousSignal }) => ({
+      horizon: prediction.horizon,
+      signal: prediction.signal,
+      previousSignal,
+      confidence: prediction.confidence,
+      priceTarget: prediction.priceTarget,
+    })),
+    finishedAt: new Date(),
+  });
+
+  for (const { prediction, previousSignal } of signals) {
+    websocketService.broadcastPredictionSignal({
+      symbol: crypto.symbol,
+      cryptoId,
+      horizon: prediction.horizon,
+      profile: prediction.profile,
+      signal: prediction.signal,
+      previousSignal,
+      confidence: prediction.confidence,
+      priceTarget: prediction.priceTarget,
+      currentPrice: crypto.currentPrice,
+      quote: prediction.quote,
+      reasoning: prediction.reasoning,
+      jobId: job.id,
+    });
+  }
+}
+
+/**
+ * Summarize a job without its per-item details
+ * @param {Object} job - Job record
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  const { items, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Run the watchlist once
+ * Up to PREDICTION_CONCURRENCY predictions run at a time
+ * @param {Object} options - { trigger: 'schedule' | 'manual' }
+ * @returns {Promise<Object>} Finished job, or { skipped, reason } when a job is already running
+ */
+async function runJob(options = {}) {
+  if (currentJob) {
+    return {
+      skipped: true,
+      reason: 'Prediction job already in progress',
+      job: summarizeJob(currentJob),
+    };
+  }
+
+  const config = getConfig();
+  const job = {
+    id: String(++jobSequence),
+    trigger: options.trigger || 'manual',
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    durationMs: null,
+    counts: null,
+    items: config.watchlist.map(entry => ({ entry, status: 'pending' })),
+  };
+  currentJob = job;
+
+  let deferReason = null;
+  let cursor = 0;
+
+  const worker = async () => {
+    while (cursor < job.items.length) {
+      const item = job.items[cursor++];
+
+      if (deferReason) {
+        item.status = 'deferred';
+        item.error = deferReason;
+        continue;
+      }
+
+      try {
+        await runItem(job, item, config);
+      } catch (error) {
+        console.error(`Scheduled prediction failed for ${item.entry}:`, error.message);
+        item.status = 'failed';
+        item.error = error.message;
+        item.finishedAt = new Date();
+
+        if (error instanceof UpstreamUnavailableError) {
+          deferReason = `Deferred: ${error.message}`;
+        }
+      }
+    }
+  };
+
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(config.concurrency, job.items.length) }, worker)
+    );
+  } finally {
+    const counts = { completed: 0, failed: 0, deferred: 0 };
+    job.items.forEach(item => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+
+    job.counts = counts;
+    job.status = counts.completed === job.items.length
+      ? 'completed'
+      : counts.completed === 0 ? 'failed' : 'partial';
+    job.finishedAt = new Date();
+    job.durationMs = job.finishedAt - job.startedAt;
+
+    jobs.unshift(job);
+    jobs.splice(config.historyLimit);
+    status.runs += 1;
+    currentJob = null;
+  }
+
+  console.log(
+    `Prediction job ${job.id} ${job.status}: ${job.counts.completed} completed, ` +
+    `${job.counts.failed} failed, ${job.counts.deferred} deferred`
+  );
+
+  return job;
+}
+
+/**
+ * Arm the timer for the next scheduled run
+ */
+function scheduleNext() {
+  const nextRunAt = getNextRun(schedule);
+  status.nextRunAt = nextRunAt;
+
+  if (!nextRunAt) {
+    console.warn(`Prediction schedule "${schedule.expression}" has no upcoming run`);
+    return;
+  }
+
+  timer = setTimeout(() => {
+    timer = null;
+
+    if (!schedule) {
+      return;
+    }
+
+    // Long delays are split across several timers
+    if (Date.now() >= nextRunAt.getTime()) {
+      runJob({ trigger: 'schedule' }).catch(error => {
+        console.error('Scheduled prediction job failed:', error.message);
+      });
+    }
+
+    scheduleNext();
+  }, Math.min(Math.max(nextRunAt.getTime() - Date.now(), 0), MAX_TIMER_MS));
+}
+
+/**
+ * Start the prediction scheduler
+ * @returns {boolean} Whether the scheduler was started (false when no watchlist is configured)
+ */
+function start() {
+  const config = getConfig();
+
+  if (schedule || config.watchlist.length === 0) {
+    return false;
+  }
+
+  // Fail on bad configuration at start rather than on every run
+  if (config.interval) {
+    getIntervalMs(config.interval);
+  }
+  normalizeQuote(config.quote);
+  schedule = parseCron(config.schedule);
+
+  status.startedAt = new Date();
+  scheduleNext();
+
+  return true;
+}
+
+/**
+ * Stop the prediction scheduler
+ * A job already in progress runs to completion
+ */
+function stop() {
+  schedule = null;
+  status.nextRunAt = null;
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get scheduler status and the latest job summary
+ * @returns {Object} Scheduler status
+ */
+function getStatus() {
+  return {
+    scheduled: Boolean(schedule),
+    inProgress: Boolean(currentJob),
+    config: getConfig(),
+    ...status,
+    currentJob: currentJob && summarizeJob(currentJob),
+    lastJob: jobs[0] ? summarizeJob(jobs[0]) : null,
+  };
+}
+
+/**
+ * Get finished jobs, newest first
+ * @param {number} limit - Maximum number of jobs (default: 20)
+ * @returns {Array} Job summaries
+ */
+function getJobs(limit = 20) {
+  return jobs.slice(0, limit).map(summarizeJob);
+}
+
+/**
+ * Get a job with its per-symbol results
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job record, or null if unknown or evicted from history
+ */
+function getJob(jobId) {
+  if (currentJob && currentJob.id === jobId) {
+    return currentJob;
+  }
+
+  return jobs.find(job => job.id === jobId) || null;
+}
+
+module.exports = {
+  start,
+  stop,
+  runJob,
+  getStatus,
+  getJobs,
+  getJob,
+};
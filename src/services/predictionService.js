@@ -6,149 +6,347 @@
 
 const { getPrismaClient } = require('../utils/db');
 const aiService = require('./aiService');
-const coingeckoService = require('./coingeckoService');
+const marketDataService = require('./marketDataService');
+const priceIngestionService = require('./priceIngestionService');
+const fxService = require('./fxService');
+const assetRegistryService = require('./assetRegistryService');
+const sentimentService = require('./sentimentService');
+const signalProfileService = require('./signalProfileService');
+const calibrationService = require('./calibrationService');
+const { DAY_MS, getIntervalMs } = require('../utils/candles');
+const { normalizeQuote } = require('../utils/quotes');
+const {
+  HORIZON_NAMES,
+  DEFAULT_HORIZON,
+  normalizeHorizon,
+  parseHorizons,
+  getHorizon,
+} = require('../utils/horizons');
+
+// Prediction history paging
+const HISTORY_MAX_LIMIT = 5000;
+const HISTORY_SCAN_LIMIT = 50000;
+
+// Fewest candles the technical, volume and trend indicators are computed from
+const MIN_ANALYSIS_CANDLES = 2;
+
+// Furthest a stored price may be from a prediction to be overlaid on it
+const HISTORY_PRICE_TOLERANCE_MS = DAY_MS;
+
+const HISTORY_SELECT = {
+  id: true,
+  createdAt: true,
+  horizon: true,
+  profile: true,
+  signal: true,
+  confidence: true,
+  rawConfidence: true,
+  priceTarget: true,
+  quote: true,
+  entryPrice: true,
+  realizedPrice: true,
+  realizedReturn: true,
+  hit: true,
+  evaluatedAt: true,
+};
 
 /**
- * Generate comprehensive prediction for a cryptocurrency
- * Analyzes technical, sentiment, volume, and trend data
- * @param {string} cryptoId - CoinGecko cryptocurrency ID
- * @param {string} symbol - Cryptocurrency symbol (BTC, ETH, etc.)
- * @returns {Promise<Object>} Complete prediction with all analysis
+ * Generate comprehensive predictions for a cryptocurrency
+ * Analyzes technical, volume, and trend data separately for each horizon, on candles
+ * matching the horizon's length, combines it with aggregated stored sentiment, and
+ * stores one prediction per horizon along with the sentiment records that contributed
+ * @param {string} cryptoId - Provider cryptocurrency ID (e.g. 'bitcoin')
+ * @param {string} symbol - Cryptocurrency ticker (BTC, ETH, etc.); defaults to the provider's symbol
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Market data provider (default: MARKET_DATA_PROVIDER)
+ * @param {Array<string>|string} options.horizons - Horizons to predict (1h, 24h, 7d, 30d; default: all)
+ * @param {string} options.interval - Candle interval used for every horizon (default: each horizon's own)
+ * @param {string} options.quote - Quote currency for prices and the price target (default: usd)
+ * @param {string} options.profile - Signal profile name (default: SIGNAL_PROFILE_DEFAULT)
+ * @returns {Promise<Object>} Predictions per horizon with all analysis; `prediction` is the
+ *   DEFAULT_HORIZON prediction when generated, otherwise the shortest horizon's
  */
-async function generatePrediction(cryptoId, symbol) {
+async function generatePrediction(cryptoId, symbol, options = {}) {
   const prisma = getPrismaClient();
   
   try {
-    console.log(`Generating prediction for ${symbol}...`);
+    console.log(`Generating prediction for ${symbol || cryptoId}...`);
+    
+    const quote = normalizeQuote(options.quote);
+    const horizons = parseHorizons(options.horizons).map(getHorizon);
+    
+    if (options.interval) {
+      getIntervalMs(options.interval);
+    }
+    
+    const profile = await signalProfileService.getProfile(options.profile);
     
     // Fetch current cryptocurrency data
-    const cryptoData = await coingeckoService.getCryptocurrencyData(cryptoId);
-    const currentPrice = cryptoData.market_data?.current_price?.usd || 0;
-    const marketCap = cryptoData.market_data?.market_cap?.usd;
-    const volume24h = cryptoData.market_data?.total_volume?.usd;
-    const priceChange24h = cryptoData.market_data?.price_change_percentage_24h || 0;
-    const priceChange7d = cryptoData.market_data?.price_change_percentage_7d || 0;
+    const cryptoData = await marketDataService.getCoin(cryptoId, { ...options, quote });
+    symbol = symbol || cryptoData.symbol.toUpperCase();
+    const currentPrice = cryptoData.currentPrice || 0;
+    const priceChange24h = cryptoData.priceChange24h || 0;
     
-    // Fetch historical prices for technical analysis
-    const historicalPrices = await coingeckoService.getHistoricalPrices(cryptoId, 30);
-    const prices = historicalPrices.map(p => p[1]); // Extract prices from [timestamp, price] pairs
+    // Fetch OHLCV candles once per interval, covering the longest lookback that uses it
+    const lookbacks = new Map();
+    for (const horizon of horizons) {
+      const interval = options.interval || horizon.interval;
+      lookbacks.set(interval, Math.max(lookbacks.get(interval) || 0, horizon.lookbackDays));
+    }
     
-    // Calculate analysis scores
-    const technicalScore = aiService.calculateTechnicalScore(prices);
-    const volumeScore = aiService.calculateVolumeScore(
-      historicalPrices.map(p => p[1]) // Using prices as proxy for volume
-    );
-    const trendScore = aiService.calculateTrendScore(prices);
+    const candlesByInterval = new Map();
+    for (const [interval, days] of lookbacks) {
+      candlesByInterval.set(
+        interval,
+        await marketDataService.getCandles(cryptoId, days, interval, { ...options, quote })
+      );
+    }
     
-    // Sentiment analysis (using simple analysis for now)
-    const sentimentScore = 0.5 + (priceChange24h / 100) * 0.5; // Use price change as sentiment proxy
+    // Aggregate stored news, manual and social sentiment for the symbol, tilted by its
+    // hourly momentum when SENTIMENT_MOMENTUM_WEIGHT is set
+    const sentiment = await sentimentService.aggregateSentiment(symbol);
+    const sentimentShift = await sentimentService.getSentimentShift(symbol);
+    const sentimentScore = sentimentService.applyMomentum(
+      sentiment.score,
+      sentimentShift,
+      sentimentService.getConfig()
+    );
     
-    // Generate trading signal
-    const signal = aiService.generateTradingSignal({
-      technicalScore,
-      sentimentScore,
-      volumeScore,
-      trendScore,
-      currentPrice,
-      priceChange24h,
-    });
+    // Maps from raw signal confidence to the hit rate of evaluated predictions
+    const calibrations = await calibrationService.getCalibrations();
     
-    // Generate reasoning
-    const reasoning = aiService.generateReasoning(signal, {
-      priceChange24h,
+    const predictions = horizons.map(horizon => {
+      const interval = options.interval || horizon.interval;
+      
+      // Look back from the newest candle, so providers whose data ends in the past still
+      // give the full lookback
+      const series = candlesByInterval.get(interval);
+      const newest = series.length > 0 ? new Date(series[series.length - 1].timestamp).getTime() : 0;
+      const since = newest - horizon.lookbackDays * DAY_MS;
+      const candles = series.filter(candle => new Date(candle.timestamp).getTime() >= since);
+      
+      if (candles.length < MIN_ANALYSIS_CANDLES) {
+        const error = new Error(
+          `Not enough ${interval} candles for the ${horizon.name} prediction of ${symbol}: ` +
+          `got ${candles.length} over ${horizon.lookbackDays} days, need at least ${MIN_ANALYSIS_CANDLES}`
+        );
+        error.status = 422;
+        throw error;
+      }
+      
+      // Calculate analysis scores
+      const { technicalScore, volumeScore, trendScore, indicators } = aiService.analyzeCandles(candles);
+      
+      // Generate trading signal
+      const rawSignal = aiService.generateTradingSignal({
+        technicalScore,
+        sentimentScore,
+        volumeScore,
+        trendScore,
+        currentPrice,
+        priceChange24h,
+        targetScale: horizon.scale,
+      }, profile);
+      
+      // Report the calibrated confidence; the price target keeps the raw confidence's band
+      const calibrated = calibrationService.calibrateConfidence(
+        rawSignal.signal,
+        rawSignal.confidence,
+        calibrations,
+        { profile: profile.name, horizon: horizon.name }
+      );
+      const signal = { ...rawSignal, confidence: calibrated.confidence };
+      
+      // Generate reasoning
+      const reasoning = aiService.generateReasoning(signal, {
+        priceChange24h,
+      });
+      
+      // Keep the factor breakdown and the inputs behind each factor with the prediction
+      const explanation = {
+        ...aiService.explainTradingSignal(
+          { technicalScore, sentimentScore, volumeScore, trendScore },
+          profile
+        ),
+        inputs: {
+          technical: indicators.technical,
+          sentiment: {
+            score: sentiment.score,
+            sentiment: sentiment.sentiment,
+            rawSentiment: sentiment.rawSentiment,
+            count: sentiment.count,
+            totalWeight: sentiment.totalWeight,
+            windowHours: sentiment.windowHours,
+            halfLifeHours: sentiment.halfLifeHours,
+            bySource: sentiment.bySource,
+            shift: sentimentShift,
+          },
+          volume: indicators.volume,
+          trend: indicators.trend,
+          candles: {
+            interval,
+            count: candles.length,
+            from: candles.length > 0 ? new Date(candles[0].timestamp) : null,
+            to: candles.length > 0 ? new Date(candles[candles.length - 1].timestamp) : null,
+          },
+          market: { currentPrice, priceChange24h, quote },
+        },
+      };
+      
+      // Prepare prediction data
+      return {
+        horizon: horizon.name,
+        profile: profile.name,
+        signal: signal.signal,
+        confidence: signal.confidence,
+        rawConfidence: calibrated.rawConfidence,
+        priceTarget: signal.priceTarget,
+        quote,
+        entryPrice: currentPrice,
+        riskScore: signal.riskScore,
+        technicalScore: signal.factors.technical,
+        sentimentScore: signal.factors.sentiment,
+        volumeScore: signal.factors.volume,
+        trendScore: signal.factors.trend,
+        reasoning,
+        factors: [
+          `Technical: ${Math.round(signal.factors.technical * 100)}%`,
+          `Sentiment: ${Math.round(signal.factors.sentiment * 100)}%`,
+          `Volume: ${Math.round(signal.factors.volume * 100)}%`,
+          `Trend: ${Math.round(signal.factors.trend * 100)}%`,
+        ],
+        explanation,
+      };
     });
     
-    // Prepare prediction data
-    const predictionData = {
-      signal: signal.signal,
-      confidence: signal.confidence,
-      priceTarget: signal.priceTarget,
-      riskScore: signal.riskScore,
-      technicalScore: signal.factors.technical,
-      sentimentScore: signal.factors.sentiment,
-      volumeScore: signal.factors.volume,
-      trendScore: signal.factors.trend,
-      reasoning,
-      factors: [
-        `Technical: ${Math.round(signal.factors.technical * 100)}%`,
-        `Sentiment: ${Math.round(signal.factors.sentiment * 100)}%`,
-        `Volume: ${Math.round(signal.factors.volume * 100)}%`,
-        `Trend: ${Math.round(signal.factors.trend * 100)}%`,
-      ],
+    // Cryptocurrency records always hold USD market data
+    const usdData = quote === 'usd'
+      ? cryptoData
+      : await marketDataService.getCoin(cryptoId, { ...options, quote: 'usd' });
+    const usdMarketData = {
+      currentPrice: usdData.currentPrice || 0,
+      marketCap: usdData.marketCap,
+      volume24h: usdData.volume24h,
+      priceChange24h: usdData.priceChange24h || 0,
+      priceChange7d: usdData.priceChange7d || 0,
     };
     
     // Update or create cryptocurrency record
     const crypto = await prisma.cryptocurrency.upsert({
       where: { symbol },
       update: {
-        currentPrice,
-        marketCap,
-        volume24h,
-        priceChange24h,
-        priceChange7d,
+        ...usdMarketData,
         lastUpdated: new Date(),
       },
       create: {
         symbol,
         name: cryptoData.name || symbol,
-        currentPrice,
-        marketCap,
-        volume24h,
-        priceChange24h,
-        priceChange7d,
+        ...usdMarketData,
       },
     });
     
-    // Store price history
-    if (prices.length > 0) {
-      const latestPrice = prices[prices.length - 1];
-      await prisma.priceHistory.create({
+    // Store the fetched candles as price history
+    for (const [interval, candles] of candlesByInterval) {
+      await priceIngestionService.storeCandles(crypto.id, candles, interval, quote);
+    }
+    
+    for (const predictionData of predictions) {
+      // Store prediction
+      const prediction = await prisma.prediction.create({
         data: {
           cryptoId: crypto.id,
-          price: latestPrice,
-          timestamp: new Date(),
+          ...predictionData,
         },
       });
+      
+      // Snapshot the inputs now; the outcome is filled in when the prediction is evaluated
+      await storeTrainingData(crypto.id, {
+        predictionId: prediction.id,
+        priceAtTime: currentPrice,
+        volume24h: usdMarketData.volume24h || 0,
+        priceChange24h: usdMarketData.priceChange24h,
+        priceChange7d: usdMarketData.priceChange7d,
+        marketCap: usdMarketData.marketCap || 0,
+        sentimentScore: predictionData.sentimentScore,
+      });
+      
+      // Record which sentiment records fed the sentiment score, with their share of it
+      if (sentiment.contributions.length > 0) {
+        await prisma.predictionSentiment.createMany({
+          data: sentiment.contributions.map(contribution => ({
+            predictionId: prediction.id,
+            sentimentId: contribution.sentimentId,
+            weight: contribution.weight,
+          })),
+        });
+      }
     }
     
-    // Store prediction
-    const prediction = await prisma.prediction.create({
-      data: {
-        cryptoId: crypto.id,
-        ...predictionData,
-      },
-    });
-    
-    console.log(`Prediction generated for ${symbol}: ${signal.signal}`);
+    console.log(
+      `Prediction generated for ${symbol}: ` +
+      predictions.map(p => `${p.horizon} ${p.signal}`).join(', ')
+    );
     
     return {
       crypto: {
         id: crypto.id,
         symbol: crypto.symbol,
         name: crypto.name,
-        currentPrice: crypto.currentPrice,
-        priceChange24h: crypto.priceChange24h,
+        currentPrice,
+        priceChange24h,
+        quote,
       },
-      prediction: predictionData,
+      prediction: pickPrimary(predictions),
+      predictions,
+      sentiment,
       timestamp: new Date(),
     };
   } catch (error) {
-    console.error(`Error generating prediction for ${symbol}:`, error.message);
+    console.error(`Error generating prediction for ${symbol || cryptoId}:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Pick the prediction returned as `prediction` for clients reading a single one
+ * @param {Array} predictions - Predictions for different horizons
+ * @param {string} horizon - Preferred horizon (default: DEFAULT_HORIZON)
+ * @returns {Object|null} Prediction for the preferred horizon, otherwise the first one
+ */
+function pickPrimary(predictions, horizon = DEFAULT_HORIZON) {
+  return predictions.find(p => p.horizon === horizon) || predictions[0] || null;
+}
+
 /**
  * Generate predictions for multiple cryptocurrencies
- * @param {Array<string>} cryptoIds - Array of CoinGecko cryptocurrency IDs
+ * Each identifier is resolved through the asset registry so predictions are stored
+ * under the ticker (BTC) rather than the provider ID (BITCOIN)
+ * @param {Array<string>} cryptoIds - Array of provider coin IDs or tickers
+ * @param {Object} options - Optional settings passed to generatePrediction
  * @returns {Promise<Array>} Array of predictions
  */
-async function generateBatchPredictions(cryptoIds) {
+async function generateBatchPredictions(cryptoIds, options = {}) {
   const predictions = [];
   
+  // Fail fast on an unknown provider, interval, quote or horizon instead of failing every item
+  marketDataService.getProvider(options.provider);
+  if (options.interval) {
+    getIntervalMs(options.interval);
+  }
+  normalizeQuote(options.quote);
+  parseHorizons(options.horizons);
+  await signalProfileService.getProfile(options.profile);
+  
   for (const cryptoId of cryptoIds) {
     try {
-      const prediction = await generatePrediction(cryptoId, cryptoId.toUpperCase());
+      const result = await assetRegistryService.resolve(cryptoId, options).catch(() => null);
+      const prediction = result
+        ? await generatePrediction(
+          assetRegistryService.getProviderId(result.asset, options.provider),
+          result.asset.ticker,
+          options
+        )
+        : await generatePrediction(cryptoId.toLowerCase(), null, options);
       predictions.push(prediction);
       
       // Add delay between requests to respect API rate limits
@@ -162,21 +360,91 @@ async function generateBatchPredictions(cryptoIds) {
 }
 
 /**
- * Get latest prediction for a cryptocurrency
+ * Format a stored prediction with prices in a quote currency
+ * Cryptocurrency prices are stored in USD and price targets in the quote
+ * they were generated in, so both are converted at the spot rate
+ * @param {Object} crypto - Cryptocurrency record
+ * @param {Object} prediction - Prediction record
+ * @param {Object} options - { quote, provider }
+ * @returns {Promise<Object>} Crypto summary and prediction in the quote
+ */
+async function formatPrediction(crypto, prediction, options = {}) {
+  const quote = normalizeQuote(options.quote);
+  const [priceRate, targetRate] = await Promise.all([
+    fxService.getRate('usd', quote, options),
+    fxService.getRate(prediction.quote || 'usd', quote, options),
+  ]);
+  
+  return {
+    crypto: {
+      id: crypto.id,
+      symbol: crypto.symbol,
+      name: crypto.name,
+      currentPrice: crypto.currentPrice * priceRate,
+      priceChange24h: crypto.priceChange24h,
+      quote,
+    },
+    prediction: {
+      ...prediction,
+      priceTarget: prediction.priceTarget === null ? null : prediction.priceTarget * targetRate,
+      quote,
+    },
+  };
+}
+
+/**
+ * Build the relation query for the latest prediction of each horizon
+ * @param {Object} filters - { horizon, profile } to return a single horizon or profile (default: any)
+ * @returns {Object} Prisma include arguments for Cryptocurrency.predictions
+ */
+function latestPredictionsQuery(filters = {}) {
+  return {
+    where: {
+      ...(filters.horizon ? { horizon: normalizeHorizon(filters.horizon) } : {}),
+      ...(filters.profile ? { profile: String(filters.profile).toLowerCase() } : {}),
+    },
+    orderBy: { createdAt: 'desc' },
+    distinct: ['horizon'],
+  };
+}
+
+/**
+ * Format the latest predictions of a cryptocurrency, one per horizon
+ * @param {Object} crypto - Cryptocurrency record including its latest predictions
+ * @param {Object} options - { quote, provider, horizon }
+ * @returns {Promise<Object>} Crypto summary, `prediction` for the requested (or default)
+ *   horizon and `predictions` for every horizon, shortest first
+ */
+async function formatLatestPredictions(crypto, options = {}) {
+  const sorted = [...crypto.predictions].sort(
+    (a, b) => HORIZON_NAMES.indexOf(a.horizon) - HORIZON_NAMES.indexOf(b.horizon)
+  );
+  const formatted = await Promise.all(
+    sorted.map(prediction => formatPrediction(crypto, prediction, options))
+  );
+  const predictions = formatted.map(result => result.prediction);
+  
+  return {
+    crypto: formatted[0].crypto,
+    prediction: pickPrimary(predictions, options.horizon ? normalizeHorizon(options.horizon) : undefined),
+    predictions,
+  };
+}
+
+/**
+ * Get latest predictions for a cryptocurrency, one per horizon
  * @param {string} symbol - Cryptocurrency symbol
- * @returns {Promise<Object>} Latest prediction with crypto data
+ * @param {Object} options - { quote, provider, horizon, profile } (horizon and profile filter the predictions)
+ * @returns {Promise<Object>} Latest predictions with crypto data
  */
-async function getLatestPrediction(symbol) {
+async function getLatestPrediction(symbol, options = {}) {
   const prisma = getPrismaClient();
   
   try {
     const crypto = await prisma.cryptocurrency.findUnique({
       where: { symbol },
       include: {
-        predictions: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
-        },
+        predictions: latestPredictionsQuery(options),
       },
     });
     
@@ -184,16 +452,7 @@ async function getLatestPrediction(symbol) {
       return null;
     }
     
-    return {
-      crypto: {
-        id: crypto.id,
-        symbol: crypto.symbol,
-        name: crypto.name,
-        currentPrice: crypto.currentPrice,
-        priceChange24h: crypto.priceChange24h,
-      },
-      prediction: crypto.predictions[0],
-    };
+    return await formatLatestPredictions(crypto, options);
   } catch (error) {
     console.error(`Error fetching prediction for ${symbol}:`, error.message);
     throw error;
@@ -202,10 +461,11 @@ async function getLatestPrediction(symbol) {
 
 /**
  * Get all latest predictions
- * @param {number} limit - Maximum number of predictions to return
- * @returns {Promise<Array>} Array of latest predictions
+ * @param {number} limit - Maximum number of cryptocurrencies to return
+ * @param {Object} options - { quote, provider, horizon, profile } (horizon and profile filter the predictions)
+ * @returns {Promise<Array>} Array of latest predictions, one entry per cryptocurrency
  */
-async function getAllLatestPredictions(limit = 50) {
+async function getAllLatestPredictions(limit = 50, options = {}) {
   const prisma = getPrismaClient();
   
   try {
@@ -213,27 +473,288 @@ async function getAllLatestPredictions(limit = 50) {
       take: limit,
       orderBy: { lastUpdated: 'desc' },
       include: {
-        predictions: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
+        predictions: latestPredictionsQuery(options),
+      },
+    });
+    
+    return await Promise.all(
+      cryptos
+        .filter(crypto => crypto.predictions.length > 0)
+        .map(crypto => formatLatestPredictions(crypto, options))
+    );
+  } catch (error) {
+    console.error('Error fetching all predictions:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the breakdown of the latest prediction for a cryptocurrency
+ * Predictions stored before breakdowns were recorded are explained from their
+ * stored factor scores, without inputs or indicator values
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {Object} options - { horizon } (default: DEFAULT_HORIZON), { profile } (default: any)
+ * @returns {Promise<Object|null>} Prediction summary, explanation and contributing sentiment records
+ */
+async function getPredictionExplanation(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const horizon = normalizeHorizon(options.horizon);
+  
+  try {
+    const prediction = await prisma.prediction.findFirst({
+      where: {
+        horizon,
+        crypto: { symbol },
+        ...(options.profile ? { profile: String(options.profile).toLowerCase() } : {}),
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        crypto: true,
+        sentimentInputs: {
+          orderBy: { weight: 'desc' },
+          include: { sentiment: true },
         },
       },
     });
     
-    return cryptos
-      .filter(crypto => crypto.predictions.length > 0)
-      .map(crypto => ({
-        crypto: {
-          id: crypto.id,
-          symbol: crypto.symbol,
-          name: crypto.name,
-          currentPrice: crypto.currentPrice,
-          priceChange24h: crypto.priceChange24h,
+    if (!prediction) {
+      return null;
+    }
+    
+    // Profiles deleted since fall back to the default weights
+    const profile = prediction.explanation
+      ? null
+      : await signalProfileService.getProfile(prediction.profile).catch(() => undefined);
+    const explanation = prediction.explanation || {
+      ...aiService.explainTradingSignal({
+        technicalScore: prediction.technicalScore,
+        sentimentScore: prediction.sentimentScore,
+        volumeScore: prediction.volumeScore,
+        trendScore: prediction.trendScore,
+      }, profile),
+      inputs: null,
+    };
+    
+    return {
+      crypto: {
+        id: prediction.crypto.id,
+        symbol: prediction.crypto.symbol,
+        name: prediction.crypto.name,
+      },
+      prediction: {
+        id: prediction.id,
+        horizon: prediction.horizon,
+        profile: prediction.profile,
+        signal: prediction.signal,
+        confidence: prediction.confidence,
+        priceTarget: prediction.priceTarget,
+        quote: prediction.quote,
+        entryPrice: prediction.entryPrice,
+        reasoning: prediction.reasoning,
+        createdAt: prediction.createdAt,
+      },
+      stored: Boolean(prediction.explanation),
+      explanation,
+      sentimentRecords: prediction.sentimentInputs.map(input => ({
+        id: input.sentiment.id,
+        source: input.sentiment.source,
+        text: input.sentiment.text,
+        sentiment: input.sentiment.sentiment,
+        confidence: input.sentiment.confidence,
+        createdAt: input.sentiment.createdAt,
+        weight: input.weight,
+      })),
+    };
+  } catch (error) {
+    console.error(`Error explaining prediction for ${symbol}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find the stored price closest to each time, for predictions without an entry price
+ * @param {string} cryptoId - Cryptocurrency record ID
+ * @param {Array} rows - History rows with createdAt and quote
+ * @returns {Promise<Map>} Map of row index -> stored price
+ */
+async function findStoredPrices(cryptoId, rows) {
+  const prisma = getPrismaClient();
+  const prices = new Map();
+  const quotes = [...new Set(rows.map(row => row.quote))];
+
+  for (const quote of quotes) {
+    const times = rows.filter(row => row.quote === quote).map(row => row.createdAt.getTime());
+    const history = await prisma.priceHistory.findMany({
+      where: {
+        cryptoId,
+        quote,
+        timestamp: {
+          gte: new Date(Math.min(...times) - HISTORY_PRICE_TOLERANCE_MS),
+          lte: new Date(Math.max(...times) + HISTORY_PRICE_TOLERANCE_MS),
         },
-        prediction: crypto.predictions[0],
-      }));
+      },
+      select: { timestamp: true, price: true },
+      orderBy: { timestamp: 'asc' },
+    });
+
+    rows.forEach((row, index) => {
+      if (row.quote !== quote || history.length === 0) {
+        return;
+      }
+
+      const at = row.createdAt.getTime();
+      const nearest = history.reduce((best, point) => (
+        Math.abs(point.timestamp.getTime() - at) < Math.abs(best.timestamp.getTime() - at) ? point : best
+      ));
+
+      if (Math.abs(nearest.timestamp.getTime() - at) <= HISTORY_PRICE_TOLERANCE_MS) {
+        prices.set(index, nearest.price);
+      }
+    });
+  }
+
+  return prices;
+}
+
+/**
+ * Get the prediction history of a cryptocurrency as a signal timeline
+ * Each prediction is compared with the previous prediction of the same horizon and profile;
+ * with changesOnly, only predictions whose signal differs from it are returned. Prices are
+ * in the quote each prediction was generated in.
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {Object} options - History options
+ * @param {Date|string} options.from - Start of the window (default: `days` before `to`)
+ * @param {Date|string} options.to - End of the window (default: now)
+ * @param {number} options.days - Window length when `from` is not given (default: 30)
+ * @param {string} options.horizon - Only this horizon (default: all)
+ * @param {string} options.profile - Only this signal profile (default: all)
+ * @param {boolean} options.changesOnly - Only predictions where the signal changed
+ * @param {string} options.order - asc or desc by creation time (default: desc)
+ * @param {number} options.limit - Page size (default: 100, max: 5000)
+ * @param {number} options.offset - Rows skipped (default: 0)
+ * @returns {Promise<Object|null>} Window, paging and rows, or null when the symbol is unknown
+ */
+async function getPredictionHistory(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const days = parseInt(options.days) || 30;
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - days * DAY_MS);
+  const horizon = options.horizon ? normalizeHorizon(options.horizon) : null;
+  const profile = options.profile ? String(options.profile).toLowerCase() : null;
+  const order = options.order === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), HISTORY_MAX_LIMIT);
+  const offset = Math.max(parseInt(options.offset) || 0, 0);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    const error = new Error('from and to must be valid dates with from before to');
+    error.status = 400;
+    throw error;
+  }
+
+  try {
+    const crypto = await prisma.cryptocurrency.findUnique({
+      where: { symbol },
+    });
+
+    if (!crypto) {
+      return null;
+    }
+
+    const where = {
+      cryptoId: crypto.id,
+      ...(horizon ? { horizon } : {}),
+      ...(profile ? { profile } : {}),
+    };
+
+    // Scan in the requested order, so a truncated scan keeps the end of the window that is paged from
+    const scanned = await prisma.prediction.findMany({
+      where: { ...where, createdAt: { gte: from, lte: to } },
+      select: HISTORY_SELECT,
+      orderBy: { createdAt: order },
+      take: HISTORY_SCAN_LIMIT,
+    });
+    const truncated = scanned.length === HISTORY_SCAN_LIMIT;
+    const predictions = order === 'desc' ? scanned.reverse() : scanned;
+
+    // The last prediction of each series before the first scanned one, so it has a predecessor
+    const before = truncated && order === 'desc' ? predictions[0].createdAt : from;
+    const preceding = await prisma.prediction.findMany({
+      where: { ...where, createdAt: { lt: before } },
+      select: { horizon: true, profile: true, signal: true },
+      orderBy: { createdAt: 'desc' },
+      distinct: ['horizon', 'profile'],
+    });
+
+    const lastSignals = new Map(
+      preceding.map(prediction => [`${prediction.horizon}:${prediction.profile}`, prediction.signal])
+    );
+
+    let rows = predictions.map(prediction => {
+      const series = `${prediction.horizon}:${prediction.profile}`;
+      const previousSignal = lastSignals.has(series) ? lastSignals.get(series) : null;
+      lastSignals.set(series, prediction.signal);
+
+      return {
+        ...prediction,
+        previousSignal,
+        changed: previousSignal !== null && previousSignal !== prediction.signal,
+      };
+    });
+
+    if (options.changesOnly) {
+      rows = rows.filter(row => row.changed);
+    }
+    if (order === 'desc') {
+      rows.reverse();
+    }
+
+    const page = rows.slice(offset, offset + limit);
+
+    // Overlay the price at each prediction; older predictions fall back to stored price history
+    const missing = page.filter(row => row.entryPrice === null);
+    const storedPrices = missing.length > 0 ? await findStoredPrices(crypto.id, missing) : new Map();
+
+    const data = page.map(row => {
+      const missingIndex = row.entryPrice === null ? missing.indexOf(row) : -1;
+      const storedPrice = missingIndex >= 0 ? storedPrices.get(missingIndex) : undefined;
+
+      return {
+        id: row.id,
+        createdAt: row.createdAt,
+        horizon: row.horizon,
+        profile: row.profile,
+        signal: row.signal,
+        previousSignal: row.previousSignal,
+        changed: row.changed,
+        confidence: row.confidence,
+        rawConfidence: row.rawConfidence,
+        priceTarget: row.priceTarget,
+        quote: row.quote,
+        price: row.entryPrice ?? storedPrice ?? null,
+        priceSource: row.entryPrice !== null ? 'prediction' : storedPrice !== undefined ? 'priceHistory' : null,
+        realizedPrice: row.realizedPrice,
+        realizedReturn: row.realizedReturn,
+        hit: row.hit,
+        evaluatedAt: row.evaluatedAt,
+      };
+    });
+
+    return {
+      symbol: crypto.symbol,
+      from,
+      to,
+      horizon,
+      profile,
+      changesOnly: Boolean(options.changesOnly),
+      order,
+      total: rows.length,
+      limit,
+      offset,
+      truncated,
+      data,
+    };
   } catch (error) {
-    console.error('Error fetching all predictions:', error.message);
+    console.error(`Error fetching prediction history for ${symbol}:`, error.message);
     throw error;
   }
 }
@@ -263,20 +784,67 @@ async function storeTrainingData(cryptoId, trainingData) {
   }
 }
 
+// Signals a prediction can carry
+const SIGNALS = ['BUY', 'SELL', 'HOLD'];
+
+/**
+ * Summarize evaluated predictions
+ * The signal return is the return of acting on the signal: long for BUY,
+ * short for SELL and flat for HOLD
+ * @param {Array} predictions - Evaluated predictions with signal, hit and realizedReturn
+ * @returns {Object} Overall and per-signal hit rates and average returns
+ */
+function summarizeOutcomes(predictions) {
+  const summarize = rows => {
+    const hits = rows.filter(p => p.hit).length;
+    const signalReturns = rows.map(p => {
+      if (p.signal === 'BUY') return p.realizedReturn;
+      if (p.signal === 'SELL') return -p.realizedReturn;
+      return 0;
+    });
+    const average = values => (values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null);
+    
+    return {
+      count: rows.length,
+      hits,
+      misses: rows.length - hits,
+      accuracy: rows.length > 0 ? hits / rows.length : null,
+      averageReturn: average(rows.map(p => p.realizedReturn)),
+      averageSignalReturn: average(signalReturns),
+    };
+  };
+  
+  const bySignal = {};
+  for (const signal of SIGNALS) {
+    bySignal[signal] = summarize(predictions.filter(p => p.signal === signal));
+  }
+  
+  return {
+    ...summarize(predictions),
+    bySignal,
+  };
+}
+
 /**
  * Get model performance metrics
+ * @param {string|null} cryptoId - Cryptocurrency record ID, or null for all symbols
  * @returns {Promise<Object>} Model performance statistics
  */
-async function getModelPerformance() {
+async function getModelPerformance(cryptoId = null) {
   const prisma = getPrismaClient();
   
   try {
-    const performance = await prisma.modelPerformance.findFirst();
+    const performance = await prisma.modelPerformance.findFirst({
+      where: { cryptoId },
+    });
     
     if (!performance) {
       // Create initial performance record
       return await prisma.modelPerformance.create({
         data: {
+          cryptoId,
           totalPredictions: 0,
           correctPredictions: 0,
           accuracy: 0,
@@ -292,22 +860,35 @@ async function getModelPerformance() {
 }
 
 /**
- * Update model performance based on new training data
- * @param {Object} metrics - Performance metrics to update
+ * Recompute model performance from evaluated predictions
+ * Accuracies are hit rates between 0 and 1
+ * @param {string|null} cryptoId - Cryptocurrency record ID, or null for all symbols
  * @returns {Promise<Object>} Updated performance record
  */
-async function updateModelPerformance(metrics) {
+async function updateModelPerformance(cryptoId = null) {
   const prisma = getPrismaClient();
   
   try {
-    const performance = await getModelPerformance();
+    const performance = await getModelPerformance(cryptoId);
+    const evaluated = await prisma.prediction.findMany({
+      where: {
+        evaluatedAt: { not: null },
+        ...(cryptoId ? { cryptoId } : {}),
+      },
+      select: { signal: true, hit: true, realizedReturn: true },
+    });
+    const summary = summarizeOutcomes(evaluated);
     
     const updated = await prisma.modelPerformance.update({
       where: { id: performance.id },
       data: {
-        totalPredictions: (performance.totalPredictions || 0) + 1,
-        correctPredictions: (performance.correctPredictions || 0) + (metrics.correct ? 1 : 0),
-        accuracy: metrics.accuracy || performance.accuracy,
+        totalPredictions: summary.count,
+        correctPredictions: summary.hits,
+        accuracy: summary.accuracy ?? 0,
+        buySignalAccuracy: summary.bySignal.BUY.accuracy,
+        sellSignalAccuracy: summary.bySignal.SELL.accuracy,
+        holdSignalAccuracy: summary.bySignal.HOLD.accuracy,
+        averageReturn: summary.averageReturn,
         lastEvaluated: new Date(),
       },
     });
@@ -324,7 +905,10 @@ module.exports = {
   generateBatchPredictions,
   getLatestPrediction,
   getAllLatestPredictions,
+  getPredictionExplanation,
+  getPredictionHistory,
   storeTrainingData,
+  summarizeOutcomes,
   getModelPerformance,
   updateModelPerformance,
 };
@@ -0,0 +1,492 @@
+/**
+ * Price History Ingestion Service
+ * Backfills and continuously appends price, volume, and market cap history
+ * for a configurable watchlist into the PriceHistory table
+ * Detects gaps in stored history and refetches the missing candles
+ *
+ * Configuration (environment variables):
+ * - PRICE_INGESTION_WATCHLIST: Comma-separated coin IDs or tickers (e.g. bitcoin,ETH), resolved via the asset registry
+ * - PRICE_INGESTION_INTERVAL: Candle interval to store (1h, 4h, 1d; default: 1d)
+ * - PRICE_INGESTION_BACKFILL_DAYS: Days of history to backfill for new coins (default: 365,
+ *   capped at 90 for intervals under 1d)
+ * - PRICE_INGESTION_POLL_MS: Delay between ingestion cycles (default: 15 minutes)
+ * - PRICE_INGESTION_PROVIDER: Market data provider (default: MARKET_DATA_PROVIDER)
+ * - PRICE_INGESTION_QUOTES: Comma-separated quote currencies to store (default: usd)
+ *
+ * PriceHistory rows are tagged with their quote currency. Cryptocurrency rows
+ * always hold USD market data.
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const marketDataService = require('./marketDataService');
+const assetRegistryService = require('./assetRegistryService');
+const { DAY_MS, getIntervalMs } = require('../utils/candles');
+const { normalizeQuote } = require('../utils/quotes');
+
+// Providers serve at most a year of history, and intraday candles for 90 days
+const MAX_HISTORY_DAYS = 365;
+const MAX_INTRADAY_DAYS = 90;
+
+// Scheduler state
+let timer = null;
+let isRunning = false;
+const status = {
+  startedAt: null,
+  lastRunAt: null,
+  lastRunDurationMs: null,
+  runs: 0,
+  coins: {},
+};
+
+/**
+ * Read ingestion configuration from the environment
+ * @returns {Object} Ingestion configuration
+ */
+function getConfig() {
+  const interval = process.env.PRICE_INGESTION_INTERVAL || '1d';
+  
+  return {
+    watchlist: (process.env.PRICE_INGESTION_WATCHLIST || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean),
+    interval,
+    backfillDays: Math.min(
+      parseInt(process.env.PRICE_INGESTION_BACKFILL_DAYS) || MAX_HISTORY_DAYS,
+      maxHistoryDays(interval)
+    ),
+    pollMs: parseInt(process.env.PRICE_INGESTION_POLL_MS) || 15 * 60 * 1000,
+    provider: process.env.PRICE_INGESTION_PROVIDER || undefined,
+    quotes: (process.env.PRICE_INGESTION_QUOTES || 'usd')
+      .split(',')
+      .map(quote => quote.trim().toLowerCase())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Most days of history providers serve for an interval
+ * @param {string} interval - Candle interval
+ * @returns {number} Days
+ */
+function maxHistoryDays(interval) {
+  return getIntervalMs(interval) < DAY_MS ? MAX_INTRADAY_DAYS : MAX_HISTORY_DAYS;
+}
+
+/**
+ * Create or refresh the Cryptocurrency row for a provider coin
+ * @param {string} cryptoId - Provider coin ID (e.g. 'bitcoin')
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object>} Cryptocurrency record
+ */
+async function ensureCryptocurrency(cryptoId, options = {}) {
+  const prisma = getPrismaClient();
+  const coin = await marketDataService.getCoin(cryptoId, { ...options, quote: 'usd' });
+  
+  const marketData = {
+    currentPrice: coin.currentPrice || 0,
+    marketCap: coin.marketCap,
+    volume24h: coin.volume24h,
+    priceChange24h: coin.priceChange24h,
+    priceChange7d: coin.priceChange7d,
+    priceChange30d: coin.priceChange30d,
+    circulatingSupply: coin.circulatingSupply,
+    totalSupply: coin.totalSupply,
+    ath: coin.ath,
+    atl: coin.atl,
+  };
+  
+  return prisma.cryptocurrency.upsert({
+    where: { symbol: coin.symbol },
+    update: { ...marketData, lastUpdated: new Date() },
+    create: { symbol: coin.symbol, name: coin.name || coin.symbol, ...marketData },
+  });
+}
+
+/**
+ * Store candles as PriceHistory rows
+ * Rows older than the latest stored candle are kept as they are; candles at or
+ * after it are updated, since any of them may have been stored while still open
+ * @param {string} cryptoDbId - Cryptocurrency record ID
+ * @param {Array<Object>} candles - Candles, oldest first
+ * @param {string} interval - Candle interval
+ * @param {string} quote - Quote currency the candles are priced in (default: usd)
+ * @returns {Promise<number>} Number of rows written
+ */
+async function storeCandles(cryptoDbId, candles, interval = '1d', quote = 'usd') {
+  if (!candles || candles.length === 0) {
+    return 0;
+  }
+  
+  const prisma = getPrismaClient();
+  const rows = candles.map(candle => ({
+    cryptoId: cryptoDbId,
+    interval,
+    quote,
+    timestamp: new Date(candle.timestamp),
+    price: candle.close,
+    volume: candle.volume ?? null,
+    marketCap: candle.marketCap ?? null,
+  }));
+  
+  const stored = await prisma.priceHistory.findFirst({
+    where: { cryptoId: cryptoDbId, interval, quote },
+    orderBy: { timestamp: 'desc' },
+    select: { timestamp: true },
+  });
+  
+  // Everything from the latest stored candle on is refreshed; the last
+  // candle is always refreshed because providers report it while still open
+  const cutoff = stored
+    ? Math.min(stored.timestamp.getTime(), rows[rows.length - 1].timestamp.getTime())
+    : rows[rows.length - 1].timestamp.getTime();
+  const older = rows.filter(row => row.timestamp.getTime() < cutoff);
+  const recent = rows.filter(row => row.timestamp.getTime() >= cutoff);
+  let written = 0;
+  
+  if (older.length > 0) {
+    const result = await prisma.priceHistory.createMany({
+      data: older,
+      skipDuplicates: true,
+    });
+    written += result.count;
+  }
+  
+  for (const row of recent) {
+    await prisma.priceHistory.upsert({
+      where: {
+        cryptoId_interval_quote_timestamp: {
+          cryptoId: cryptoDbId,
+          interval,
+          quote,
+          timestamp: row.timestamp,
+        },
+      },
+      update: {
+        price: row.price,
+        volume: row.volume,
+        marketCap: row.marketCap,
+      },
+      create: row,
+    });
+    written += 1;
+  }
+  
+  return written;
+}
+
+/**
+ * Find missing candles in stored history
+ * @param {string} cryptoDbId - Cryptocurrency record ID
+ * @param {string} interval - Candle interval
+ * @param {Date} since - Only look at history after this date
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array<Object>>} Gaps as { from, to, missing }
+ */
+async function detectGaps(cryptoDbId, interval = '1d', since = new Date(0), quote = 'usd') {
+  const prisma = getPrismaClient();
+  const intervalMs = getIntervalMs(interval);
+  
+  const rows = await prisma.priceHistory.findMany({
+    where: {
+      cryptoId: cryptoDbId,
+      interval,
+      quote,
+      timestamp: { gte: since },
+    },
+    select: { timestamp: true },
+    orderBy: { timestamp: 'asc' },
+  });
+  
+  const gaps = [];
+  
+  for (let i = 1; i < rows.length; i++) {
+    const previous = rows[i - 1].timestamp.getTime();
+    const current = rows[i].timestamp.getTime();
+    const missing = Math.round((current - previous) / intervalMs) - 1;
+    
+    if (missing > 0) {
+      gaps.push({
+        from: new Date(previous + intervalMs),
+        to: new Date(current - intervalMs),
+        missing,
+      });
+    }
+  }
+  
+  return gaps;
+}
+
+/**
+ * Refetch and store candles that fall inside detected gaps
+ * @param {string} cryptoId - Provider coin ID
+ * @param {string} cryptoDbId - Cryptocurrency record ID
+ * @param {Array<Object>} gaps - Gaps from detectGaps
+ * @param {Object} options - { interval, provider, quote }
+ * @returns {Promise<number>} Number of rows written
+ */
+async function fillGaps(cryptoId, cryptoDbId, gaps, options = {}) {
+  if (gaps.length === 0) {
+    return 0;
+  }
+  
+  const interval = options.interval || '1d';
+  const quote = options.quote || 'usd';
+  const earliest = Math.min(...gaps.map(gap => gap.from.getTime()));
+  const days = Math.min(Math.ceil((Date.now() - earliest) / DAY_MS) + 1, maxHistoryDays(interval));
+  
+  const candles = await marketDataService.getCandles(cryptoId, days, interval, options);
+  const missingCandles = candles.filter(candle =>
+    gaps.some(gap => candle.timestamp >= gap.from.getTime() && candle.timestamp <= gap.to.getTime())
+  );
+  
+  if (missingCandles.length === 0) {
+    return 0;
+  }
+  
+  // Gap candles are never the newest candle, so a plain insert is enough
+  const prisma = getPrismaClient();
+  const result = await prisma.priceHistory.createMany({
+    data: missingCandles.map(candle => ({
+      cryptoId: cryptoDbId,
+      interval,
+      quote,
+      timestamp: new Date(candle.timestamp),
+      price: candle.close,
+      volume: candle.volume ?? null,
+      marketCap: candle.marketCap ?? null,
+    })),
+    skipDuplicates: true,
+  });
+  
+  return result.count;
+}
+
+/**
+ * Backfill history for a coin
+ * @param {string} cryptoId - Provider coin ID
+ * @param {Object} options - { days, interval, provider, quote }
+ * @returns {Promise<Object>} Backfill result
+ */
+async function backfill(cryptoId, options = {}) {
+  const config = getConfig();
+  const interval = options.interval || config.interval;
+  const provider = options.provider || config.provider;
+  const quote = normalizeQuote(options.quote || config.quotes[0]);
+  const days = Math.min(options.days || config.backfillDays, maxHistoryDays(interval));
+  
+  const crypto = await ensureCryptocurrency(cryptoId, { provider });
+  const candles = await marketDataService.getCandles(cryptoId, days, interval, { provider, quote });
+  const stored = await storeCandles(crypto.id, candles, interval, quote);
+  
+  console.log(`Backfilled ${stored} ${interval} ${quote.toUpperCase()} candles for ${crypto.symbol}`);
+  
+  return {
+    cryptoId,
+    symbol: crypto.symbol,
+    interval,
+    quote,
+    days,
+    fetched: candles.length,
+    stored,
+  };
+}
+
+/**
+ * Ingest the latest history for a coin
+ * Backfills coins with no history, otherwise appends new candles and fills gaps
+ * @param {string} cryptoId - Provider coin ID
+ * @param {Object} options - { interval, provider, backfillDays, quote }
+ * @returns {Promise<Object>} Ingestion result
+ */
+async function ingestCoin(cryptoId, options = {}) {
+  const prisma = getPrismaClient();
+  const config = getConfig();
+  const interval = options.interval || config.interval;
+  const provider = options.provider || config.provider;
+  const backfillDays = Math.min(options.backfillDays || config.backfillDays, maxHistoryDays(interval));
+  const quote = normalizeQuote(options.quote || config.quotes[0]);
+  
+  const crypto = await ensureCryptocurrency(cryptoId, { provider });
+  
+  const latest = await prisma.priceHistory.findFirst({
+    where: { cryptoId: crypto.id, interval, quote },
+    orderBy: { timestamp: 'desc' },
+  });
+  
+  // Fetch just enough days to reach back to the latest stored candle
+  const days = latest
+    ? Math.min(Math.ceil((Date.now() - latest.timestamp.getTime()) / DAY_MS) + 1, maxHistoryDays(interval))
+    : backfillDays;
+  
+  const candles = await marketDataService.getCandles(cryptoId, days, interval, { provider, quote });
+  const newCandles = latest
+    ? candles.filter(candle => candle.timestamp >= latest.timestamp.getTime())
+    : candles;
+  const stored = await storeCandles(crypto.id, newCandles, interval, quote);
+  
+  const gaps = await detectGaps(crypto.id, interval, new Date(Date.now() - backfillDays * DAY_MS), quote);
+  const filled = await fillGaps(cryptoId, crypto.id, gaps, { interval, provider, quote });
+  
+  return {
+    cryptoId,
+    symbol: crypto.symbol,
+    interval,
+    quote,
+    mode: latest ? 'append' : 'backfill',
+    stored,
+    gaps: gaps.length,
+    filled,
+  };
+}
+
+/**
+ * Run one ingestion cycle over the whole watchlist
+ * Coins are processed one at a time to stay within upstream rate limits
+ * Per-coin status is keyed by `<cryptoId>/<quote>`
+ * @returns {Promise<Object>} Cycle summary
+ */
+async function runIngestionCycle() {
+  if (isRunning) {
+    return { skipped: true, reason: 'Ingestion cycle already in progress' };
+  }
+  
+  isRunning = true;
+  const startedAt = Date.now();
+  const config = getConfig();
+  const results = [];
+  
+  try {
+    for (const entry of config.watchlist) {
+      const cryptoId = await assetRegistryService.resolveProviderId(entry, { provider: config.provider });
+      
+      for (const quote of config.quotes) {
+        const key = `${cryptoId}/${quote}`;
+        const coinStatus = status.coins[key] || { errorCount: 0 };
+        
+        try {
+          const result = await ingestCoin(cryptoId, { ...config, quote });
+          results.push(result);
+          status.coins[key] = {
+            ...coinStatus,
+            lastSuccessAt: new Date(),
+            lastResult: result,
+            lastError: null,
+          };
+        } catch (error) {
+          console.error(`Error ingesting ${quote} price history for ${cryptoId}:`, error.message);
+          results.push({ cryptoId, quote, error: error.message });
+          status.coins[key] = {
+            ...coinStatus,
+            lastErrorAt: new Date(),
+            lastError: error.message,
+            errorCount: coinStatus.errorCount + 1,
+          };
+        }
+      }
+    }
+  } finally {
+    isRunning = false;
+    status.runs += 1;
+    status.lastRunAt = new Date(startedAt);
+    status.lastRunDurationMs = Date.now() - startedAt;
+  }
+  
+  return { skipped: false, results };
+}
+
+/**
+ * Start scheduled ingestion
+ * Runs a cycle immediately, then every PRICE_INGESTION_POLL_MS
+ * @returns {boolean} Whether the scheduler was started
+ */
+function start() {
+  const config = getConfig();
+  
+  if (timer || config.watchlist.length === 0) {
+    return false;
+  }
+  
+  getIntervalMs(config.interval);
+  config.quotes.forEach(normalizeQuote);
+  
+  const run = () => runIngestionCycle().catch(error => {
+    console.error('Price ingestion cycle failed:', error.message);
+  });
+  
+  status.startedAt = new Date();
+  timer = setInterval(run, config.pollMs);
+  run();
+  
+  return true;
+}
+
+/**
+ * Stop scheduled ingestion
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get scheduler status and per-coin results
+ * @returns {Object} Ingestion status
+ */
+function getStatus() {
+  return {
+    scheduled: Boolean(timer),
+    inProgress: isRunning,
+    config: getConfig(),
+    ...status,
+  };
+}
+
+/**
+ * Read stored history for a symbol from the database
+ * @param {string} symbol - Cryptocurrency symbol (BTC, ETH, etc.)
+ * @param {Object} options - { from, to, interval, quote, limit }
+ * @returns {Promise<Object|null>} Crypto and the latest `limit` history rows in the range,
+ *   oldest first, or null if the symbol is unknown
+ */
+async function getStoredHistory(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const { from, to, interval = '1d', quote = 'usd', limit = 1000 } = options;
+  
+  const crypto = await prisma.cryptocurrency.findUnique({
+    where: { symbol },
+  });
+  
+  if (!crypto) {
+    return null;
+  }
+  
+  const history = await prisma.priceHistory.findMany({
+    where: {
+      cryptoId: crypto.id,
+      interval,
+      quote,
+      timestamp: { gte: from, lte: to },
+    },
+    orderBy: { timestamp: 'desc' },
+    take: limit,
+  });
+  
+  return { crypto, history: history.reverse() };
+}
+
+module.exports = {
+  getConfig,
+  storeCandles,
+  detectGaps,
+  fillGaps,
+  backfill,
+  ingestCoin,
+  runIngestionCycle,
+  start,
+  stop,
+  getStatus,
+  getStoredHistory,
+};
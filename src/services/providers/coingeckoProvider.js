@@ -0,0 +1,150 @@
+/**
+ * CoinGecko Market Data Provider
+ * Adapts the raw CoinGecko responses from coingeckoService to the
+ * provider interface used by marketDataService
+ */
+
+const coingeckoService = require('../coingeckoService');
+const { DAY_MS, getIntervalMs, buildCandlesFromSeries } = require('../../utils/candles');
+
+// CoinGecko only returns hourly market chart data for ranges up to 90 days
+const MAX_INTRADAY_DAYS = 90;
+
+/**
+ * List top markets by market cap
+ * @param {number} limit - Number of markets to fetch
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array>} Normalized market summaries
+ */
+async function listMarkets(limit = 250, quote = 'usd') {
+  const markets = await coingeckoService.getAllCryptocurrencies(limit, quote);
+
+  return markets.map(crypto => ({
+    id: crypto.id,
+    symbol: crypto.symbol.toUpperCase(),
+    name: crypto.name,
+    currentPrice: crypto.current_price,
+    marketCap: crypto.market_cap,
+    volume24h: crypto.total_volume,
+    priceChange24h: crypto.price_change_percentage_24h,
+    priceChange7d: crypto.price_change_percentage_7d,
+    marketCapRank: crypto.market_cap_rank,
+    quote,
+  }));
+}
+
+/**
+ * Get detailed data for a single coin
+ * Price fields are read from CoinGecko's per-currency maps for the quote
+ * @param {string} cryptoId - CoinGecko cryptocurrency ID
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Object>} Normalized coin detail
+ */
+async function getCoin(cryptoId, quote = 'usd') {
+  const crypto = await coingeckoService.getCryptocurrencyData(cryptoId);
+  const marketData = crypto.market_data || {};
+
+  return {
+    id: crypto.id,
+    symbol: crypto.symbol.toUpperCase(),
+    name: crypto.name,
+    description: crypto.description?.en,
+    currentPrice: marketData.current_price?.[quote],
+    marketCap: marketData.market_cap?.[quote],
+    volume24h: marketData.total_volume?.[quote],
+    priceChange24h: marketData.price_change_percentage_24h_in_currency?.[quote]
+      ?? marketData.price_change_percentage_24h,
+    priceChange7d: marketData.price_change_percentage_7d_in_currency?.[quote]
+      ?? marketData.price_change_percentage_7d,
+    priceChange30d: marketData.price_change_percentage_30d_in_currency?.[quote]
+      ?? marketData.price_change_percentage_30d,
+    ath: marketData.ath?.[quote],
+    atl: marketData.atl?.[quote],
+    circulatingSupply: marketData.circulating_supply,
+    totalSupply: marketData.total_supply,
+    maxSupply: marketData.max_supply,
+    quote,
+  };
+}
+
+/**
+ * Get historical prices
+ * @param {string} cryptoId - CoinGecko cryptocurrency ID
+ * @param {number} days - Number of days of history
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array>} Array of [timestamp, price] pairs
+ */
+async function getHistoricalPrices(cryptoId, days = 30, quote = 'usd') {
+  return coingeckoService.getHistoricalPrices(cryptoId, days, quote);
+}
+
+/**
+ * Get OHLCV candles
+ * Built from market_chart prices, rolling 24h volumes and market caps
+ * @param {string} cryptoId - CoinGecko cryptocurrency ID
+ * @param {number} days - Number of days of history
+ * @param {string} interval - Candle interval (1h, 4h, 1d)
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array<Object>>} Candles, oldest first
+ */
+async function getCandles(cryptoId, days = 30, interval = '1d', quote = 'usd') {
+  if (getIntervalMs(interval) < DAY_MS && days > MAX_INTRADAY_DAYS) {
+    const error = new Error(`Intraday candles are limited to ${MAX_INTRADAY_DAYS} days of history`);
+    error.status = 400;
+    throw error;
+  }
+
+  const chart = await coingeckoService.getMarketChart(cryptoId, days, quote);
+  return buildCandlesFromSeries(chart.prices, chart.total_volumes, interval, chart.market_caps);
+}
+
+/**
+ * Search coins by name or symbol
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Normalized search results
+ */
+async function search(query) {
+  const results = await coingeckoService.searchCryptocurrency(query);
+
+  return results.map(crypto => ({
+    id: crypto.id,
+    symbol: crypto.symbol.toUpperCase(),
+    name: crypto.name,
+    thumb: crypto.thumb,
+  }));
+}
+
+/**
+ * Get trending coins
+ * @returns {Promise<Array>} Normalized trending coins
+ */
+async function getTrending() {
+  const trending = await coingeckoService.getTrendingCryptocurrencies();
+
+  return trending.map(({ item }) => ({
+    id: item.id,
+    symbol: item.symbol.toUpperCase(),
+    name: item.name,
+    marketCapRank: item.market_cap_rank,
+    thumb: item.thumb,
+  }));
+}
+
+/**
+ * Get exchange rates
+ * @returns {Promise<Object>} Map of currency code -> units per 1 BTC
+ */
+async function getExchangeRates() {
+  return coingeckoService.getExchangeRates();
+}
+
+module.exports = {
+  name: 'coingecko',
+  listMarkets,
+  getCoin,
+  getHistoricalPrices,
+  getCandles,
+  search,
+  getTrending,
+  getExchangeRates,
+};
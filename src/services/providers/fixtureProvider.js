@@ -0,0 +1,299 @@
+/**
+ * Fixture Market Data Provider
+ * Serves market data from JSON files on disk so the backend can run offline
+ * and in tests without touching any upstream API
+ *
+ * Directory layout (MARKET_DATA_FIXTURES_DIR, default: fixtures/market-data):
+ *   markets.json        - Array of market summaries (same shape as listMarkets)
+ *   trending.json       - Array of coin ids, in trending order
+ *   coins/<id>.json     - Coin detail (same shape as getCoin)
+ *   candles/<id>/<interval>.json
+ *                       - { "candles": [[timestamp, open, high, low, close, volume], ...] }
+ *                         oldest first; intervals without a file are resampled from 1h.json
+ *   exchange_rates.json - Map of currency code -> units per 1 BTC
+ *
+ * Fixture prices are in USD. Other fiat quotes are converted at the fixture
+ * exchange rate; crypto quotes (btc, eth) divide by that coin's candles so
+ * price history in coin terms stays accurate.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { DAY_MS, getIntervalMs, resampleCandles } = require('../../utils/candles');
+const { QUOTE_COIN_IDS } = require('../../utils/quotes');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', '..', 'fixtures', 'market-data');
+
+// Currency the fixture files are priced in
+const FIXTURE_QUOTE = 'usd';
+
+// Money-valued fields of market summaries and coin details
+const PRICE_FIELDS = ['currentPrice', 'marketCap', 'volume24h', 'ath', 'atl'];
+
+/**
+ * Resolve the fixtures directory
+ * Read on every call so tests can point the provider at their own data
+ * @returns {string} Absolute path to the fixtures directory
+ */
+function getFixturesDir() {
+  return path.resolve(process.env.MARKET_DATA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+/**
+ * Read and parse a fixture file
+ * @param {...string} segments - Path segments relative to the fixtures directory
+ * @returns {Promise<any>} Parsed JSON content
+ */
+async function readFixture(...segments) {
+  const filePath = path.join(getFixturesDir(), ...segments);
+
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      const notFound = new Error(`Fixture not found: ${segments.join('/')}`);
+      notFound.status = 404;
+      throw notFound;
+    }
+    throw new Error(`Failed to read fixture ${segments.join('/')}: ${error.message}`);
+  }
+}
+
+/**
+ * Guard against ids escaping the fixtures directory
+ * @param {string} cryptoId - Requested coin id
+ * @returns {string} Safe file name for the coin
+ */
+function toFixtureName(cryptoId) {
+  return `${path.basename(String(cryptoId).toLowerCase())}.json`;
+}
+
+/**
+ * Get exchange rates from exchange_rates.json
+ * @returns {Promise<Object>} Map of currency code -> units per 1 BTC
+ */
+async function getExchangeRates() {
+  return readFixture('exchange_rates.json');
+}
+
+/**
+ * Get the spot rate from the fixture currency to a quote
+ * @param {string} quote - Quote currency
+ * @returns {Promise<number>} Quote units per fixture currency unit
+ */
+async function getSpotRate(quote) {
+  if (quote === FIXTURE_QUOTE) {
+    return 1;
+  }
+
+  const rates = await getExchangeRates();
+
+  if (!rates[quote] || !rates[FIXTURE_QUOTE]) {
+    const error = new Error(`No fixture exchange rate for ${quote}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return rates[quote] / rates[FIXTURE_QUOTE];
+}
+
+/**
+ * Convert the money-valued fields of a market summary or coin detail
+ * @param {Object} item - Market summary or coin detail priced in FIXTURE_QUOTE
+ * @param {number} rate - Spot rate from getSpotRate
+ * @param {string} quote - Quote currency
+ * @returns {Object} Converted copy tagged with the quote
+ */
+function convertPriceFields(item, rate, quote) {
+  const converted = { ...item, quote };
+
+  for (const field of PRICE_FIELDS) {
+    if (typeof item[field] === 'number') {
+      converted[field] = item[field] * rate;
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * List markets from markets.json
+ * @param {number} limit - Number of markets to return
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array>} Market summaries
+ */
+async function listMarkets(limit = 250, quote = FIXTURE_QUOTE) {
+  const [markets, rate] = await Promise.all([readFixture('markets.json'), getSpotRate(quote)]);
+  return markets.slice(0, limit).map(crypto => convertPriceFields(crypto, rate, quote));
+}
+
+/**
+ * Get coin detail from coins/<id>.json
+ * @param {string} cryptoId - Coin id
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Object>} Coin detail
+ */
+async function getCoin(cryptoId, quote = FIXTURE_QUOTE) {
+  const [coin, rate] = await Promise.all([
+    readFixture('coins', toFixtureName(cryptoId)),
+    getSpotRate(quote),
+  ]);
+  return convertPriceFields(coin, rate, quote);
+}
+
+/**
+ * Load all candles of an interval for a coin
+ * Falls back to resampling the hourly fixture when no file exists for the interval
+ * @param {string} cryptoId - Coin id
+ * @param {string} interval - Candle interval (1h, 4h, 1d)
+ * @returns {Promise<Array<Object>>} Candles, oldest first
+ */
+async function loadCandles(cryptoId, interval) {
+  const coinDir = path.basename(String(cryptoId).toLowerCase());
+  let fixture;
+  let sourceInterval = interval;
+
+  try {
+    fixture = await readFixture('candles', coinDir, `${interval}.json`);
+  } catch (error) {
+    if (error.status !== 404 || interval === '1h') throw error;
+    fixture = await readFixture('candles', coinDir, '1h.json');
+    sourceInterval = '1h';
+  }
+
+  const candles = (fixture.candles || []).map(([timestamp, open, high, low, close, volume]) => ({
+    timestamp,
+    open,
+    high,
+    low,
+    close,
+    volume,
+  }));
+
+  return sourceInterval === interval ? candles : resampleCandles(candles, interval);
+}
+
+/**
+ * Convert candles from the fixture currency to a quote
+ * Crypto quotes use the quote coin's candle at the same timestamp;
+ * candles without a matching quote candle are dropped
+ * @param {Array<Object>} candles - Candles priced in FIXTURE_QUOTE
+ * @param {string} interval - Candle interval
+ * @param {string} quote - Quote currency
+ * @returns {Promise<Array<Object>>} Converted candles
+ */
+async function convertCandles(candles, interval, quote) {
+  if (quote === FIXTURE_QUOTE) {
+    return candles;
+  }
+
+  const scale = (candle, factor) => ({
+    ...candle,
+    open: candle.open * factor,
+    high: candle.high * factor,
+    low: candle.low * factor,
+    close: candle.close * factor,
+    volume: candle.volume * factor,
+    ...(candle.marketCap !== undefined && { marketCap: candle.marketCap * factor }),
+  });
+
+  if (!QUOTE_COIN_IDS[quote]) {
+    const rate = await getSpotRate(quote);
+    return candles.map(candle => scale(candle, rate));
+  }
+
+  const quoteCandles = await loadCandles(QUOTE_COIN_IDS[quote], interval);
+  const quoteCloses = new Map(quoteCandles.map(candle => [candle.timestamp, candle.close]));
+
+  return candles
+    .filter(candle => quoteCloses.has(candle.timestamp))
+    .map(candle => scale(candle, 1 / quoteCloses.get(candle.timestamp)));
+}
+
+/**
+ * Get OHLCV candles covering the last `days` days of the fixture
+ * @param {string} cryptoId - Coin id
+ * @param {number} days - Number of days of history
+ * @param {string} interval - Candle interval (1h, 4h, 1d)
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array<Object>>} Candles, oldest first
+ */
+async function getCandles(cryptoId, days = 30, interval = '1d', quote = FIXTURE_QUOTE) {
+  getIntervalMs(interval);
+
+  const candles = await convertCandles(await loadCandles(cryptoId, interval), interval, quote);
+  if (candles.length === 0) return [];
+
+  // Fixtures are static, so "now" is the end of the fixture
+  const cutoff = candles[candles.length - 1].timestamp - Math.min(days, 365) * DAY_MS;
+  return candles.filter(candle => candle.timestamp >= cutoff);
+}
+
+/**
+ * Get daily close prices from the daily candle fixture
+ * @param {string} cryptoId - Coin id
+ * @param {number} days - Number of days of history
+ * @param {string} quote - Quote currency (default: usd)
+ * @returns {Promise<Array>} Array of [timestamp, price] pairs
+ */
+async function getHistoricalPrices(cryptoId, days = 30, quote = FIXTURE_QUOTE) {
+  const candles = await getCandles(cryptoId, days, '1d', quote);
+  return candles.map(candle => [candle.timestamp, candle.close]);
+}
+
+/**
+ * Search markets.json by id, symbol or name
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Matching coins
+ */
+async function search(query) {
+  const needle = String(query).toLowerCase();
+  const markets = await readFixture('markets.json');
+
+  return markets
+    .filter(crypto =>
+      crypto.id.toLowerCase().includes(needle) ||
+      crypto.symbol.toLowerCase().includes(needle) ||
+      crypto.name.toLowerCase().includes(needle)
+    )
+    .map(crypto => ({
+      id: crypto.id,
+      symbol: crypto.symbol,
+      name: crypto.name,
+      thumb: crypto.thumb || null,
+    }));
+}
+
+/**
+ * Get trending coins listed in trending.json
+ * @returns {Promise<Array>} Trending coins
+ */
+async function getTrending() {
+  const [trendingIds, markets] = await Promise.all([
+    readFixture('trending.json'),
+    readFixture('markets.json'),
+  ]);
+
+  return trendingIds
+    .map(id => markets.find(crypto => crypto.id === id))
+    .filter(Boolean)
+    .map(crypto => ({
+      id: crypto.id,
+      symbol: crypto.symbol,
+      name: crypto.name,
+      marketCapRank: crypto.marketCapRank,
+      thumb: crypto.thumb || null,
+    }));
+}
+
+module.exports = {
+  name: 'fixture',
+  listMarkets,
+  getCoin,
+  getHistoricalPrices,
+  getCandles,
+  search,
+  getTrending,
+  getExchangeRates,
+};
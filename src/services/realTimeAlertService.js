@@ -4,7 +4,7 @@
  * Provides intelligent alerting system for:
  * - Price breakouts and support/resistance levels
  * - Technical indicator signals (RSI, MACD, Bollinger Bands)
- * - Sentiment shifts and news-based alerts
+ * - Sentiment shifts and news events (hacks, listings, regulation, ETFs, partnerships)
  * - Portfolio risk warnings
  * - Anomaly detection in trading patterns
  * - Custom user-defined alerts
@@ -169,7 +169,7 @@ class RealTimeAlertService {
         return this.checkBollingerBand(data, condition);
 
       case this.alertTypes.SENTIMENT_SHIFT:
-        return this.checkSentimentShift(data, threshold);
+        return this.checkSentimentShift(data, threshold, condition);
 
       case this.alertTypes.VOLUME_SPIKE:
         return this.checkVolumeSpike(data, threshold);
@@ -262,8 +262,17 @@ class RealTimeAlertService {
 
   /**
    * Check for sentiment shift
+   * Conditions 'zscore' and 'momentum' compare the sentiment time series' sentimentZScore or
+   * sentimentMomentum (see GET /api/sentiment/:symbol/series; POST /api/alerts/check fills
+   * them in from the series) to the threshold; otherwise the change from previousSentiment
+   * is used
    */
-  checkSentimentShift(data, threshold = 0.3) {
+  checkSentimentShift(data, threshold = 0.3, condition) {
+    if (condition === 'zscore' || condition === 'momentum') {
+      const value = condition === 'zscore' ? data.sentimentZScore : data.sentimentMomentum;
+      return Number.isFinite(value) && Math.abs(value) > threshold;
+    }
+
     const { sentiment, previousSentiment } = data;
 
     if (!previousSentiment) return false;
@@ -273,6 +282,63 @@ class RealTimeAlertService {
     return sentimentChange > threshold;
   }
 
+  /**
+   * Check a newly stored news article against news alerts
+   * A news_alert alert matches when its cryptoId is one of the article's mentioned tickers (or
+   * '*' for any), its condition is one of the article's event types (or 'any'), and that event's
+   * severity is at least the alert's threshold (default: high)
+   *
+   * @param {Object} article - Article with title, url, source, publishedAt, mentions and events
+   * @returns {Array} Triggered alerts
+   */
+  checkNewsEvent(article) {
+    const levels = Object.values(this.severityLevels).reverse(); // low to critical
+    const mentions = (article.mentions || []).map(symbol => symbol.toUpperCase());
+    const triggeredAlerts = [];
+
+    for (const [, alert] of this.alerts) {
+      if (!alert.isActive || alert.type !== this.alertTypes.NEWS_ALERT) continue;
+
+      const cryptoId = String(alert.cryptoId).toUpperCase();
+      if (cryptoId !== '*' && !mentions.includes(cryptoId)) continue;
+
+      const minimum = levels.includes(alert.threshold) ? alert.threshold : this.severityLevels.HIGH;
+      const event = (article.events || []).find(candidate => (
+        (alert.condition === 'any' || alert.condition === candidate.type)
+        && levels.indexOf(candidate.severity) >= levels.indexOf(minimum)
+      ));
+      if (!event) continue;
+
+      alert.triggerCount++;
+      alert.lastTriggered = new Date().toISOString();
+
+      const notification = {
+        alertId: alert.id,
+        cryptoId: alert.cryptoId,
+        type: alert.type,
+        severity: alert.severity,
+        description: alert.description,
+        message: `${event.severity.toUpperCase()} ${event.type} news for ${cryptoId === '*' ? mentions.join(', ') : cryptoId}: ${article.title}`,
+        event,
+        article: {
+          title: article.title,
+          url: article.url,
+          source: article.source,
+          publishedAt: article.publishedAt
+        },
+        timestamp: new Date().toISOString(),
+        actionRequired: alert.severity === this.severityLevels.CRITICAL || event.severity === this.severityLevels.CRITICAL,
+        recommendedAction: this.getRecommendedAction(alert, {})
+      };
+
+      triggeredAlerts.push(notification);
+      this.addToHistory(notification);
+      this.sendNotifications(alert, notification);
+    }
+
+    return triggeredAlerts;
+  }
+
   /**
    * Check for volume spike
    */
@@ -412,6 +478,10 @@ class RealTimeAlertService {
       case this.alertTypes.SENTIMENT_SHIFT:
         return 'Sentiment changed: Review news and market conditions';
         break;
+
+      case this.alertTypes.NEWS_ALERT:
+        return 'Market-moving news: Review exposure before the market prices it in';
+        break;
     }
 
     return 'Review market conditions and confirm with other indicators';
@@ -568,13 +638,13 @@ class RealTimeAlertService {
       },
       {
         type: this.alertTypes.SENTIMENT_SHIFT,
-        description: "Alert when sentiment shifts beyond a threshold",
-        parameters: ["cryptoId", "threshold", "severity", "notificationChannels"]
+        description: "Alert when sentiment shifts beyond a threshold (condition: zscore or momentum to use the sentiment time series)",
+        parameters: ["cryptoId", "condition", "threshold", "severity", "notificationChannels"]
       },
       {
         type: this.alertTypes.NEWS_ALERT,
-        description: "Alert for high-impact news events (if integrated)",
-        parameters: ["cryptoId", "severity", "notificationChannels"]
+        description: "Alert when a stored news article mentioning the coin (cryptoId: ticker, or * for any) is classified as an event (condition: hack, listing, regulation, etf, partnership or any) of at least the threshold severity (default: high)",
+        parameters: ["cryptoId", "condition", "threshold", "severity", "notificationChannels"]
       },
       {
         type: this.alertTypes.VOLUME_SPIKE,
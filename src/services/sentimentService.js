@@ -0,0 +1,632 @@
+/**
+ * Sentiment Service
+ * Aggregates stored Sentiment records (news, manual, social) into a single score
+ * used by the prediction pipeline, and analyzes texts in batches
+ *
+ * Each record in the window is weighted by:
+ * - its source's reliability (SENTIMENT_SOURCE_WEIGHTS, then the news source registry, then the
+ *   built-in defaults; unknown sources use `default`)
+ * - its confidence (0-1)
+ * - its age, halving every SENTIMENT_HALF_LIFE_HOURS
+ *
+ * The weighted mean is shrunk toward neutral by a prior of SENTIMENT_PRIOR_WEIGHT, so a
+ * single low-confidence record cannot swing the score on its own.
+ *
+ * Configuration (environment variables):
+ * - SENTIMENT_WINDOW_HOURS: How far back records are considered (default: 72)
+ * - SENTIMENT_HALF_LIFE_HOURS: Age at which a record counts half (default: 24)
+ * - SENTIMENT_PRIOR_WEIGHT: Weight of the neutral prior (default: 1)
+ * - SENTIMENT_MAX_RECORDS: Most recent records considered (default: 500)
+ * - SENTIMENT_SOURCE_WEIGHTS: JSON map of source -> reliability (0-1), merged into the defaults
+ * - SENTIMENT_BATCH_SIZE: Texts per sentiment model call in batch analysis (default: 16)
+ * - SENTIMENT_BATCH_CONCURRENCY: Model calls in flight in batch analysis (default: 2)
+ * - SENTIMENT_BATCH_MAX_TEXTS: Most texts accepted by one batch request (default: 500)
+ * - SENTIMENT_BASELINE_BUCKETS: Buckets in the rolling baseline of the time series (default: 24)
+ * - SENTIMENT_MOMENTUM_BUCKETS: Buckets over which sentiment momentum is measured (default: 3)
+ * - SENTIMENT_SHIFT_ZSCORE: z-score at which the latest bucket counts as a shift (default: 2)
+ * - SENTIMENT_MOMENTUM_WEIGHT: How much hourly momentum moves the prediction sentiment score
+ *   (default: 0, levels only)
+ *
+ * Texts that mention several coins are scored per coin (entity sentiment): each mention is
+ * scored from the clause around it, so "ETH soars as SOL outage drags market" is positive
+ * for ETH and negative for SOL instead of one mixed score for both.
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const aiService = require('./aiService');
+const newsSourceService = require('./newsSourceService');
+const { findCryptoMentions } = require('../utils/cryptoMentions');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time series bucket lengths
+const SERIES_INTERVALS = {
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS,
+};
+const SERIES_MAX_BUCKETS = 2000;
+const SERIES_SCAN_LIMIT = 50000;
+
+// Fewest non-empty baseline buckets needed for a z-score
+const SERIES_MIN_BASELINE = 3;
+
+// Floors on baseline deviations, so a flat baseline does not turn small moves into huge z-scores
+const SERIES_MIN_SENTIMENT_STD = 0.05;
+const SERIES_MIN_VOLUME_STD = 1;
+
+// Longest supporting span stored with an entity sentiment
+const SPAN_MAX_LENGTH = 500;
+
+// Sentence boundaries, and the punctuation and conjunctions that separate clauses within one
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+const CLAUSE_BREAK = /\s*[,;:\u2013\u2014|]\s*|\s+-\s+|\s+(?:as|while|but|whereas|although|though|however|yet|after|despite|amid)\s+/i;
+
+// Reliability of common sources; keys are lowercase source names
+const DEFAULT_SOURCE_WEIGHTS = {
+  manual: 1,
+  news: 0.8,
+  coindesk: 0.9,
+  'the block': 0.85,
+  cointelegraph: 0.8,
+  twitter: 0.4,
+  reddit: 0.4,
+  social: 0.4,
+  default: 0.6,
+};
+
+/**
+ * Read aggregation configuration from the environment
+ * @param {Object} registryWeights - Reliability of registered news sources (lowercase name ->
+ *   weight), overriding the defaults; SENTIMENT_SOURCE_WEIGHTS overrides both
+ * @returns {Object} Aggregation configuration
+ */
+function getConfig(registryWeights = {}) {
+  let sourceWeights = {};
+
+  try {
+    sourceWeights = JSON.parse(process.env.SENTIMENT_SOURCE_WEIGHTS || '{}');
+  } catch (error) {
+    console.warn('Ignoring invalid SENTIMENT_SOURCE_WEIGHTS:', error.message);
+  }
+
+  const priorWeight = parseFloat(process.env.SENTIMENT_PRIOR_WEIGHT);
+
+  return {
+    windowHours: parseInt(process.env.SENTIMENT_WINDOW_HOURS) || 72,
+    halfLifeHours: parseFloat(process.env.SENTIMENT_HALF_LIFE_HOURS) || 24,
+    priorWeight: Number.isNaN(priorWeight) ? 1 : Math.max(priorWeight, 0),
+    maxRecords: parseInt(process.env.SENTIMENT_MAX_RECORDS) || 500,
+    batchSize: parseInt(process.env.SENTIMENT_BATCH_SIZE) || 16,
+    batchConcurrency: parseInt(process.env.SENTIMENT_BATCH_CONCURRENCY) || 2,
+    batchMaxTexts: parseInt(process.env.SENTIMENT_BATCH_MAX_TEXTS) || 500,
+    baselineBuckets: parseInt(process.env.SENTIMENT_BASELINE_BUCKETS) || 24,
+    momentumBuckets: parseInt(process.env.SENTIMENT_MOMENTUM_BUCKETS) || 3,
+    shiftZScore: parseFloat(process.env.SENTIMENT_SHIFT_ZSCORE) || 2,
+    momentumWeight: Math.max(parseFloat(process.env.SENTIMENT_MOMENTUM_WEIGHT) || 0, 0),
+    sourceWeights: {
+      ...DEFAULT_SOURCE_WEIGHTS,
+      ...registryWeights,
+      ...Object.fromEntries(
+        Object.entries(sourceWeights).map(([source, weight]) => [source.toLowerCase(), Number(weight)])
+      ),
+    },
+  };
+}
+
+/**
+ * Get the reliability weight of a sentiment source
+ * @param {string} source - Source name (news, manual, CoinDesk, twitter, ...)
+ * @param {Object} sourceWeights - Map of lowercase source -> reliability
+ * @returns {number} Reliability between 0 and 1
+ */
+function getSourceWeight(source, sourceWeights) {
+  const weight = sourceWeights[String(source || '').toLowerCase()];
+  return Number.isFinite(weight) ? weight : sourceWeights.default;
+}
+
+/**
+ * Aggregate sentiment records into a time-decayed, reliability-weighted score
+ * @param {Array} records - Sentiment records with id, source, sentiment (-1 to 1), confidence, createdAt
+ * @param {Object} config - Aggregation configuration
+ * @param {number} now - Reference time (ms)
+ * @returns {Object} Aggregate with score (0-1, 0.5 = neutral), rawSentiment (-1 to 1),
+ *   per-source breakdown and each record's share of the total weight
+ */
+function aggregateRecords(records, config, now = Date.now()) {
+  const weighted = records
+    .map(record => {
+      const ageHours = Math.max(now - new Date(record.createdAt).getTime(), 0) / HOUR_MS;
+      const decay = Math.pow(0.5, ageHours / config.halfLifeHours);
+      const confidence = Math.max(0, Math.min(1, record.confidence ?? 0.5));
+      const sentiment = Math.max(-1, Math.min(1, record.sentiment));
+
+      return {
+        record,
+        sentiment,
+        weight: getSourceWeight(record.source, config.sourceWeights) * confidence * decay,
+      };
+    })
+    .filter(entry => entry.weight > 0);
+
+  const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+  const rawSentiment = totalWeight > 0
+    ? weighted.reduce((sum, entry) => sum + entry.weight * entry.sentiment, 0) / totalWeight
+    : 0;
+
+  // Shrink toward neutral when there is little evidence
+  const evidence = totalWeight + config.priorWeight;
+  const sentiment = evidence > 0 ? rawSentiment * (totalWeight / evidence) : 0;
+
+  const bySource = {};
+  for (const entry of weighted) {
+    const source = entry.record.source || 'unknown';
+    bySource[source] = bySource[source] || { count: 0, weight: 0, sentiment: 0 };
+    bySource[source].count += 1;
+    bySource[source].weight += entry.weight;
+    bySource[source].sentiment += entry.weight * entry.sentiment;
+  }
+  for (const summary of Object.values(bySource)) {
+    summary.sentiment = summary.sentiment / summary.weight;
+    summary.share = summary.weight / totalWeight;
+  }
+
+  return {
+    score: 0.5 + sentiment / 2,
+    sentiment,
+    rawSentiment,
+    count: weighted.length,
+    totalWeight,
+    bySource,
+    contributions: weighted.map(entry => ({
+      sentimentId: entry.record.id,
+      source: entry.record.source,
+      sentiment: entry.sentiment,
+      weight: entry.weight / totalWeight,
+    })),
+  };
+}
+
+/**
+ * Aggregate stored sentiment for a cryptocurrency
+ * @param {string} symbol - Cryptocurrency ticker
+ * @param {Object} options - { now } reference time (default: now)
+ * @returns {Promise<Object>} Aggregate sentiment (see aggregateRecords) with the window used;
+ *   neutral with no contributions when nothing is stored
+ */
+async function aggregateSentiment(symbol, options = {}) {
+  const prisma = getPrismaClient();
+  const config = getConfig(await newsSourceService.getSourceWeights());
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+
+  const records = await prisma.sentiment.findMany({
+    where: {
+      crypto: { symbol },
+      createdAt: {
+        gte: new Date(now - config.windowHours * HOUR_MS),
+        lte: new Date(now),
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: config.maxRecords,
+  });
+
+  return {
+    symbol,
+    windowHours: config.windowHours,
+    halfLifeHours: config.halfLifeHours,
+    ...aggregateRecords(records, config, now),
+  };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Mean and population standard deviation of a list of numbers
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {Object} { mean, std }
+ */
+function meanAndStd(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Get a bucketed sentiment time series for a cryptocurrency
+ *
+ * Each bucket has the plain and the reliability-weighted mean sentiment of its records, the
+ * number of records (mention volume) and the count per source. Against the rolling baseline of
+ * the preceding buckets it also gets:
+ * - momentum: change in sentiment over the last `momentum` buckets (empty buckets carry the last
+ *   value forward)
+ * - zScore: how far the bucket's sentiment is from the baseline mean, in baseline deviations
+ * - volumeZScore: the same for the number of records
+ * @param {string} symbol - Cryptocurrency ticker
+ * @param {Object} options - Series options
+ * @param {string} options.interval - hour or day (default: hour)
+ * @param {Date|string} options.from - Start of the window (default: `days` before `to`)
+ * @param {Date|string} options.to - End of the window (default: now)
+ * @param {number} options.days - Window length when `from` is not given (default: 2 hourly, 30 daily)
+ * @param {number} options.baseline - Buckets in the rolling baseline (default: SENTIMENT_BASELINE_BUCKETS, at most 2000)
+ * @param {number} options.momentum - Buckets momentum is measured over (default: SENTIMENT_MOMENTUM_BUCKETS, at most 2000)
+ * @returns {Promise<Object|null>} Window, buckets and the latest bucket's shift, or null when the
+ *   symbol is unknown
+ */
+async function getSentimentSeries(symbol, options = {}) {
+  const config = getConfig(await newsSourceService.getSourceWeights());
+  const interval = options.interval || 'hour';
+  const bucketMs = SERIES_INTERVALS[interval];
+
+  if (!bucketMs) {
+    const error = new Error(`interval must be one of: ${Object.keys(SERIES_INTERVALS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const days = parseFloat(options.days) || (interval === 'hour' ? 2 : 30);
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - days * 24 * HOUR_MS);
+  const baseline = Math.max(parseInt(options.baseline) || config.baselineBuckets, SERIES_MIN_BASELINE);
+  const momentum = Math.max(parseInt(options.momentum) || config.momentumBuckets, 1);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    const error = new Error('from and to must be valid dates with from before to');
+    error.status = 400;
+    throw error;
+  }
+
+  if (baseline > SERIES_MAX_BUCKETS || momentum > SERIES_MAX_BUCKETS) {
+    const error = new Error(`baseline and momentum must be at most ${SERIES_MAX_BUCKETS} buckets`);
+    error.status = 400;
+    throw error;
+  }
+
+  const start = Math.floor(from.getTime() / bucketMs) * bucketMs;
+  const bucketCount = Math.floor((to.getTime() - start) / bucketMs) + 1;
+
+  if (bucketCount > SERIES_MAX_BUCKETS) {
+    const error = new Error(`At most ${SERIES_MAX_BUCKETS} buckets per series; use a shorter window or a longer interval`);
+    error.status = 400;
+    throw error;
+  }
+
+  const prisma = getPrismaClient();
+  const crypto = await prisma.cryptocurrency.findUnique({
+    where: { symbol },
+  });
+
+  if (!crypto) {
+    return null;
+  }
+
+  // Load the baseline buckets before the window too
+  const loadStart = start - baseline * bucketMs;
+  const records = await prisma.sentiment.findMany({
+    where: {
+      cryptoId: crypto.id,
+      createdAt: {
+        gte: new Date(loadStart),
+        lte: to,
+      },
+    },
+    select: { sentiment: true, confidence: true, source: true, createdAt: true },
+    orderBy: { createdAt: 'asc' },
+    take: SERIES_SCAN_LIMIT,
+  });
+
+  const buckets = Array.from({ length: baseline + bucketCount }, (_, index) => ({
+    start: loadStart + index * bucketMs,
+    count: 0,
+    sum: 0,
+    weightedSum: 0,
+    weight: 0,
+    sources: {},
+  }));
+
+  for (const record of records) {
+    const bucket = buckets[Math.floor((new Date(record.createdAt).getTime() - loadStart) / bucketMs)];
+    if (!bucket) continue;
+
+    const sentiment = Math.max(-1, Math.min(1, record.sentiment));
+    const weight = getSourceWeight(record.source, config.sourceWeights) *
+      Math.max(0, Math.min(1, record.confidence ?? 0.5));
+    const source = record.source || 'unknown';
+
+    bucket.count += 1;
+    bucket.sum += sentiment;
+    bucket.weightedSum += weight * sentiment;
+    bucket.weight += weight;
+    bucket.sources[source] = (bucket.sources[source] || 0) + 1;
+  }
+
+  // Sentiment per bucket, carried forward over empty buckets for momentum
+  let lastSentiment = null;
+  const sentiments = buckets.map(bucket => (bucket.count > 0 ? bucket.sum / bucket.count : null));
+  const carried = sentiments.map(sentiment => {
+    lastSentiment = sentiment === null ? lastSentiment : sentiment;
+    return lastSentiment;
+  });
+
+  const series = [];
+  for (let index = baseline; index < buckets.length; index++) {
+    const bucket = buckets[index];
+    const sentiment = sentiments[index];
+    const window = sentiments.slice(index - baseline, index).filter(value => value !== null);
+    const volumes = buckets.slice(index - baseline, index).map(previous => previous.count);
+
+    let zScore = null;
+    if (sentiment !== null && window.length >= SERIES_MIN_BASELINE) {
+      const { mean, std } = meanAndStd(window);
+      zScore = (sentiment - mean) / Math.max(std, SERIES_MIN_SENTIMENT_STD);
+    }
+
+    const volumeBaseline = meanAndStd(volumes);
+    const previous = carried[index - momentum];
+
+    series.push({
+      start: new Date(bucket.start),
+      end: new Date(bucket.start + bucketMs),
+      count: bucket.count,
+      sentiment: round(sentiment),
+      weightedSentiment: round(bucket.weight > 0 ? bucket.weightedSum / bucket.weight : null),
+      sources: bucket.sources,
+      momentum: round(carried[index] !== null && previous !== null && previous !== undefined
+        ? carried[index] - previous
+        : null),
+      zScore: round(zScore),
+      volumeZScore: round((bucket.count - volumeBaseline.mean) / Math.max(volumeBaseline.std, SERIES_MIN_VOLUME_STD)),
+      baselineSize: window.length,
+    });
+  }
+
+  const latest = series[series.length - 1];
+  let shift = 'NONE';
+  if (latest.zScore !== null && latest.zScore >= config.shiftZScore) shift = 'POSITIVE';
+  else if (latest.zScore !== null && latest.zScore <= -config.shiftZScore) shift = 'NEGATIVE';
+
+  return {
+    symbol,
+    interval,
+    from: new Date(start),
+    to,
+    baselineBuckets: baseline,
+    momentumBuckets: momentum,
+    count: series.length,
+    truncated: records.length === SERIES_SCAN_LIMIT,
+    latest: {
+      start: latest.start,
+      sentiment: latest.sentiment,
+      momentum: latest.momentum,
+      zScore: latest.zScore,
+      volumeZScore: latest.volumeZScore,
+      shift,
+    },
+    data: series,
+  };
+}
+
+/**
+ * Get the current hourly sentiment shift for a cryptocurrency
+ * @param {string} symbol - Cryptocurrency ticker
+ * @param {Object} options - { now } reference time (default: now)
+ * @returns {Promise<Object|null>} Latest bucket's { sentiment, momentum, zScore, volumeZScore,
+ *   shift }, or null when the symbol is unknown or the series cannot be loaded
+ */
+async function getSentimentShift(symbol, options = {}) {
+  try {
+    const to = options.now ? new Date(options.now) : new Date();
+    const series = await getSentimentSeries(symbol, {
+      interval: 'hour',
+      from: new Date(to.getTime() - HOUR_MS),
+      to,
+    });
+
+    return series && { interval: series.interval, ...series.latest };
+  } catch (error) {
+    console.warn(`Could not load sentiment shift for ${symbol}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Tilt an aggregate sentiment score by sentiment momentum
+ * @param {number} score - Aggregate sentiment score (0-1)
+ * @param {Object|null} shift - Result of getSentimentShift
+ * @param {Object} config - Configuration with momentumWeight
+ * @returns {number} Score (0-1) moved by momentumWeight * momentum, on the 0-1 scale
+ */
+function applyMomentum(score, shift, config) {
+  if (!shift || shift.momentum === null || config.momentumWeight === 0) {
+    return score;
+  }
+
+  return Math.max(0, Math.min(1, score + config.momentumWeight * shift.momentum / 2));
+}
+
+/**
+ * Analyze the sentiment of many texts, optionally storing the results
+ * @param {Array<Object>} items - { text, symbol } where symbol is a ticker (needed to store)
+ * @param {Object} options - { store } to save a Sentiment record per text,
+ *   { source } for stored records (default: manual)
+ * @returns {Promise<Object>} { results, stored } where results are in input order and
+ *   stored is { count, bySymbol, unknownSymbols } (null when not storing)
+ */
+async function analyzeBatch(items, options = {}) {
+  const config = getConfig();
+
+  if (items.length > config.batchMaxTexts) {
+    const error = new Error(`At most ${config.batchMaxTexts} texts can be analyzed per request`);
+    error.status = 400;
+    throw error;
+  }
+
+  const analyses = await aiService.analyzeSentimentBatch(items.map(item => item.text), {
+    batchSize: config.batchSize,
+    concurrency: config.batchConcurrency,
+  });
+
+  const results = items.map((item, index) => ({
+    index,
+    symbol: item.symbol || null,
+    ...analyses[index],
+  }));
+
+  if (!options.store) {
+    return { results, stored: null };
+  }
+
+  const prisma = getPrismaClient();
+  const stored = { count: 0, bySymbol: {}, unknownSymbols: [] };
+  const symbols = [...new Set(results.map(result => result.symbol).filter(Boolean))];
+
+  for (const symbol of symbols) {
+    const crypto = await prisma.cryptocurrency.findUnique({
+      where: { symbol },
+    });
+
+    if (!crypto) {
+      stored.unknownSymbols.push(symbol);
+      continue;
+    }
+
+    const { count } = await prisma.sentiment.createMany({
+      data: results
+        .filter(result => result.symbol === symbol)
+        .map(result => ({
+          cryptoId: crypto.id,
+          text: items[result.index].text,
+          sentiment: result.sentiment,
+          confidence: result.confidence,
+          source: options.source || 'manual',
+        })),
+    });
+
+    stored.bySymbol[symbol] = count;
+    stored.count += count;
+  }
+
+  return { results, stored };
+}
+
+/**
+ * Split a text into sentences and each sentence into clauses
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Sentences as { text, clauses }, skipping empty ones
+ */
+function splitClauses(text) {
+  return String(text || '')
+    .split(SENTENCE_BREAK)
+    .map(sentence => sentence.trim())
+    .filter(Boolean)
+    .map(sentence => ({
+      text: sentence,
+      clauses: sentence.split(CLAUSE_BREAK).map(clause => clause.trim()).filter(Boolean),
+    }));
+}
+
+/**
+ * Score the sentiment of each cryptocurrency mentioned in a text
+ *
+ * Each mention is scored with the lexicon analyzer on the clause that contains it. When that
+ * clause carries no sentiment and its sentence mentions no other coin, the whole sentence is
+ * used instead. A coin mentioned several times averages its non-neutral contexts.
+ * @param {string} text - Text to analyze
+ * @returns {Array<Object>} Per coin, in order of first mention: { symbol, sentiment (-1 to 1),
+ *   confidence, label, span (the text the score is based on), mentions }
+ */
+function analyzeEntitySentiment(text) {
+  const entities = new Map();
+
+  for (const sentence of splitClauses(text)) {
+    const sentenceSymbols = new Set(findCryptoMentions(sentence.text).map(mention => mention.symbol));
+    if (sentenceSymbols.size === 0) continue;
+
+    for (const clause of sentence.clauses) {
+      const clauseMentions = findCryptoMentions(clause);
+      const clauseAnalysis = clauseMentions.length > 0 ? aiService.analyzeSentimentSimple(clause) : null;
+
+      for (const symbol of new Set(clauseMentions.map(mention => mention.symbol))) {
+        let context = { text: clause, ...clauseAnalysis };
+
+        if (clauseAnalysis.sentiment === 0 && sentenceSymbols.size === 1 && sentence.clauses.length > 1) {
+          context = { text: sentence.text, ...aiService.analyzeSentimentSimple(sentence.text) };
+        }
+
+        const entity = entities.get(symbol) || { symbol, mentions: 0, contexts: [] };
+        entity.mentions += clauseMentions.filter(mention => mention.symbol === symbol).length;
+        if (!entity.contexts.some(existing => existing.text === context.text)) {
+          entity.contexts.push(context);
+        }
+        entities.set(symbol, entity);
+      }
+    }
+  }
+
+  return [...entities.values()].map(({ symbol, mentions, contexts }) => {
+    const scored = contexts.filter(context => context.sentiment !== 0);
+    const used = scored.length > 0 ? scored : contexts.slice(0, 1);
+    const sentiment = scored.reduce((sum, context) => sum + context.sentiment, 0) / (scored.length || 1);
+    const confidence = scored.reduce((sum, context) => sum + context.confidence, 0) / (scored.length || 1);
+
+    return {
+      symbol,
+      sentiment,
+      confidence,
+      label: sentiment > 0 ? 'POSITIVE' : sentiment < 0 ? 'NEGATIVE' : 'NEUTRAL',
+      span: used.map(context => context.text).join(' … ').slice(0, SPAN_MAX_LENGTH),
+      mentions,
+    };
+  });
+}
+
+/**
+ * Store entity sentiments as one Sentiment record per coin
+ * @param {Array<Object>} entities - Results of analyzeEntitySentiment
+ * @param {Object} options - { text } the analyzed text (or its title) and { source } (default: manual)
+ * @returns {Promise<Object>} { records, unknownSymbols } for coins that are not tracked
+ */
+async function storeEntitySentiments(entities, options = {}) {
+  const prisma = getPrismaClient();
+  const records = [];
+  const unknownSymbols = [];
+
+  for (const entity of entities) {
+    const crypto = await prisma.cryptocurrency.findUnique({
+      where: { symbol: entity.symbol },
+    });
+
+    if (!crypto) {
+      unknownSymbols.push(entity.symbol);
+      continue;
+    }
+
+    records.push(await prisma.sentiment.create({
+      data: {
+        cryptoId: crypto.id,
+        text: options.text,
+        sentiment: entity.sentiment,
+        confidence: entity.confidence,
+        source: options.source || 'manual',
+        span: entity.span,
+      },
+    }));
+  }
+
+  return { records, unknownSymbols };
+}
+
+module.exports = {
+  getConfig,
+  getSourceWeight,
+  aggregateRecords,
+  aggregateSentiment,
+  getSentimentSeries,
+  getSentimentShift,
+  applyMomentum,
+  analyzeBatch,
+  splitClauses,
+  analyzeEntitySentiment,
+  storeEntitySentiments,
+};
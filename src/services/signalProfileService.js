@@ -0,0 +1,320 @@
+/**
+ * Signal Profile Service
+ * Named sets of factor weights and BUY/SELL thresholds used by generateTradingSignal
+ *
+ * Built-in profiles (balanced, conservative, momentum, sentiment-heavy) are seeded into
+ * the SignalProfile table and cannot be changed; custom profiles are created through
+ * the API. Every prediction records the profile it was generated with so accuracy can
+ * be compared across profiles.
+ *
+ * A profile is valid when its four weights are between 0 and 1 and sum to 1, and
+ * 0 < sellThreshold < buyThreshold < 1.
+ *
+ * Configuration (environment variables):
+ * - SIGNAL_PROFILE_DEFAULT: Profile used when a request does not name one (default: balanced)
+ */
+
+const { getPrismaClient } = require('../utils/db');
+const { DEFAULT_SIGNAL_PROFILE } = require('./aiService');
+
+const FACTORS = ['technical', 'sentiment', 'volume', 'trend'];
+
+// Allowed rounding error when checking that weights sum to 1
+const WEIGHT_TOLERANCE = 1e-6;
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+const BUILT_IN_PROFILES = [
+  {
+    name: 'balanced',
+    description: 'Original weighting of technical, sentiment, volume and trend',
+    ...DEFAULT_SIGNAL_PROFILE,
+  },
+  {
+    name: 'conservative',
+    description: 'Technical-led with wide thresholds; signals only on strong agreement',
+    weights: { technical: 0.45, sentiment: 0.2, volume: 0.15, trend: 0.2 },
+    thresholds: { buy: 0.72, sell: 0.28 },
+  },
+  {
+    name: 'momentum',
+    description: 'Follows price trend and volume with narrow thresholds',
+    weights: { technical: 0.35, sentiment: 0.1, volume: 0.25, trend: 0.3 },
+    thresholds: { buy: 0.62, sell: 0.38 },
+  },
+  {
+    name: 'sentiment-heavy',
+    description: 'Driven by aggregated news and social sentiment',
+    weights: { technical: 0.25, sentiment: 0.5, volume: 0.15, trend: 0.1 },
+    thresholds: { buy: 0.65, sell: 0.35 },
+  },
+];
+
+/**
+ * Get the name of the profile used when none is requested
+ * @returns {string} Profile name
+ */
+function getDefaultProfileName() {
+  return (process.env.SIGNAL_PROFILE_DEFAULT || 'balanced').toLowerCase();
+}
+
+/**
+ * Build a 400 error for an invalid profile
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with status 400
+ */
+function invalidProfile(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Validate a profile's weights and thresholds
+ * @param {Object} profile - { weights, thresholds }
+ * @throws {Error} Status 400 when the weights or thresholds are invalid
+ */
+function validateProfile(profile) {
+  const { weights, thresholds } = profile;
+
+  if (!weights || typeof weights !== 'object') {
+    throw invalidProfile(`weights must be an object with ${FACTORS.join(', ')}`);
+  }
+
+  for (const factor of FACTORS) {
+    const weight = weights[factor];
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+      throw invalidProfile(`weights.${factor} must be a number between 0 and 1`);
+    }
+  }
+
+  const unknown = Object.keys(weights).filter(factor => !FACTORS.includes(factor));
+  if (unknown.length > 0) {
+    throw invalidProfile(`Unknown factor weights: ${unknown.join(', ')}`);
+  }
+
+  const total = FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+  if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+    throw invalidProfile(`weights must sum to 1 (got ${Math.round(total * 1e6) / 1e6})`);
+  }
+
+  const { buy, sell } = thresholds || {};
+  if (typeof buy !== 'number' || typeof sell !== 'number' || !(sell > 0 && sell < buy && buy < 1)) {
+    throw invalidProfile('thresholds must satisfy 0 < sell < buy < 1');
+  }
+}
+
+/**
+ * Convert a SignalProfile record to a profile
+ * @param {Object} record - SignalProfile record
+ * @returns {Object} { name, description, weights, thresholds, isBuiltIn }
+ */
+function toProfile(record) {
+  return {
+    name: record.name,
+    description: record.description,
+    weights: {
+      technical: record.technicalWeight,
+      sentiment: record.sentimentWeight,
+      volume: record.volumeWeight,
+      trend: record.trendWeight,
+    },
+    thresholds: {
+      buy: record.buyThreshold,
+      sell: record.sellThreshold,
+    },
+    isBuiltIn: record.isBuiltIn,
+  };
+}
+
+/**
+ * Convert a profile to SignalProfile columns
+ * @param {Object} profile - { description, weights, thresholds }
+ * @returns {Object} SignalProfile data
+ */
+function toRecordData(profile) {
+  return {
+    description: profile.description ?? null,
+    technicalWeight: profile.weights.technical,
+    sentimentWeight: profile.weights.sentiment,
+    volumeWeight: profile.weights.volume,
+    trendWeight: profile.weights.trend,
+    buyThreshold: profile.thresholds.buy,
+    sellThreshold: profile.thresholds.sell,
+  };
+}
+
+/**
+ * Find a built-in profile by name
+ * @param {string} name - Profile name
+ * @returns {Object|null} Built-in profile
+ */
+function findBuiltIn(name) {
+  const profile = BUILT_IN_PROFILES.find(builtIn => builtIn.name === name);
+  return profile ? { ...profile, isBuiltIn: true } : null;
+}
+
+/**
+ * Seed built-in profiles, refreshing their definitions
+ * @returns {Promise<Object>} { profiles } number of built-in profiles
+ */
+async function initialize() {
+  const prisma = getPrismaClient();
+
+  await prisma.$transaction(BUILT_IN_PROFILES.map(profile => prisma.signalProfile.upsert({
+    where: { name: profile.name },
+    update: { ...toRecordData(profile), isBuiltIn: true },
+    create: { name: profile.name, ...toRecordData(profile), isBuiltIn: true },
+  })));
+
+  return { profiles: BUILT_IN_PROFILES.length };
+}
+
+/**
+ * List all profiles, built-in first
+ * @returns {Promise<Array>} Profiles
+ */
+async function listProfiles() {
+  const prisma = getPrismaClient();
+  const records = await prisma.signalProfile.findMany({
+    orderBy: [{ isBuiltIn: 'desc' }, { name: 'asc' }],
+  });
+
+  return records.map(toProfile);
+}
+
+/**
+ * Get a profile by name
+ * Built-in profiles are served from code when the database is unavailable
+ * @param {string} name - Profile name (default: SIGNAL_PROFILE_DEFAULT)
+ * @returns {Promise<Object>} Profile
+ * @throws {Error} Status 404 when the profile does not exist
+ */
+async function getProfile(name) {
+  const prisma = getPrismaClient();
+  const profileName = String(name || getDefaultProfileName()).trim().toLowerCase();
+  let record = null;
+
+  try {
+    record = await prisma.signalProfile.findUnique({
+      where: { name: profileName },
+    });
+  } catch (error) {
+    const builtIn = findBuiltIn(profileName);
+    if (builtIn) {
+      console.warn(`Using built-in signal profile ${profileName}:`, error.message);
+      return builtIn;
+    }
+    throw error;
+  }
+
+  if (!record) {
+    const builtIn = findBuiltIn(profileName);
+    if (builtIn) {
+      return builtIn;
+    }
+
+    const error = new Error(`Unknown signal profile: ${profileName}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return toProfile(record);
+}
+
+/**
+ * Create a custom profile
+ * @param {Object} profile - { name, description, weights, thresholds } (thresholds default to balanced)
+ * @returns {Promise<Object>} Created profile
+ */
+async function createProfile(profile = {}) {
+  const prisma = getPrismaClient();
+  const name = String(profile.name || '').trim().toLowerCase();
+
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw invalidProfile('name must be 1-50 lowercase letters, digits or dashes');
+  }
+
+  const candidate = {
+    description: profile.description,
+    weights: profile.weights,
+    thresholds: profile.thresholds || DEFAULT_SIGNAL_PROFILE.thresholds,
+  };
+  validateProfile(candidate);
+
+  const existing = await prisma.signalProfile.findUnique({ where: { name } });
+  if (existing || findBuiltIn(name)) {
+    const error = new Error(`Signal profile ${name} already exists`);
+    error.status = 409;
+    throw error;
+  }
+
+  const record = await prisma.signalProfile.create({
+    data: { name, ...toRecordData(candidate), isBuiltIn: false },
+  });
+
+  return toProfile(record);
+}
+
+/**
+ * Update a custom profile
+ * Weights are replaced as a whole so they can be checked to sum to 1
+ * @param {string} name - Profile name
+ * @param {Object} changes - { description, weights, thresholds }
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateProfile(name, changes = {}) {
+  const prisma = getPrismaClient();
+  const current = await getProfile(name);
+
+  if (current.isBuiltIn) {
+    throw invalidProfile(`Built-in signal profile ${current.name} cannot be changed`);
+  }
+
+  const candidate = {
+    description: changes.description !== undefined ? changes.description : current.description,
+    weights: changes.weights || current.weights,
+    thresholds: { ...current.thresholds, ...changes.thresholds },
+  };
+  validateProfile(candidate);
+
+  const record = await prisma.signalProfile.update({
+    where: { name: current.name },
+    data: toRecordData(candidate),
+  });
+
+  return toProfile(record);
+}
+
+/**
+ * Delete a custom profile
+ * Predictions keep the profile name they were generated with
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Deleted profile
+ */
+async function deleteProfile(name) {
+  const prisma = getPrismaClient();
+  const current = await getProfile(name);
+
+  if (current.isBuiltIn) {
+    throw invalidProfile(`Built-in signal profile ${current.name} cannot be deleted`);
+  }
+
+  await prisma.signalProfile.delete({
+    where: { name: current.name },
+  });
+
+  return current;
+}
+
+module.exports = {
+  BUILT_IN_PROFILES,
+  getDefaultProfileName,
+  validateProfile,
+  initialize,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
@@ -238,10 +238,10 @@ class WebSocketService extends EventEmitter {
   /**
    * Broadcast market news alert
    * Send breaking news to subscribed users
-   * @param {Object} newsData - News data with symbol, headline, source
+   * @param {Object} newsData - News data with symbol, headline, source, url and (optional) events
    */
   broadcastNewsAlert(newsData) {
-    const { symbol, headline, source, url } = newsData;
+    const { symbol, headline, source, url, events } = newsData;
 
     for (const [userId, subscriptions] of this.subscriptions.entries()) {
       if (subscriptions.has(symbol)) {
@@ -253,6 +253,34 @@ class WebSocketService extends EventEmitter {
             headline,
             source,
             url,
+            events,
+            timestamp: new Date().toISOString()
+          }));
+        }
+      }
+    }
+  }
+
+  /**
+   * Broadcast a newly generated prediction signal
+   * Subscribers match on the ticker or the provider coin ID, in any case
+   * @param {Object} signalData - Signal data with symbol, cryptoId, horizon, signal, confidence, priceTarget
+   */
+  broadcastPredictionSignal(signalData) {
+    const { symbol, cryptoId, horizon, signal, previousSignal } = signalData;
+    const keys = new Set([symbol, cryptoId].filter(Boolean).map(key => key.toLowerCase()));
+
+    for (const [userId, subscriptions] of this.subscriptions.entries()) {
+      const subscribed = [...subscriptions].some(subscription => keys.has(String(subscription).toLowerCase()));
+
+      if (subscribed) {
+        const client = this.clients.get(userId);
+        if (client && client.readyState === WebSocket.OPEN) {
+          client.send(JSON.stringify({
+            type: 'prediction-signal',
+            ...signalData,
+            changed: previousSignal !== null && previousSignal !== undefined && previousSignal !== signal,
+            message: `New ${signal} signal for ${symbol}${horizon ? ` (${horizon} horizon)` : ''}`,
             timestamp: new Date().toISOString()
           }));
         }
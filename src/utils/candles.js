@@ -0,0 +1,136 @@
+/**
+ * Candle (OHLCV) utilities
+ * Shared helpers for building and resampling OHLCV candles
+ *
+ * A candle is a plain object:
+ *   { timestamp, open, high, low, close, volume, marketCap? }
+ * where timestamp is the bucket start in milliseconds since epoch and
+ * marketCap (when the provider reports it) is the last market cap in the bucket
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Supported candle intervals and their length in milliseconds
+const INTERVALS = {
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '1d': DAY_MS,
+};
+
+/**
+ * Get interval length in milliseconds
+ * @param {string} interval - Interval name (1h, 4h, 1d)
+ * @returns {number} Interval length in milliseconds
+ */
+function getIntervalMs(interval) {
+  const intervalMs = INTERVALS[interval];
+
+  if (!intervalMs) {
+    const error = new Error(
+      `Unsupported candle interval: ${interval}. Supported: ${Object.keys(INTERVALS).join(', ')}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  return intervalMs;
+}
+
+/**
+ * Build candles from a price series and a rolling 24h volume series
+ * Matches the shape of CoinGecko market_chart responses
+ * Per-candle volume is estimated from the rolling 24h volume, scaled to the interval
+ * @param {Array} prices - Array of [timestamp, price] pairs, oldest first
+ * @param {Array} volumes - Array of [timestamp, volume24h] pairs, oldest first
+ * @param {string} interval - Candle interval (1h, 4h, 1d)
+ * @param {Array} marketCaps - Optional array of [timestamp, marketCap] pairs, oldest first
+ * @returns {Array<Object>} Candles, oldest first
+ */
+function buildCandlesFromSeries(prices, volumes = [], interval = '1d', marketCaps = []) {
+  const intervalMs = getIntervalMs(interval);
+  const buckets = new Map();
+
+  for (const [timestamp, price] of prices) {
+    const bucketStart = Math.floor(timestamp / intervalMs) * intervalMs;
+    const bucket = buckets.get(bucketStart);
+
+    if (!bucket) {
+      buckets.set(bucketStart, {
+        timestamp: bucketStart,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volumeSamples: [],
+      });
+    } else {
+      bucket.high = Math.max(bucket.high, price);
+      bucket.low = Math.min(bucket.low, price);
+      bucket.close = price;
+    }
+  }
+
+  for (const [timestamp, volume24h] of volumes) {
+    const bucket = buckets.get(Math.floor(timestamp / intervalMs) * intervalMs);
+    if (bucket) {
+      bucket.volumeSamples.push(volume24h);
+    }
+  }
+
+  for (const [timestamp, marketCap] of marketCaps) {
+    const bucket = buckets.get(Math.floor(timestamp / intervalMs) * intervalMs);
+    if (bucket) {
+      bucket.marketCap = marketCap;
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ volumeSamples, ...candle }) => {
+      const avgVolume24h = volumeSamples.length > 0
+        ? volumeSamples.reduce((a, b) => a + b, 0) / volumeSamples.length
+        : 0;
+
+      return {
+        ...candle,
+        volume: avgVolume24h * (intervalMs / DAY_MS),
+      };
+    });
+}
+
+/**
+ * Resample candles into a coarser interval
+ * @param {Array<Object>} candles - Candles, oldest first
+ * @param {string} interval - Target interval (must be >= source interval)
+ * @returns {Array<Object>} Resampled candles, oldest first
+ */
+function resampleCandles(candles, interval) {
+  const intervalMs = getIntervalMs(interval);
+  const resampled = [];
+
+  for (const candle of candles) {
+    const bucketStart = Math.floor(candle.timestamp / intervalMs) * intervalMs;
+    const last = resampled[resampled.length - 1];
+
+    if (last && last.timestamp === bucketStart) {
+      last.high = Math.max(last.high, candle.high);
+      last.low = Math.min(last.low, candle.low);
+      last.close = candle.close;
+      last.volume += candle.volume;
+      if (candle.marketCap !== undefined) last.marketCap = candle.marketCap;
+    } else {
+      resampled.push({ ...candle, timestamp: bucketStart });
+    }
+  }
+
+  return resampled;
+}
+
+module.exports = {
+  INTERVALS,
+  DAY_MS,
+  getIntervalMs,
+  buildCandlesFromSeries,
+  resampleCandles,
+};
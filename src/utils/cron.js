@@ -0,0 +1,156 @@
+/**
+ * Cron Schedule Utilities
+ * Parses standard 5-field cron expressions and computes the next run time
+ *
+ * Fields: minute hour day-of-month month day-of-week, evaluated in UTC
+ * Each field accepts `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`0,30`)
+ * Shortcuts: @hourly, @daily, @weekly, @monthly
+ * When both day-of-month and day-of-week are restricted, either may match (as in cron)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Search at most a year ahead; an expression like `0 0 31 2 *` never matches
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * MINUTE_MS;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+/**
+ * Build an invalid-expression error
+ * @param {string} expression - Cron expression
+ * @param {string} reason - What is wrong
+ * @returns {Error} Error with status 400
+ */
+function invalidExpression(expression, reason) {
+  const error = new Error(`Invalid cron expression "${expression}": ${reason}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} value - Field text
+ * @param {Object} field - { name, min, max }
+ * @param {string} expression - Full expression, for error messages
+ * @returns {Set<number>} Matching values
+ */
+function parseField(value, field, expression) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw invalidExpression(expression, `bad step in ${field.name} field "${part}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const [startText, endText] = range.split('-');
+      start = Number(startText);
+      end = endText === undefined ? (stepText === undefined ? start : field.max) : Number(endText);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw invalidExpression(expression, `${field.name} field "${part}" must be within ${field.min}-${field.max}`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  // Day-of-week 7 is Sunday, like 0
+  if (field.name === 'dayOfWeek' && values.delete(7)) {
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression or shortcut
+ * @returns {Object} Parsed schedule: { expression, minute, hour, dayOfMonth, month, dayOfWeek, ... }
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (SHORTCUTS[text] || text).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw invalidExpression(text, `expected ${FIELDS.length} fields, got ${fields.length}`);
+  }
+
+  const schedule = { expression: text };
+
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(fields[i], field, text);
+  });
+
+  schedule.dayOfMonthRestricted = fields[2] !== '*';
+  schedule.dayOfWeekRestricted = fields[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Check whether a UTC date matches the day fields of a schedule
+ */
+function matchesDay(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+
+  return domMatch && dowMatch;
+}
+
+/**
+ * Get the next time a schedule fires, strictly after `from`
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} from - Reference time (default: now)
+ * @returns {Date|null} Next run time, or null if none within a year
+ */
+function getNextRun(schedule, from = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const next = new Date(Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+
+  // Skip whole days and hours that cannot match before stepping through minutes
+  while (next.getTime() <= limit) {
+    if (!parsed.month.has(next.getUTCMonth() + 1) || !matchesDay(parsed, next)) {
+      next.setUTCHours(24, 0, 0, 0);
+    } else if (!parsed.hour.has(next.getUTCHours())) {
+      next.setUTCMinutes(60, 0, 0);
+    } else if (!parsed.minute.has(next.getUTCMinutes())) {
+      next.setTime(next.getTime() + MINUTE_MS);
+    } else {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,201 @@
+/**
+ * Crypto Sentiment Lexicon
+ * Crypto-market slang and terms for the lexicon-based sentiment analyzer, with the
+ * negators and intensifiers used to score them in context
+ *
+ * Scores use the AFINN scale of the `sentiment` package (-5 to 5) and override AFINN's
+ * generic score where a word means something else in crypto (e.g. "moon", "dump", "fud").
+ * Multi-word phrases are joined into one token before scoring, so "rug pull" is scored as
+ * `rugpull` and can be negated or intensified like any other word.
+ */
+
+// Single-token terms
+const CRYPTO_TERMS = {
+  // Bullish
+  hodl: 2,
+  hodling: 2,
+  moon: 3,
+  mooning: 3,
+  moonshot: 3,
+  bullish: 3,
+  bull: 1,
+  bullrun: 3,
+  bullmarket: 2,
+  ath: 3,
+  rally: 2,
+  rallies: 2,
+  rallied: 2,
+  breakout: 2,
+  surge: 2,
+  surges: 2,
+  surged: 2,
+  soar: 3,
+  soars: 3,
+  soared: 3,
+  pump: 1,
+  pumping: 1,
+  wagmi: 3,
+  lambo: 2,
+  btfd: 1,
+  buythedip: 1,
+  accumulate: 1,
+  accumulating: 1,
+  accumulation: 1,
+  adoption: 2,
+  partnership: 2,
+  listing: 1,
+  listed: 1,
+  approval: 2,
+  approved: 2,
+  upgrade: 2,
+  halving: 1,
+  airdrop: 1,
+  inflows: 2,
+  shortsqueeze: 2,
+  diamondhands: 2,
+  recovery: 2,
+  rebound: 2,
+
+  // Bearish
+  bearish: -3,
+  bear: -1,
+  bearmarket: -2,
+  cryptowinter: -3,
+  rekt: -4,
+  fud: -2,
+  rugpull: -5,
+  rugged: -5,
+  exitscam: -5,
+  pumpanddump: -4,
+  ponzi: -4,
+  scam: -4,
+  scammer: -4,
+  shitcoin: -2,
+  ngmi: -3,
+  dump: -3,
+  dumps: -3,
+  dumped: -3,
+  dumping: -3,
+  crash: -3,
+  crashed: -3,
+  crashes: -3,
+  plunge: -3,
+  plunges: -3,
+  plunged: -3,
+  tank: -2,
+  tanked: -3,
+  tanking: -3,
+  capitulation: -3,
+  liquidated: -3,
+  liquidation: -2,
+  liquidations: -2,
+  hack: -4,
+  hacked: -4,
+  exploit: -4,
+  exploited: -4,
+  drained: -4,
+  depeg: -4,
+  depegged: -4,
+  insolvent: -4,
+  insolvency: -4,
+  bankrupt: -4,
+  bankruptcy: -4,
+  delist: -3,
+  delisted: -3,
+  delisting: -3,
+  outflows: -2,
+  bagholder: -2,
+  bagholders: -2,
+  paperhands: -1,
+  deadcatbounce: -2,
+  fomo: -1,
+  selloff: -3,
+  crackdown: -3,
+  ban: -3,
+  banned: -3,
+  outage: -3,
+  outages: -3,
+  downtime: -3,
+  halted: -2,
+  halts: -2,
+  congestion: -1,
+  drags: -2,
+  dragged: -2,
+  slips: -1,
+  slides: -2,
+  falls: -2,
+  fell: -2,
+  drops: -2,
+  dropped: -2,
+  sinks: -2,
+  sank: -2,
+  tumble: -3,
+  tumbles: -3,
+  tumbled: -3,
+  jumps: 2,
+  jumped: 2,
+  climbs: 2,
+  climbed: 2,
+};
+
+// Phrases joined into single tokens before scoring, longest first
+const CRYPTO_PHRASES = [
+  ['pump and dump', 'pumpanddump'],
+  ['dead cat bounce', 'deadcatbounce'],
+  ['buy the dip', 'buythedip'],
+  ['all time high', 'ath'],
+  ['all-time high', 'ath'],
+  ['to the moon', 'moon'],
+  ['crypto winter', 'cryptowinter'],
+  ['exit scam', 'exitscam'],
+  ['rug pulled', 'rugpull'],
+  ['rug pull', 'rugpull'],
+  ['rug-pull', 'rugpull'],
+  ['short squeeze', 'shortsqueeze'],
+  ['diamond hands', 'diamondhands'],
+  ['paper hands', 'paperhands'],
+  ['bull run', 'bullrun'],
+  ['bull market', 'bullmarket'],
+  ['bear market', 'bearmarket'],
+  ['sell-off', 'selloff'],
+  ['sell off', 'selloff'],
+];
+
+// Words that invert the sentiment of a term shortly after them
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor', 'without', 'hardly',
+  'cant', "can't", 'cannot', 'dont', "don't", 'doesnt', "doesn't", 'didnt', "didn't",
+  'isnt', "isn't", 'arent', "aren't", 'wasnt', "wasn't", 'werent', "weren't", 'wont', "won't",
+  'wouldnt', "wouldn't", 'shouldnt', "shouldn't", 'couldnt', "couldn't", 'aint', "ain't", 'non',
+]);
+
+// Multipliers for words that strengthen or soften the next term
+const INTENSIFIERS = {
+  very: 1.5,
+  really: 1.5,
+  so: 1.3,
+  super: 1.5,
+  highly: 1.5,
+  hugely: 1.5,
+  huge: 1.5,
+  massive: 1.5,
+  massively: 1.5,
+  totally: 1.5,
+  absolutely: 1.5,
+  extremely: 2,
+  incredibly: 2,
+  insanely: 2,
+  mega: 1.5,
+  slightly: 0.5,
+  somewhat: 0.6,
+  kinda: 0.6,
+  barely: 0.4,
+  mildly: 0.5,
+};
+
+module.exports = {
+  CRYPTO_TERMS,
+  CRYPTO_PHRASES,
+  NEGATORS,
+  INTENSIFIERS,
+};
@@ -0,0 +1,84 @@
+/**
+ * Crypto Mentions
+ * Finds which cryptocurrencies a text mentions, and where
+ *
+ * Names ("bitcoin", "solana") match case-insensitively as whole words. Tickers match as whole
+ * uppercase words ("ETH") or with a cashtag in any case ("$eth"), so ordinary words that share
+ * a ticker ("link", "sol", "ada") and words that contain one ("method") are not mentions.
+ */
+
+// Symbol -> names and tickers that refer to it
+const CRYPTO_PATTERNS = {
+  BTC: { names: ['bitcoin'], tickers: ['BTC', 'XBT'] },
+  ETH: { names: ['ethereum', 'ether'], tickers: ['ETH'] },
+  BNB: { names: ['binance coin', 'bnb'], tickers: ['BNB'] },
+  XRP: { names: ['ripple', 'xrp'], tickers: ['XRP'] },
+  ADA: { names: ['cardano'], tickers: ['ADA'] },
+  SOL: { names: ['solana'], tickers: ['SOL'] },
+  DOGE: { names: ['dogecoin'], tickers: ['DOGE'] },
+  MATIC: { names: ['polygon', 'matic'], tickers: ['MATIC', 'POL'] },
+  LINK: { names: ['chainlink'], tickers: ['LINK'] },
+  LTC: { names: ['litecoin'], tickers: ['LTC'] },
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wholeWord(alternatives, flags) {
+  return new RegExp(`(?<![\\w$])(?:${alternatives.join('|')})(?!\\w)`, flags);
+}
+
+// Per symbol: a case-insensitive regex for names and cashtags, a case-sensitive one for tickers
+const mentionPatterns = Object.entries(CRYPTO_PATTERNS).map(([symbol, { names, tickers }]) => [
+  symbol,
+  [
+    wholeWord([...names.map(escapeRegExp), ...tickers.map(ticker => `\\$${ticker}`)], 'gi'),
+    wholeWord(tickers, 'g'),
+  ],
+]);
+
+/**
+ * Find every cryptocurrency mention in a text
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} Mentions as { symbol, index, term }, in order of appearance
+ */
+function findCryptoMentions(text) {
+  const mentions = [];
+
+  if (!text) {
+    return mentions;
+  }
+
+  for (const [symbol, patterns] of mentionPatterns) {
+    const seen = new Set();
+
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        // Names that double as tickers ("XRP") match both patterns
+        if (!seen.has(match.index)) {
+          seen.add(match.index);
+          mentions.push({ symbol, index: match.index, term: match[0] });
+        }
+      }
+    }
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Extract cryptocurrency mentions from article text
+ * Identifies which cryptocurrencies are mentioned in an article
+ * @param {string} text - Article text to analyze
+ * @returns {Array<string>} Array of cryptocurrency symbols mentioned, in order of first mention
+ */
+function extractCryptoMentions(text) {
+  return [...new Set(findCryptoMentions(text).map(mention => mention.symbol))];
+}
+
+module.exports = {
+  CRYPTO_PATTERNS,
+  findCryptoMentions,
+  extractCryptoMentions,
+};
@@ -0,0 +1,39 @@
+/**
+ * CSV Utilities
+ * Serialization of row objects for CSV exports
+ */
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * Dates are written as ISO 8601; null and undefined as empty fields
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line
+ * @param {Array<string>} columns - Column names, in order (also the row keys)
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(formatField).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => formatField(row[column])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  toCsv,
+};
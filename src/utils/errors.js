@@ -0,0 +1,97 @@
+/**
+ * Error types for upstream API failures
+ * Each error carries an HTTP `status` so routes can pass it straight to the client,
+ * and unavailability errors carry `retryAfter` (seconds) as a retry hint
+ */
+
+/**
+ * Upstream API returned an error or an unusable response
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.upstream - Upstream name (e.g. 'coingecko')
+   * @param {number} options.status - HTTP status to return to the client (default: 502)
+   * @param {number} options.upstreamStatus - HTTP status returned by the upstream, if any
+   * @param {number} options.retryAfter - Seconds the client should wait before retrying
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.upstream = options.upstream;
+    this.status = options.status || 502;
+    this.upstreamStatus = options.upstreamStatus;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * Upstream API is temporarily unavailable (timeouts, 5xx after retries)
+ */
+class UpstreamUnavailableError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 503 });
+  }
+}
+
+/**
+ * Upstream API rate limit exceeded, or the local request queue is too long
+ */
+class RateLimitError extends UpstreamUnavailableError {}
+
+/**
+ * Circuit breaker is open after repeated upstream failures
+ */
+class CircuitOpenError extends UpstreamUnavailableError {}
+
+/**
+ * Convert any error from an upstream call into an UpstreamError
+ * Errors that already are UpstreamErrors are returned unchanged
+ * @param {Error} error - Original error
+ * @param {string} message - Context prefix (e.g. 'Failed to fetch cryptocurrencies')
+ * @param {string} upstream - Upstream name
+ * @returns {UpstreamError} Typed error
+ */
+function toUpstreamError(error, message, upstream) {
+  if (error instanceof UpstreamError) {
+    return error;
+  }
+
+  const upstreamStatus = error.response?.status;
+
+  return new UpstreamError(`${message}: ${error.message}`, {
+    upstream,
+    upstreamStatus,
+    // A missing resource upstream is a missing resource for our client too
+    status: upstreamStatus === 404 ? 404 : 502,
+  });
+}
+
+/**
+ * Send an error response, adding a Retry-After header when the error has a retry hint
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const body = {
+    success: false,
+    error: error.message,
+  };
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    body.retryAfter = error.retryAfter;
+  }
+
+  res.status(error.status || 500).json(body);
+}
+
+module.exports = {
+  UpstreamError,
+  UpstreamUnavailableError,
+  RateLimitError,
+  CircuitOpenError,
+  toUpstreamError,
+  sendError,
+};
@@ -0,0 +1,94 @@
+/**
+ * Prediction Horizon Utilities
+ * Validation of prediction horizons and the analysis settings used for each
+ *
+ * A horizon is how far ahead a prediction looks. Each horizon is analyzed on
+ * candles matching its length, its price target band is scaled with the square
+ * root of its length relative to 7 days (the original implicit horizon), and it
+ * is evaluated against the realized return over the same length.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Horizon that price target bands and the evaluation hold band are defined for
+const REFERENCE_HOURS = 168;
+
+// Supported horizons, shortest first
+// interval and lookbackDays select the candles analyzed for the horizon
+const HORIZONS = {
+  '1h': { hours: 1, interval: '1h', lookbackDays: 2 },
+  '24h': { hours: 24, interval: '4h', lookbackDays: 7 },
+  '7d': { hours: 168, interval: '1d', lookbackDays: 30 },
+  '30d': { hours: 720, interval: '1d', lookbackDays: 90 },
+};
+
+const HORIZON_NAMES = Object.keys(HORIZONS);
+
+// Horizon of predictions that do not specify one (and of predictions stored before horizons existed)
+const DEFAULT_HORIZON = '7d';
+
+/**
+ * Validate and normalize a horizon
+ * @param {string} horizon - Horizon name (1h, 24h, 7d, 30d; any case); empty means DEFAULT_HORIZON
+ * @returns {string} Horizon name
+ */
+function normalizeHorizon(horizon) {
+  if (horizon === undefined || horizon === null || horizon === '') {
+    return DEFAULT_HORIZON;
+  }
+
+  const normalized = String(horizon).trim().toLowerCase();
+
+  if (!HORIZONS[normalized]) {
+    const error = new Error(
+      `Unsupported prediction horizon: ${horizon}. Supported: ${HORIZON_NAMES.join(', ')}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a list of horizons
+ * @param {Array<string>|string} horizons - Array or comma-separated list; empty means all horizons
+ * @returns {Array<string>} Distinct horizon names, shortest first
+ */
+function parseHorizons(horizons) {
+  const list = Array.isArray(horizons)
+    ? horizons
+    : String(horizons || '').split(',').map(horizon => horizon.trim()).filter(Boolean);
+
+  if (list.length === 0) {
+    return [...HORIZON_NAMES];
+  }
+
+  const selected = new Set(list.map(normalizeHorizon));
+  return HORIZON_NAMES.filter(name => selected.has(name));
+}
+
+/**
+ * Get horizon settings
+ * @param {string} horizon - Horizon name
+ * @returns {Object} { name, hours, ms, interval, lookbackDays, scale }
+ */
+function getHorizon(horizon) {
+  const name = normalizeHorizon(horizon);
+  const settings = HORIZONS[name];
+
+  return {
+    name,
+    ...settings,
+    ms: settings.hours * HOUR_MS,
+    scale: Math.sqrt(settings.hours / REFERENCE_HOURS),
+  };
+}
+
+module.exports = {
+  HORIZON_NAMES,
+  DEFAULT_HORIZON,
+  normalizeHorizon,
+  parseHorizons,
+  getHorizon,
+};
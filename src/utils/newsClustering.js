@@ -0,0 +1,200 @@
+/**
+ * News Clustering
+ * Groups copies of the same story (syndicated, re-published or re-written by another outlet)
+ * so they can be counted once
+ *
+ * Two articles belong to the same story when their canonical URLs are equal, or when the
+ * TF-IDF cosine similarity of their stemmed title and description reaches the threshold and
+ * they were published within the story window of each other. Titles count twice, since
+ * outlets re-word bodies more than headlines.
+ */
+
+const natural = require('natural');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src|referrer|cmpid|ocid|guccounter|amp|output)$/i;
+
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_WINDOW_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Canonicalize an article URL so variants of the same link compare equal
+ * Drops the scheme, "www.", "m." and "amp." hosts, AMP path suffixes, trailing slashes,
+ * fragments and tracking parameters, and sorts the remaining parameters
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL (host + path + query), or null when not a valid URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  const pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\/+$/, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${pathname}${query}`;
+}
+
+/**
+ * Stemmed tokens of an article's title (twice) and description, without stop words
+ * @param {Object} article - Article with title and description
+ * @returns {Array<string>} Tokens
+ */
+function articleTokens(article) {
+  const title = article.title || '';
+  return natural.PorterStemmer.tokenizeAndStem(`${title} ${title} ${article.description || article.body || ''}`);
+}
+
+/**
+ * Build unit-length TF-IDF vectors for a set of articles
+ * @param {Array<Object>} articles - Articles with title and description
+ * @returns {Array<Map>} Per article, term -> weight
+ */
+function tfidfVectors(articles) {
+  const tfidf = new natural.TfIdf();
+  articles.forEach(article => tfidf.addDocument(articleTokens(article)));
+
+  return articles.map((_, index) => {
+    const terms = tfidf.listTerms(index);
+    const norm = Math.sqrt(terms.reduce((sum, term) => sum + term.tfidf * term.tfidf, 0));
+    return new Map(terms.map(term => [term.term, norm > 0 ? term.tfidf / norm : 0]));
+  });
+}
+
+/**
+ * Cosine similarity of two unit-length vectors
+ * @param {Map} a - term -> weight
+ * @param {Map} b - term -> weight
+ * @returns {number} Similarity (0-1)
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return dot;
+}
+
+/**
+ * Check whether two articles were published within the story window of each other
+ * Articles without a valid date are always within the window
+ * @param {Object} a - Article with publishedAt
+ * @param {Object} b - Article with publishedAt
+ * @param {number} windowHours - Story window
+ * @returns {boolean} Whether they are close enough in time to be the same story
+ */
+function withinWindow(a, b, windowHours) {
+  const gap = Math.abs(new Date(a.publishedAt).getTime() - new Date(b.publishedAt).getTime());
+  return Number.isNaN(gap) || gap <= windowHours * HOUR_MS;
+}
+
+/**
+ * Group articles into stories
+ * @param {Array<Object>} articles - Articles with title, description, url, source, publishedAt
+ * @param {Object} options - { threshold } minimum similarity (default: 0.5),
+ *   { windowHours } largest publication gap within a story (default: 48)
+ * @returns {Array<Object>} Stories, newest first, as { key, title, articles (oldest first),
+ *   sources, firstPublishedAt, lastPublishedAt } where key is the first article's canonical URL
+ */
+function clusterArticles(articles, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const windowHours = options.windowHours ?? DEFAULT_WINDOW_HOURS;
+  const canonicalUrls = articles.map(article => canonicalizeUrl(article.url));
+  const vectors = tfidfVectors(articles);
+
+  // Union-find over article indexes
+  const parents = articles.map((_, index) => index);
+  const find = index => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      const sameUrl = canonicalUrls[i] !== null && canonicalUrls[i] === canonicalUrls[j];
+      if (sameUrl || (withinWindow(articles[i], articles[j], windowHours) && cosine(vectors[i], vectors[j]) >= threshold)) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((article, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ article, canonicalUrl: canonicalUrls[index] });
+  });
+
+  const time = article => new Date(article.publishedAt).getTime() || 0;
+
+  return [...groups.values()]
+    .map(group => {
+      group.sort((a, b) => time(a.article) - time(b.article));
+      const first = group[0];
+      const last = group[group.length - 1];
+
+      return {
+        key: first.canonicalUrl || first.article.url || first.article.title,
+        title: first.article.title,
+        articles: group.map(entry => entry.article),
+        sources: [...new Set(group.map(entry => entry.article.source).filter(Boolean))],
+        firstPublishedAt: first.article.publishedAt,
+        lastPublishedAt: last.article.publishedAt,
+      };
+    })
+    .sort((a, b) => time({ publishedAt: b.lastPublishedAt }) - time({ publishedAt: a.lastPublishedAt }));
+}
+
+/**
+ * Find the stored article an incoming article is a copy of
+ * @param {Object} article - Incoming article with title, description, url, publishedAt
+ * @param {Array<Object>} candidates - Recent articles with title, body or description, url, publishedAt
+ * @param {Object} options - { threshold, windowHours } as for clusterArticles
+ * @returns {Object|null} { candidate, similarity, sameUrl } for the best match, or null
+ */
+function findDuplicate(article, candidates, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const windowHours = options.windowHours ?? DEFAULT_WINDOW_HOURS;
+  const canonicalUrl = canonicalizeUrl(article.url);
+
+  const sameUrl = candidates.find(candidate => (
+    canonicalUrl !== null && (candidate.canonicalUrl || canonicalizeUrl(candidate.url)) === canonicalUrl
+  ));
+  if (sameUrl) {
+    return { candidate: sameUrl, similarity: 1, sameUrl: true };
+  }
+
+  const vectors = tfidfVectors([article, ...candidates]);
+  let best = null;
+
+  candidates.forEach((candidate, index) => {
+    if (!withinWindow(article, candidate, windowHours)) return;
+
+    const similarity = cosine(vectors[0], vectors[index + 1]);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { candidate, similarity, sameUrl: false };
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  clusterArticles,
+  findDuplicate,
+};
@@ -0,0 +1,224 @@
+/**
+ * News Event Rules
+ * Keyword rules and seed training examples for classifying news articles into market events
+ *
+ * Each event type has keywords that tag an article with it, a base severity, and patterns that
+ * raise (escalate) or lower (deescalate) the severity by one level each, e.g. a hack is high,
+ * a thwarted hack medium and a hack of $100 million or more critical. Severities use the alert
+ * severity levels of realTimeAlertService.
+ */
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Major exchanges and institutions, whose involvement makes a listing or partnership matter more
+const MAJOR_EXCHANGES = /\b(coinbase|binance|robinhood|kraken|upbit|okx|bybit)\b/i;
+const MAJOR_INSTITUTIONS = /\b(visa|mastercard|paypal|stripe|blackrock|fidelity|jpmorgan|goldman sachs|google|microsoft|amazon|apple|nvidia|meta)\b/i;
+
+const EVENT_RULES = {
+  hack: {
+    severity: 'high',
+    keywords: [
+      /\bhack(s|ed|er|ers)?\b/i,
+      /\bexploit(s|ed)?\b/i,
+      /\bdrain(s|ed)?\b/i,
+      /\bstolen\b/i,
+      /\bbreach(es|ed)?\b/i,
+      /\bcompromised\b/i,
+      /\battackers?\b/i,
+      /\bphishing\b/i,
+      /\brug[- ]?pull(s|ed)?\b/i,
+    ],
+    escalate: [],
+    deescalate: [
+      /\b(thwart|prevent|foil)(s|ed)?\b/i,
+      /\b(recover|return)(s|ed)? (the |most of the )?(funds|assets)\b/i,
+      /\bwhite[- ]?hat\b/i,
+      /\bbug bounty\b/i,
+      /\battempted\b/i,
+    ],
+    // Losses at or above this amount are critical
+    criticalAmountUsd: 100e6,
+  },
+  listing: {
+    severity: 'low',
+    keywords: [
+      /\b(de)?listings?\b/i,
+      /\b(de)?list(s|ed)? (on|by)\b/i,
+      /\b(will|to) (de)?list\b/i,
+      /\bdelist(s|ed)?\b/i,
+      /\badds? (trading )?support for\b/i,
+      /\bopens? trading\b/i,
+    ],
+    escalate: [
+      MAJOR_EXCHANGES,
+      /\bdelist(s|ed|ing)?\b/i,
+    ],
+    deescalate: [],
+  },
+  regulation: {
+    severity: 'medium',
+    keywords: [
+      /\bSEC\b/,
+      /\bCFTC\b/,
+      /\bMiCA\b/,
+      /\bregulat(or|ors|ion|ions|ory|e|es|ed)\b/i,
+      /\blawsuits?\b/i,
+      /\bsue(s|d)\b/i,
+      /\bcharge(s|d)\b/i,
+      /\benforcement\b/i,
+      /\bban(s|ned)?\b/i,
+      /\bcrackdown\b/i,
+      /\bsanction(s|ed)?\b/i,
+      /\bsubpoena(s|ed)?\b/i,
+      /\blegislation\b/i,
+      /\blawmakers\b/i,
+    ],
+    escalate: [
+      /\b(lawsuits?|sue(s|d)|charge(s|d)|ban(s|ned)?|crackdown|sanction(s|ed)?|arrest(s|ed)?|subpoena(s|ed)?)\b/i,
+    ],
+    deescalate: [
+      /\b(proposal|proposed|proposes|consultation|draft|hearing|comment period|framework|guidance)\b/i,
+    ],
+  },
+  etf: {
+    severity: 'medium',
+    keywords: [
+      /\bETF(s)?\b/i,
+      /\bETP(s)?\b/,
+      /\bexchange[- ]traded (fund|product)s?\b/i,
+    ],
+    escalate: [
+      /\b(approv(e|es|ed|al)|green ?light(s|ed)?|launch(es|ed)?|begins? trading|debut(s|ed)?|reject(s|ed|ion)|den(y|ies|ied))\b/i,
+    ],
+    deescalate: [
+      /\b(fil(es|ed|ing)|delay(s|ed)?|postpone(s|d)?|inflows?|outflows?)\b/i,
+    ],
+  },
+  partnership: {
+    severity: 'low',
+    keywords: [
+      /\bpartner(s|ed|ship|ships)?\b/i,
+      /\bcollaborat(e|es|ed|ion)\b/i,
+      /\bteams? up\b/i,
+      /\bjoins? forces\b/i,
+      /\balliance\b/i,
+      /\bintegrat(e|es|ed|ion)\b/i,
+      /\bsigns? (a |an )?(deal|agreement)\b/i,
+    ],
+    escalate: [
+      MAJOR_INSTITUTIONS,
+    ],
+    deescalate: [],
+  },
+};
+
+const EVENT_TYPES = Object.keys(EVENT_RULES);
+
+// Label for articles that are not about any event
+const NO_EVENT = 'none';
+
+// Examples the Bayes classifier is always trained on, before stored training examples
+const SEED_EXAMPLES = [
+  { type: 'hack', text: 'Exchange hacked, attackers drain $40 million from hot wallet' },
+  { type: 'hack', text: 'DeFi lending protocol exploited in flash loan attack' },
+  { type: 'hack', text: 'Bridge exploit: hackers steal funds from cross-chain bridge' },
+  { type: 'hack', text: 'Hackers compromise wallet provider, user funds stolen' },
+  { type: 'hack', text: 'Security breach at crypto exchange halts withdrawals' },
+  { type: 'hack', text: 'Phishing attack drains NFT collectors wallets' },
+  { type: 'listing', text: 'Coinbase to list new token, trading opens next week' },
+  { type: 'listing', text: 'Binance announces listing of new altcoin with spot trading pairs' },
+  { type: 'listing', text: 'Exchange adds support for token, deposits now open' },
+  { type: 'listing', text: 'Robinhood lists Solana and Cardano for US customers' },
+  { type: 'listing', text: 'Exchange will delist privacy coins next month' },
+  { type: 'listing', text: 'Token surges after Upbit listing announcement' },
+  { type: 'regulation', text: 'SEC sues crypto exchange for offering unregistered securities' },
+  { type: 'regulation', text: 'Regulators propose new rules for stablecoin issuers' },
+  { type: 'regulation', text: 'Country bans crypto mining amid energy crackdown' },
+  { type: 'regulation', text: 'Lawmakers pass crypto market structure legislation' },
+  { type: 'regulation', text: 'CFTC charges DeFi platform with illegal derivatives trading' },
+  { type: 'regulation', text: 'EU MiCA rules come into force for crypto asset service providers' },
+  { type: 'etf', text: 'SEC approves first spot bitcoin ETF applications' },
+  { type: 'etf', text: 'Asset manager files for spot ether exchange-traded fund' },
+  { type: 'etf', text: 'Spot bitcoin ETFs record inflows for fifth straight day' },
+  { type: 'etf', text: 'SEC delays decision on Solana ETF proposal' },
+  { type: 'etf', text: 'First XRP ETF begins trading on Nasdaq' },
+  { type: 'etf', text: 'Issuer launches crypto ETP in Europe' },
+  { type: 'partnership', text: 'Visa partners with blockchain network for stablecoin settlement' },
+  { type: 'partnership', text: 'Protocol teams up with payments firm to expand merchant adoption' },
+  { type: 'partnership', text: 'Chainlink announces integration with major bank' },
+  { type: 'partnership', text: 'Layer 2 network signs strategic partnership with gaming studio' },
+  { type: 'partnership', text: 'Exchange and fintech app join forces on crypto card' },
+  { type: 'partnership', text: 'Blockchain firm collaborates with Google Cloud on validator nodes' },
+  { type: NO_EVENT, text: 'Bitcoin price holds steady as traders await inflation data' },
+  { type: NO_EVENT, text: 'Ethereum rallies above resistance amid rising volume' },
+  { type: NO_EVENT, text: 'Analysts see choppy trading ahead for altcoins this week' },
+  { type: NO_EVENT, text: 'What is staking and how does it work' },
+  { type: NO_EVENT, text: 'Crypto market wrap: majors trade sideways over the weekend' },
+  { type: NO_EVENT, text: 'Miners revenue falls as network fees decline' },
+  { type: NO_EVENT, text: 'Dogecoin jumps on social media hype' },
+  { type: NO_EVENT, text: 'On-chain data shows long-term holders accumulating' },
+];
+
+/**
+ * Largest US dollar amount mentioned in a text ("$120 million", "$1.2bn", "$40M", "$1,500 million",
+ * "$150,000,000")
+ * @param {string} text - Text to search
+ * @returns {number} Amount in US dollars (0 when none is mentioned)
+ */
+function largestUsdAmount(text) {
+  const units = { billion: 1e9, bn: 1e9, b: 1e9, million: 1e6, mn: 1e6, m: 1e6 };
+  let largest = 0;
+
+  for (const match of text.matchAll(/\$\s?(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s?(billion|bn|b|million|mn|m)\b)?/gi)) {
+    // Commas group thousands
+    const amount = parseFloat(match[1].replace(/,(?=\d{3}\b)/g, '')) * (match[2] ? units[match[2].toLowerCase()] : 1);
+    largest = Math.max(largest, amount);
+  }
+
+  return largest;
+}
+
+/**
+ * Tag a text with event types by keyword rules
+ * @param {string} text - Article title and body
+ * @returns {Array<Object>} Events as { type, severity, confidence (0-1), keywords }
+ */
+function matchEventRules(text) {
+  const events = [];
+
+  for (const [type, rule] of Object.entries(EVENT_RULES)) {
+    const keywords = rule.keywords
+      .map(pattern => text.match(pattern))
+      .filter(Boolean)
+      .map(match => match[0].toLowerCase());
+
+    if (keywords.length === 0) continue;
+
+    let level = SEVERITY_LEVELS.indexOf(rule.severity);
+    level += rule.escalate.filter(pattern => pattern.test(text)).length;
+    level -= rule.deescalate.some(pattern => pattern.test(text)) ? 1 : 0;
+    if (rule.criticalAmountUsd && largestUsdAmount(text) >= rule.criticalAmountUsd) {
+      level = SEVERITY_LEVELS.length - 1;
+    }
+
+    const distinct = [...new Set(keywords)];
+    events.push({
+      type,
+      severity: SEVERITY_LEVELS[Math.min(Math.max(level, 0), SEVERITY_LEVELS.length - 1)],
+      confidence: Math.min(0.5 + 0.2 * (distinct.length - 1), 1),
+      keywords: distinct,
+    });
+  }
+
+  return events;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  EVENT_RULES,
+  EVENT_TYPES,
+  NO_EVENT,
+  SEED_EXAMPLES,
+  largestUsdAmount,
+  matchEventRules,
+};
@@ -0,0 +1,79 @@
+/**
+ * Postgres Cache Store
+ * Persistent backing store for ResponseCache using the ApiCacheEntry table
+ * Lets cached upstream responses survive restarts and be shared between instances
+ */
+
+const { getPrismaClient } = require('./db');
+
+// Expired rows are purged once every PURGE_EVERY writes
+const PURGE_EVERY = 100;
+
+class PostgresCacheStore {
+  constructor() {
+    this.name = 'postgres';
+    this.writes = 0;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry with millisecond timestamps, or null
+   */
+  async get(key) {
+    const prisma = getPrismaClient();
+    const row = await prisma.apiCacheEntry.findUnique({ where: { key } });
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      value: row.value,
+      storedAt: row.storedAt.getTime(),
+      expiresAt: row.expiresAt.getTime(),
+      staleUntil: row.staleUntil.getTime(),
+    };
+  }
+
+  /**
+   * Write an entry
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with value and millisecond timestamps
+   */
+  async set(key, entry) {
+    const prisma = getPrismaClient();
+    const data = {
+      value: entry.value,
+      storedAt: new Date(entry.storedAt),
+      expiresAt: new Date(entry.expiresAt),
+      staleUntil: new Date(entry.staleUntil),
+    };
+
+    await prisma.apiCacheEntry.upsert({
+      where: { key },
+      update: data,
+      create: { key, ...data },
+    });
+
+    this.writes++;
+    if (this.writes % PURGE_EVERY === 0) {
+      await this.purgeExpired();
+    }
+  }
+
+  /**
+   * Delete entries that can no longer be served
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async purgeExpired() {
+    const prisma = getPrismaClient();
+    const result = await prisma.apiCacheEntry.deleteMany({
+      where: { staleUntil: { lt: new Date() } },
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = PostgresCacheStore;
@@ -0,0 +1,63 @@
+/**
+ * Quote Currency Utilities
+ * Validation of quote (vs) currencies used to price market data
+ *
+ * Quotes are lowercase CoinGecko vs_currency codes. Fiat quotes are
+ * converted with exchange rates; crypto quotes (btc, eth) price assets
+ * in terms of another coin.
+ */
+
+// Default quote for requests that do not specify one
+const DEFAULT_QUOTE = (process.env.DEFAULT_QUOTE_CURRENCY || 'usd').toLowerCase();
+
+// Quote currencies accepted by the API
+const SUPPORTED_QUOTES = [
+  'usd', 'eur', 'gbp', 'jpy', 'chf', 'cad', 'aud', 'cny', 'krw', 'inr',
+  'btc', 'eth',
+];
+
+// Provider coin IDs for crypto quotes, used to derive their price history
+const QUOTE_COIN_IDS = {
+  btc: 'bitcoin',
+  eth: 'ethereum',
+};
+
+/**
+ * Validate and normalize a quote currency
+ * @param {string} quote - Quote currency code (any case); empty means DEFAULT_QUOTE
+ * @returns {string} Lowercase quote currency code
+ */
+function normalizeQuote(quote) {
+  if (quote === undefined || quote === null || quote === '') {
+    return DEFAULT_QUOTE;
+  }
+
+  const normalized = String(quote).trim().toLowerCase();
+
+  if (!SUPPORTED_QUOTES.includes(normalized)) {
+    const error = new Error(
+      `Unsupported quote currency: ${quote}. Supported: ${SUPPORTED_QUOTES.join(', ')}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  return normalized;
+}
+
+/**
+ * Check whether a quote is a cryptocurrency rather than fiat
+ * @param {string} quote - Normalized quote currency
+ * @returns {boolean} True for crypto quotes
+ */
+function isCryptoQuote(quote) {
+  return Boolean(QUOTE_COIN_IDS[quote]);
+}
+
+module.exports = {
+  DEFAULT_QUOTE,
+  SUPPORTED_QUOTES,
+  QUOTE_COIN_IDS,
+  normalizeQuote,
+  isCryptoQuote,
+};
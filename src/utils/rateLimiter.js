@@ -0,0 +1,421 @@
+/**
+ * Upstream Rate Limiter
+ * Token bucket rate limiting, retries with exponential backoff and jitter,
+ * and circuit breaking for calls to external APIs
+ *
+ * One limiter is kept per upstream (see getLimiter), so a slow or
+ * rate-limited API does not hold up requests to the others.
+ */
+
+const {
+  UpstreamUnavailableError,
+  RateLimitError,
+  CircuitOpenError,
+} = require('./errors');
+
+// HTTP statuses worth retrying (besides 429, which is handled separately)
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND']);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket
+ * Holds up to `capacity` tokens and gains one every `refillIntervalMs`
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.capacity - Maximum burst size
+   * @param {number} options.refillIntervalMs - Milliseconds per token
+   */
+  constructor(options = {}) {
+    this.capacity = Math.max(1, options.capacity || 1);
+    this.refillIntervalMs = Math.max(1, options.refillIntervalMs || 1000);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.nextFreeAt = 0;
+  }
+
+  /**
+   * Add tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = (now - this.lastRefill) / this.refillIntervalMs;
+
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Reserve a token and return how long the caller must wait before using it
+   * Reservations are handed out in order, so waiting callers are served FIFO
+   * @returns {number} Wait time in milliseconds
+   */
+  reserve() {
+    this.refill();
+    const now = Date.now();
+
+    if (now < this.pausedUntil) {
+      const start = Math.max(this.pausedUntil, this.nextFreeAt);
+      this.nextFreeAt = start + this.refillIntervalMs;
+      return start - now;
+    }
+
+    if (this.tokens >= 1 && this.nextFreeAt <= now) {
+      this.tokens -= 1;
+      return 0;
+    }
+
+    const start = Math.max(now + (1 - this.tokens) * this.refillIntervalMs, this.nextFreeAt);
+    this.tokens = 0;
+    this.nextFreeAt = start + this.refillIntervalMs;
+    return start - now;
+  }
+
+  /**
+   * Estimate how long a new caller would wait, without reserving a token
+   * @returns {number} Wait time in milliseconds
+   */
+  estimateWait() {
+    this.refill();
+    const now = Date.now();
+    const pauseWait = Math.max(0, this.pausedUntil - now);
+    const queueWait = Math.max(0, this.nextFreeAt - now);
+    const tokenWait = this.tokens >= 1 ? 0 : (1 - this.tokens) * this.refillIntervalMs;
+
+    return Math.max(pauseWait, queueWait, tokenWait);
+  }
+
+  /**
+   * Stop handing out tokens until the given time (used after a 429)
+   * @param {number} untilMs - Timestamp in milliseconds
+   */
+  pause(untilMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, untilMs);
+    this.tokens = 0;
+  }
+}
+
+/**
+ * Circuit breaker
+ * Opens after `failureThreshold` consecutive failures, rejects calls for
+ * `resetTimeoutMs`, then lets a single trial call through (half-open)
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 60 * 1000;
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a call may proceed
+   * @returns {boolean} True if the call is allowed
+   */
+  allowRequest() {
+    if (this.state === 'CLOSED') {
+      return true;
+    }
+
+    if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'HALF_OPEN';
+    }
+
+    if (this.state === 'HALF_OPEN' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      this.state = 'OPEN';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a half-open trial slot without counting a success or failure
+   * (used when the trial call failed for a non-upstream reason, e.g. a 404)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until the breaker will allow a trial call
+   * @returns {number} Remaining open time (0 when closed)
+   */
+  getRetryAfterMs() {
+    if (this.state !== 'OPEN') {
+      return 0;
+    }
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Rate limiter for a single upstream API
+ */
+class UpstreamLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {string} options.name - Upstream name
+   * @param {number} options.refillIntervalMs - Milliseconds per request token
+   * @param {number} options.burst - Token bucket capacity
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - Initial backoff delay
+   * @param {number} options.maxDelayMs - Maximum backoff delay (and longest Retry-After honoured in-process)
+   * @param {number} options.maxQueueMs - Longest a caller may wait for a token before failing fast
+   * @param {number} options.failureThreshold - Consecutive failures before the circuit opens
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'upstream';
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.maxDelayMs = options.maxDelayMs ?? 30 * 1000;
+    this.maxQueueMs = options.maxQueueMs ?? 30 * 1000;
+
+    this.bucket = new TokenBucket({
+      capacity: options.burst,
+      refillIntervalMs: options.refillIntervalMs,
+    });
+    this.breaker = new CircuitBreaker({
+      failureThreshold: options.failureThreshold,
+      resetTimeoutMs: options.resetTimeoutMs,
+    });
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failures: 0,
+      rejected: 0,
+    };
+  }
+
+  /**
+   * Run an upstream call under the rate limit, retrying transient failures
+   * Non-retryable errors (e.g. 404) are rethrown unchanged
+   * @param {Function} fn - Async function performing one upstream request
+   * @returns {Promise<any>} Result of fn
+   */
+  async execute(fn) {
+    if (!this.breaker.allowRequest()) {
+      this.stats.rejected++;
+      const retryAfter = Math.ceil(this.breaker.getRetryAfterMs() / 1000) || 1;
+      throw new CircuitOpenError(
+        `${this.name} is temporarily unavailable after repeated failures, retry in ${retryAfter}s`,
+        { upstream: this.name, retryAfter }
+      );
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this.acquireToken();
+      this.stats.requests++;
+
+      try {
+        const result = await fn();
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+
+        if (status === 429) {
+          this.stats.rateLimited++;
+          const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+          const delay = retryAfterMs ?? this.getBackoffDelay(attempt);
+
+          // Everyone waits, not just this caller
+          this.bucket.pause(Date.now() + delay);
+
+          if (attempt === this.maxRetries || delay > this.maxDelayMs) {
+            this.breaker.recordFailure();
+            throw new RateLimitError(
+              `${this.name} rate limit exceeded, retry in ${Math.ceil(delay / 1000)}s`,
+              { upstream: this.name, upstreamStatus: 429, retryAfter: Math.ceil(delay / 1000) || 1 }
+            );
+          }
+
+          this.stats.retries++;
+          continue;
+        }
+
+        if (!this.isRetryable(error)) {
+          // The upstream answered; a client error says nothing about its health
+          this.breaker.releaseTrial();
+          throw error;
+        }
+
+        if (attempt < this.maxRetries) {
+          this.stats.retries++;
+          await sleep(this.getBackoffDelay(attempt));
+        }
+      }
+    }
+
+    this.stats.failures++;
+    this.breaker.recordFailure();
+    const retryAfter = Math.ceil(Math.max(this.breaker.getRetryAfterMs(), this.baseDelayMs) / 1000);
+
+    throw new UpstreamUnavailableError(
+      `${this.name} request failed after ${this.maxRetries + 1} attempts: ${lastError.message}`,
+      { upstream: this.name, upstreamStatus: lastError.response?.status, retryAfter }
+    );
+  }
+
+  /**
+   * Wait for a token, failing fast when the queue is longer than maxQueueMs
+   */
+  async acquireToken() {
+    const estimate = this.bucket.estimateWait();
+
+    if (estimate > this.maxQueueMs) {
+      this.stats.rejected++;
+      this.breaker.releaseTrial();
+      const retryAfter = Math.ceil(estimate / 1000);
+      throw new RateLimitError(
+        `${this.name} request queue is full, retry in ${retryAfter}s`,
+        { upstream: this.name, retryAfter }
+      );
+    }
+
+    const wait = this.bucket.reserve();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * Half the delay is fixed and half random, so retries from concurrent callers spread out
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Check whether an error is transient (network failure, timeout, 5xx)
+   * @param {Error} error - Error from the upstream call
+   * @returns {boolean} True if the call should be retried
+   */
+  isRetryable(error) {
+    const status = error.response?.status;
+
+    if (status) {
+      return RETRYABLE_STATUSES.has(status);
+    }
+
+    return RETRYABLE_CODES.has(error.code) || Boolean(error.request);
+  }
+
+  /**
+   * Get limiter state for health reporting
+   * @returns {Object} Circuit state, available tokens, and counters
+   */
+  getStatus() {
+    this.bucket.refill();
+
+    return {
+      name: this.name,
+      circuit: this.breaker.state,
+      consecutiveFailures: this.breaker.failures,
+      availableTokens: Math.floor(this.bucket.tokens),
+      queueWaitMs: Math.round(this.bucket.estimateWait()),
+      ...this.stats,
+    };
+  }
+}
+
+// Limiters by upstream name
+const limiters = new Map();
+
+/**
+ * Get (or create) the limiter for an upstream
+ * Options are only used the first time a name is seen
+ * @param {string} name - Upstream name
+ * @param {Object} options - UpstreamLimiter options
+ * @returns {UpstreamLimiter} Limiter instance
+ */
+function getLimiter(name, options = {}) {
+  if (!limiters.has(name)) {
+    limiters.set(name, new UpstreamLimiter({ ...options, name }));
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Get status of all upstream limiters
+ * @returns {Object} Map of upstream name -> limiter status
+ */
+function getLimiterStatuses() {
+  const statuses = {};
+  for (const [name, limiter] of limiters) {
+    statuses[name] = limiter.getStatus();
+  }
+  return statuses;
+}
+
+module.exports = {
+  TokenBucket,
+  CircuitBreaker,
+  UpstreamLimiter,
+  parseRetryAfter,
+  getLimiter,
+  getLimiterStatuses,
+};
@@ -0,0 +1,249 @@
+/**
+ * Response Cache
+ * Read-through cache for upstream API responses
+ *
+ * - Entries are keyed by endpoint + params
+ * - Each endpoint has its own TTL
+ * - Stale-while-revalidate: after the TTL an entry is still served for
+ *   staleMs while a background request refreshes it
+ * - Concurrent requests for the same key share one upstream request
+ * - Optional persistent store (e.g. Postgres) behind the in-memory map
+ */
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.name - Cache name, used in logs and stats
+   * @param {Object} options.ttls - Map of endpoint -> TTL in milliseconds
+   * @param {number} options.defaultTtlMs - TTL for endpoints without an entry in ttls
+   * @param {number} options.staleMs - How long an expired entry may be served while revalidating
+   * @param {number} options.maxEntries - Maximum in-memory entries (oldest evicted first)
+   * @param {Object} options.store - Optional persistent store with async get(key) / set(key, entry)
+   * @param {boolean} options.enabled - Set to false to bypass the cache entirely
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'cache';
+    this.ttls = options.ttls || {};
+    this.defaultTtlMs = options.defaultTtlMs ?? 60 * 1000;
+    this.staleMs = options.staleMs ?? 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.store = options.store || null;
+    this.enabled = options.enabled !== false;
+
+    this.entries = new Map(); // key -> { value, storedAt, expiresAt, staleUntil }
+    this.inFlight = new Map(); // key -> Promise of value
+    this.stats = {};
+  }
+
+  /**
+   * Build a cache key from endpoint and params
+   * Params are sorted so key order does not matter
+   * @param {string} endpoint - Endpoint name
+   * @param {Object} params - Request params
+   * @returns {string} Cache key
+   */
+  buildKey(endpoint, params = {}) {
+    const sorted = Object.keys(params)
+      .sort()
+      .filter(key => params[key] !== undefined)
+      .map(key => `${key}=${JSON.stringify(params[key])}`)
+      .join('&');
+
+    return `${endpoint}?${sorted}`;
+  }
+
+  /**
+   * Get TTL for an endpoint
+   * @param {string} endpoint - Endpoint name
+   * @returns {number} TTL in milliseconds
+   */
+  getTtl(endpoint) {
+    return this.ttls[endpoint] ?? this.defaultTtlMs;
+  }
+
+  /**
+   * Get a cached value or fetch it
+   * @param {string} endpoint - Endpoint name (used for TTL lookup and stats)
+   * @param {Object} params - Request params (part of the cache key)
+   * @param {Function} fetcher - Async function performing the upstream request
+   * @returns {Promise<any>} Cached or freshly fetched value
+   */
+  async getOrFetch(endpoint, params, fetcher) {
+    if (!this.enabled) {
+      return fetcher();
+    }
+
+    const key = this.buildKey(endpoint, params);
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry && this.store) {
+      entry = await this.loadFromStore(key);
+    }
+
+    if (entry && now < entry.expiresAt) {
+      this.record(endpoint, 'hits');
+      return entry.value;
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.record(endpoint, 'staleHits');
+      this.revalidate(endpoint, key, fetcher);
+      return entry.value;
+    }
+
+    this.record(endpoint, 'misses');
+    return this.fetchAndStore(endpoint, key, fetcher);
+  }
+
+  /**
+   * Refresh a stale entry in the background
+   * Failures are counted and logged; the stale value stays in place
+   */
+  revalidate(endpoint, key, fetcher) {
+    if (this.inFlight.has(key)) {
+      return;
+    }
+
+    this.record(endpoint, 'revalidations');
+    this.fetchAndStore(endpoint, key, fetcher).catch(error => {
+      console.warn(`[${this.name}] Revalidation failed for ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Fetch a value, sharing the request with concurrent callers for the same key
+   */
+  async fetchAndStore(endpoint, key, fetcher) {
+    if (this.inFlight.has(key)) {
+      this.record(endpoint, 'coalesced');
+      return this.inFlight.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const value = await fetcher();
+        this.set(endpoint, key, value);
+        return value;
+      } catch (error) {
+        this.record(endpoint, 'errors');
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Store a value in memory and (asynchronously) in the persistent store
+   */
+  set(endpoint, key, value) {
+    const now = Date.now();
+    const expiresAt = now + this.getTtl(endpoint);
+    const entry = {
+      value,
+      storedAt: now,
+      expiresAt,
+      staleUntil: expiresAt + this.staleMs,
+    };
+
+    // Re-insert so Map order reflects recency, then evict the oldest entries
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (this.store) {
+      this.store.set(key, entry).catch(error => {
+        console.warn(`[${this.name}] Failed to persist ${key}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Load an entry from the persistent store into memory
+   * @returns {Promise<Object|null>} Entry, or null when missing or fully expired
+   */
+  async loadFromStore(key) {
+    try {
+      const entry = await this.store.get(key);
+
+      if (!entry || Date.now() >= entry.staleUntil) {
+        return null;
+      }
+
+      this.entries.set(key, entry);
+      return entry;
+    } catch (error) {
+      console.warn(`[${this.name}] Failed to read ${key} from store:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Increment a per-endpoint counter
+   */
+  record(endpoint, counter) {
+    if (!this.stats[endpoint]) {
+      this.stats[endpoint] = {
+        hits: 0,
+        staleHits: 0,
+        misses: 0,
+        coalesced: 0,
+        revalidations: 0,
+        errors: 0,
+      };
+    }
+    this.stats[endpoint][counter]++;
+  }
+
+  /**
+   * Drop all in-memory entries and counters
+   */
+  clear() {
+    this.entries.clear();
+    this.stats = {};
+  }
+
+  /**
+   * Get cache hit/miss statistics
+   * @returns {Object} Totals, hit rate, and per-endpoint counters
+   */
+  getStats() {
+    const totals = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      coalesced: 0,
+      revalidations: 0,
+      errors: 0,
+    };
+
+    for (const counters of Object.values(this.stats)) {
+      for (const [counter, value] of Object.entries(counters)) {
+        totals[counter] += value;
+      }
+    }
+
+    const lookups = totals.hits + totals.staleHits + totals.misses;
+
+    return {
+      name: this.name,
+      enabled: this.enabled,
+      store: this.store ? this.store.name || 'custom' : 'memory',
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      ...totals,
+      hitRate: lookups > 0
+        ? Math.round(((totals.hits + totals.staleHits) / lookups) * 100) / 100
+        : 0,
+      endpoints: this.stats,
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,152 @@
+/**
+ * Statistics Utilities
+ * Descriptive statistics and a one-sample t-test
+ */
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean (NaN for no values)
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation (NaN for fewer than two values)
+ */
+function sampleStdDev(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Median
+ * @param {Array<number>} values - Values
+ * @returns {number} Median (NaN for no values)
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+
+  for (const coefficient of coefficients) {
+    y += 1;
+    series += coefficient / y;
+  }
+
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf)
+ */
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Shape a > 0
+ * @param {number} b - Shape b > 0
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Two-sided p-value of a Student's t statistic
+ * @param {number} t - t statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+function tTestPValue(t, degreesOfFreedom) {
+  if (!Number.isFinite(t)) return Number.isNaN(t) ? NaN : 0;
+  return incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+}
+
+/**
+ * One-sample t-test of whether values have a mean other than zero
+ * @param {Array<number>} values - Values
+ * @returns {Object} { n, mean, stdDev, t, pValue } (t and pValue null for fewer than two values)
+ */
+function oneSampleTTest(values) {
+  const n = values.length;
+  const average = n > 0 ? mean(values) : null;
+
+  if (n < 2) {
+    return { n, mean: average, stdDev: null, t: null, pValue: null };
+  }
+
+  const stdDev = sampleStdDev(values);
+  const t = stdDev > 0 ? average / (stdDev / Math.sqrt(n)) : (average === 0 ? 0 : Math.sign(average) * Infinity);
+
+  return { n, mean: average, stdDev, t, pValue: tTestPValue(t, n - 1) };
+}
+
+module.exports = {
+  mean,
+  sampleStdDev,
+  median,
+  tTestPValue,
+  oneSampleTTest,
+};